@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+// gbp.js - command line entry point for the GBP audit pipeline
+
+const { parseArgs } = require("util");
+require("dotenv").config();
+const { JobStateStore } = require("./pipeline/job_state_store.js");
+const {
+  GBPPipeline,
+  STAGES,
+  BROWSER_SEARCH_ENTITIES,
+  DEFAULT_PATHS,
+} = require("./pipeline/gbp_pipeline.js");
+const { InitializeAuditReport } = require("./pipeline/audit_report.js");
+const {
+  InitializeSelectorCheck,
+  InitializeFixtureCapture,
+} = require("./screenshot_services/utils/selector_profile_check.js");
+const { DECODE_MODES } = require("./scraper/utils/gbp_url_decoder.js");
+const { parseDistanceBands } = require("./scraper/utils/origin_strategy.js");
+const { MATCH_QUALITIES } = require("./screenshot_services/utils/iframe_matcher.js");
+const { DeviceProfileRegistry } = require("./screenshot_services/utils/device_profiles.js");
+const {
+  checkPreparationFixtures,
+} = require("./screenshot_services/utils/page_preparation.js");
+
+const USAGE = `Usage: gbp <command> [options]
+
+Commands:
+  run-all              Run every stage in sequence (crawl → scrape → decode → screenshots)
+  search               Run the Google search screenshot stages (${Object.keys(
+    BROWSER_SEARCH_ENTITIES
+  ).join(", ")})
+  ${STAGES.join(", ")}
+                       Run a single stage
+  report               Build the per-business audit report (HTML or PDF) from the decode CSV,
+                       the screenshot reports and the scraping error log (written to reports/)
+  selectors check      Match every selector profile (screenshot_services/selector_profiles/)
+                       against its captured HTML fixtures and report which selectors still match
+  selectors capture <profile> <name> <url>
+                       Save a trimmed capture of a live Google page as a fixture of a profile
+                       (--headed waits for Enter, to open a panel or banner first)
+  preparation check [page.html ...]
+                       Run the client-site preparation (consent banners, lazy maps, map
+                       placeholders) against its fixture pages and report which show their map
+
+Options:
+  --url <site>         Site to crawl with Screaming Frog (crawl stage)
+  --only <stages>      Comma-separated stages to run, e.g. --only embed,reviews
+  --skip <stages>      Comma-separated stages to skip, e.g. --skip directions
+  --concurrency <n>    Pages the scraper loads at once (default 3)
+  --max-per-host <n>   Pages loaded at once from a single host (default: concurrency)
+  --per-host-delay <ms>
+                       Minimum delay between two page loads on one host (default 2000)
+  --rpm <n>            Global cap on scraper page loads per minute
+  --content-types <types>
+                       Screaming Frog content types to crawl (default text/html, "any" for all)
+  --status-codes <codes>
+                       Screaming Frog status codes to crawl (default 200, "any" for all)
+  --indexable-only     Only crawl rows Screaming Frog marks as Indexable
+  --include <regex>    Only crawl URLs matching the regex (repeatable)
+  --exclude <regex>    Skip URLs matching the regex (repeatable)
+  --decode-mode <mode> offline (pb/URL parsing only, no API calls), verify (+ Places
+                       lookup) or full (+ nearby places, default); also GBP_DECODE_MODE
+  --place-provider <name>
+                       Place lookups for verify/full decoding: google (default), google-legacy,
+                       osm or fixture; also GBP_PLACE_PROVIDER
+  --place-fixtures <file>
+                       JSON file answering lookups for the fixture provider
+  --decode-concurrency <n>
+                       Rows the decoder looks up at once, kept in input order (default 1)
+  --match-threshold <score>
+                       Minimum place match score (0-1, default 0.6) below which a lookup is
+                       flagged needs_review; also GBP_MATCH_THRESHOLD
+  --origin-types <types>
+                       Nearby place types to start directions from
+                       (default restaurant,corporate_office,bank,tourist_attraction,
+                       train_station,shopping_mall,park,locality)
+  --origin-radius <m>  Radius of the nearby search for directions origins (default 12000)
+  --origin-bands <bands>
+                       Accepted origin distances, e.g. 3km-8km,8km-15km
+  --origins-per-business <n>
+                       Nearby places discovered as directions origins per business (default 1)
+  --origin <address>   Start directions screenshots from this address or ZIP code for every
+                       business instead of the discovered places (repeatable)
+  --origins-file <csv> CSV of directions origins (Origin column, optional Business_Name)
+  --travel-mode <mode> driving (default), walking, transit or bicycling
+  --refresh-cache      Ignore cached place lookups and fetch them again
+  --embed-proof        Outline and label the matched iframe in the embed screenshot, and also
+                       save a crop of the iframe and a full-page screenshot
+  --highlight-color <color>
+                       Outline and label color for --embed-proof (default #ff1744)
+  --highlight-label <text>
+                       Label drawn above the iframe (default "Google Business Profile embed")
+  --map-render-timeout <ms>
+                       How long the embed stage waits for the map inside the iframe (default 20000)
+  --devices <names>    Comma-separated devices the embed stage captures each page on: desktop
+                       (default), laptop, phone, tablet or any Puppeteer device name, e.g.
+                       --devices desktop,"iPhone 13","Pixel 5"
+  --min-match-quality <quality>
+                       Weakest iframe match the embed stage captures: exact, normalized_src,
+                       feature_id, name_coordinates, coordinates (default) or name
+  --no-page-preparation
+                       Search for the embed iframe as the page loads, without dismissing consent
+                       banners, scrolling for lazy-loaded maps or clicking map placeholders
+  --format <format>    Report format: html (default) or pdf
+  --output <file>      Report file (default reports/gbp_audit_report.html or .pdf)
+  --inline-images      Embed the screenshots in the HTML report instead of linking them
+  --resume <runId>     Resume an earlier run, skipping work its journal marks as done
+  --headless           Run every browser headless
+  --headed             Show every browser window
+  -h, --help           Show this help
+`;
+
+const toNumber = (value, name) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`--${name} expects a non-negative number, got "${value}"`);
+  }
+  return number;
+};
+
+const splitList = (value) =>
+  (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Parse a filter list flag, where "any" disables the filter
+ */
+const filterList = (value) => {
+  if (value === undefined) return undefined;
+  return value.trim().toLowerCase() === "any" ? [] : splitList(value);
+};
+
+/**
+ * Map a command onto the stages it runs
+ */
+function stagesForCommand(command) {
+  if (command === "run-all") return [];
+  if (command === "search") return Object.keys(BROWSER_SEARCH_ENTITIES);
+  if (STAGES.includes(command)) return [command];
+  throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url: { type: "string" },
+      only: { type: "string" },
+      skip: { type: "string" },
+      resume: { type: "string" },
+      "decode-mode": { type: "string" },
+      "place-provider": { type: "string" },
+      "place-fixtures": { type: "string" },
+      "refresh-cache": { type: "boolean" },
+      "match-threshold": { type: "string" },
+      "decode-concurrency": { type: "string" },
+      "origin-types": { type: "string" },
+      "origin-radius": { type: "string" },
+      "origin-bands": { type: "string" },
+      "origins-per-business": { type: "string" },
+      origin: { type: "string", multiple: true },
+      "origins-file": { type: "string" },
+      "travel-mode": { type: "string" },
+      "embed-proof": { type: "boolean" },
+      "highlight-color": { type: "string" },
+      "highlight-label": { type: "string" },
+      "map-render-timeout": { type: "string" },
+      devices: { type: "string" },
+      "min-match-quality": { type: "string" },
+      "no-page-preparation": { type: "boolean" },
+      concurrency: { type: "string" },
+      "max-per-host": { type: "string" },
+      "per-host-delay": { type: "string" },
+      rpm: { type: "string" },
+      "content-types": { type: "string" },
+      "status-codes": { type: "string" },
+      "indexable-only": { type: "boolean" },
+      include: { type: "string", multiple: true },
+      exclude: { type: "string", multiple: true },
+      format: { type: "string" },
+      output: { type: "string" },
+      "inline-images": { type: "boolean" },
+      headless: { type: "boolean" },
+      headed: { type: "boolean" },
+      help: { type: "boolean", short: "h" },
+    },
+  });
+
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (command === "report") {
+    await InitializeAuditReport({
+      recordsPath: DEFAULT_PATHS.decodeOutput,
+      format: values.format,
+      output: values.output,
+      inlineImages: Boolean(values["inline-images"]),
+    });
+    return;
+  }
+
+  if (command === "selectors") {
+    const [, action, ...args] = positionals;
+    if (action === "capture") {
+      const [profile, name, url] = args;
+      if (!url) {
+        throw new Error('Usage: gbp selectors capture <profile> <name> <url>');
+      }
+      await InitializeFixtureCapture(profile, name, url, { headless: !values.headed });
+      return;
+    }
+    if (action !== "check") {
+      throw new Error(
+        `Unknown selectors command "${action || ""}", expected "selectors check" or "selectors capture"`
+      );
+    }
+    const passed = await InitializeSelectorCheck({ headless: !values.headed });
+    if (!passed) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (command === "preparation") {
+    const [, action, ...files] = positionals;
+    if (action !== "check") {
+      throw new Error(`Unknown preparation command "${action || ""}", expected "preparation check"`);
+    }
+    const passed = await checkPreparationFixtures(files, { headless: !values.headed });
+    if (!passed) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (values["decode-mode"] !== undefined) {
+    const mode = values["decode-mode"].trim().toLowerCase();
+    if (!DECODE_MODES.includes(mode)) {
+      throw new Error(
+        `--decode-mode expects one of ${DECODE_MODES.join(", ")}, got "${values["decode-mode"]}"`
+      );
+    }
+  }
+
+  const minMatchQuality =
+    values["min-match-quality"] !== undefined
+      ? values["min-match-quality"].trim().toLowerCase()
+      : undefined;
+  // "none" would capture any iframe on the page
+  const acceptedQualities = MATCH_QUALITIES.filter((quality) => quality !== "none");
+  if (minMatchQuality !== undefined && !acceptedQualities.includes(minMatchQuality)) {
+    throw new Error(
+      `--min-match-quality expects one of ${acceptedQualities.join(", ")}, got "${values["min-match-quality"]}"`
+    );
+  }
+
+  // Resolved here so an unknown device fails before any stage runs
+  const devices = values.devices
+    ? new DeviceProfileRegistry().resolveAll(splitList(values.devices)).map((device) => device.key)
+    : undefined;
+
+  const commandStages = stagesForCommand(command);
+  const only = values.only ? splitList(values.only) : commandStages;
+  const stateStore = values.resume
+    ? JobStateStore.resume(values.resume)
+    : new JobStateStore();
+  console.log(
+    `🆔 Run ID: ${stateStore.runId} (continue it later with --resume ${stateStore.runId})`
+  );
+
+  const pipeline = new GBPPipeline({
+    url: values.url,
+    headless: values.headed ? false : values.headless,
+    stateStore,
+    scraper: {
+      concurrency: toNumber(values.concurrency, "concurrency"),
+      maxPerHost: toNumber(values["max-per-host"], "max-per-host"),
+      perHostDelay: toNumber(values["per-host-delay"], "per-host-delay"),
+      requestsPerMinute: toNumber(values.rpm, "rpm"),
+      inputFilter: {
+        ...(values["content-types"] !== undefined && {
+          contentTypes: filterList(values["content-types"]),
+        }),
+        ...(values["status-codes"] !== undefined && {
+          statusCodes: filterList(values["status-codes"]),
+        }),
+        indexableOnly: Boolean(values["indexable-only"]),
+        include: values.include || [],
+        exclude: values.exclude || [],
+      },
+    },
+    decoder: {
+      decodeMode: values["decode-mode"],
+      placeProvider: {
+        name: values["place-provider"],
+        fixturePath: values["place-fixtures"],
+      },
+      placeCache: { refresh: Boolean(values["refresh-cache"]) },
+      matchThreshold: toNumber(values["match-threshold"], "match-threshold"),
+      concurrency: toNumber(values["decode-concurrency"], "decode-concurrency"),
+      originStrategy: {
+        ...(values["origin-types"] !== undefined && {
+          types: splitList(values["origin-types"]),
+        }),
+        ...(values["origin-radius"] !== undefined && {
+          radius: toNumber(values["origin-radius"], "origin-radius"),
+        }),
+        ...(values["origin-bands"] !== undefined && {
+          distanceBands: parseDistanceBands(values["origin-bands"]),
+        }),
+        ...(values["origins-per-business"] !== undefined && {
+          count: toNumber(values["origins-per-business"], "origins-per-business"),
+        }),
+      },
+    },
+    directions: {
+      origins: values.origin || [],
+      originsFile: values["origins-file"],
+      travelMode: values["travel-mode"],
+    },
+    embed: {
+      highlight: Boolean(values["embed-proof"]),
+      elementCrop: Boolean(values["embed-proof"]),
+      fullPage: Boolean(values["embed-proof"]),
+      renderTimeout: toNumber(values["map-render-timeout"], "map-render-timeout"),
+      preparePage: !values["no-page-preparation"],
+      devices,
+      iframeMatch: {
+        ...(minMatchQuality !== undefined && { minQuality: minMatchQuality }),
+      },
+      highlightStyle: {
+        ...(values["highlight-color"] !== undefined && { color: values["highlight-color"] }),
+        ...(values["highlight-label"] !== undefined && { label: values["highlight-label"] }),
+      },
+    },
+  });
+
+  const stages = pipeline.resolveStages({ only, skip: splitList(values.skip) });
+  if (stages.length === 0) {
+    throw new Error("No stages left to run after applying --only/--skip");
+  }
+
+  const results = await pipeline.run(stages);
+  if (results.some((r) => r.status === "error")) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
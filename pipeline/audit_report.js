@@ -0,0 +1,611 @@
+// audit_report.js
+
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+const puppeteer = require("puppeteer");
+const { loadRecords, validateRecord } = require("./record_schema.js");
+
+const REPORT_FORMATS = ["html", "pdf"];
+
+// Screenshot stages in report order, with the processing report each one writes
+const REPORT_SECTIONS = [
+  {
+    stage: "embed",
+    label: "Embed",
+    report: "screenshots/gbp_embed_screenshots/processing_report.json",
+  },
+  {
+    stage: "directions",
+    label: "Directions",
+    report: "screenshots/gmaps_directions_screenshots/processing_report.json",
+  },
+  {
+    stage: "questions",
+    label: "Questions",
+    report: "screenshots/gmaps_questions_screenshots/questions_processing_report.json",
+  },
+  {
+    stage: "search_results",
+    label: "Search",
+    report:
+      "screenshots/gmaps_search_results_screenshots/search_results_processing_report.json",
+  },
+  {
+    stage: "gbp-images",
+    label: "Photos",
+    report: "screenshots/gbp_images_screenshots/processing_report.json",
+  },
+  {
+    stage: "gbp-reviews",
+    label: "Reviews",
+    report: "screenshots/gbp_reviews_screenshots/processing_report.json",
+  },
+  {
+    stage: "gbp-social-links",
+    label: "Social links",
+    report: "screenshots/gbp_social_links_screenshots/processing_report.json",
+  },
+  {
+    stage: "gbp-posts-frequency",
+    label: "Posts",
+    report: "screenshots/gbp_posts_frequency_screenshots/processing_report.json",
+  },
+  {
+    stage: "gbp-profile-modal",
+    label: "Products",
+    report: "screenshots/gbp_profile_modal_screenshots/processing_report.json",
+  },
+];
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const normalizeName = (name) => String(name || "").trim().toLowerCase();
+
+const formatTimestamp = (value) => {
+  const date = new Date(value);
+  return isNaN(date)
+    ? String(value || "")
+    : date.toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+};
+
+const REPORT_STYLES = `
+  body { font-family: Arial, Helvetica, sans-serif; margin: 2rem; color: #202124; }
+  .business { border: 1px solid #dadce0; border-radius: 8px; padding: 1rem 1.5rem; margin-bottom: 2rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; }
+  dt { font-weight: bold; }
+  dd { margin: 0; }
+  .badge { display: inline-block; padding: .1rem .5rem; border-radius: 4px; font-size: .8rem; margin: .1rem 0; }
+  .badge.pass { background: #e6f4ea; color: #137333; }
+  .badge.fail { background: #fce8e6; color: #c5221f; }
+  .badge.not_run { background: #f1f3f4; color: #5f6368; }
+  .thumbnails { display: flex; flex-wrap: wrap; gap: 1rem; }
+  figure { margin: 0; width: 240px; }
+  figure img { width: 100%; border: 1px solid #dadce0; }
+  figcaption { font-size: .8rem; }
+  .error { color: #c5221f; }
+`;
+
+// Full-width screenshots and one page per section for the PDF
+const PRINT_STYLES = `
+  body { margin: 0; }
+  .cover, .toc, .business { break-after: page; }
+  .business { border: none; padding: 0; margin: 0; }
+  .cover { display: flex; flex-direction: column; justify-content: center; min-height: 240mm; }
+  .cover h1 { font-size: 2.2rem; }
+  .toc ol { line-height: 1.8; }
+  .toc a { color: inherit; text-decoration: none; display: flex; justify-content: space-between; gap: 1rem; }
+  figure { width: 100%; break-inside: avoid; margin-bottom: 1rem; }
+  figure img { max-height: 160mm; width: auto; max-width: 100%; }
+  .stage { break-inside: avoid-page; }
+  table { width: 100%; border-collapse: collapse; font-size: .75rem; }
+  th, td { border-bottom: 1px solid #dadce0; padding: .3rem; text-align: left; vertical-align: top; word-break: break-all; }
+`;
+
+const PDF_OPTIONS = {
+  format: "A4",
+  printBackground: true,
+  margin: { top: "18mm", bottom: "18mm", left: "15mm", right: "15mm" },
+  displayHeaderFooter: true,
+  headerTemplate: "<span></span>",
+  footerTemplate:
+    '<div style="font-size:8px;width:100%;text-align:center;color:#5f6368">' +
+    '<span class="pageNumber"></span> / <span class="totalPages"></span></div>',
+};
+
+// Page objects of a PDF, the page tree nodes are /Type /Pages
+const countPdfPages = (pdf) =>
+  (Buffer.from(pdf).toString("latin1").match(/\/Type\s*\/Page\b/g) || []).length;
+
+/**
+ * Joins the decode-stage records with the processing report of every
+ * screenshot stage, one entry per business, and renders them as a static report
+ */
+class AuditReportBuilder {
+  constructor(options = {}) {
+    this.options = {
+      recordsPath: options.recordsPath || "gbp_output_data/gbp_enhanced_records.csv",
+      baseDir: options.baseDir || process.cwd(), // Screenshot and report paths are relative to it
+      outputDir: options.outputDir || "reports",
+      title: options.title || "Google Business Profile audit",
+      inlineImages: Boolean(options.inlineImages), // Embed screenshots as data URIs
+      errorsPath: options.errorsPath || "gbp_logs/gbp_scraping_errors.csv",
+      sections: options.sections || REPORT_SECTIONS,
+    };
+  }
+
+  resolvePath(filePath) {
+    return path.resolve(this.options.baseDir, filePath);
+  }
+
+  /**
+   * Results of one screenshot stage, null when the stage has no report yet
+   */
+  readStageResults(section) {
+    const reportPath = this.resolvePath(section.report);
+    if (!fs.existsSync(reportPath)) return null;
+
+    const report = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+    // The embed report keys its results by emulated device
+    const results = Array.isArray(report)
+      ? report
+      : report.devices
+      ? Object.values(report.devices).flatMap((device) => device.results || [])
+      : report.results || [];
+    const valid = results.filter((result) => validateRecord("result", result).length === 0);
+    if (valid.length < results.length) {
+      console.log(
+        `⚠️ Skipping ${results.length - valid.length} ${section.label} result(s) in ${section.report} ` +
+          `that do not match the record schema; rerun the stage to include them`
+      );
+    }
+    return valid;
+  }
+
+  /**
+   * One entry per business from the decode-stage records, keyed by CID when
+   * known. The name and page keys only join records when one side has no CID:
+   * two CIDs are two businesses, even under the same name.
+   */
+  groupBusinesses(records) {
+    const businesses = [];
+    const byKey = new Map();
+
+    records.forEach((record) => {
+      const cidKey = record.cid && `cid:${record.cid}`;
+      const fallbackKeys = [
+        record.business_name && `name:${normalizeName(record.business_name)}`,
+        `url:${record.url}`,
+      ].filter(Boolean);
+      let business =
+        (cidKey && byKey.get(cidKey)) ||
+        fallbackKeys
+          .map((key) => byKey.get(key))
+          .find((candidate) => candidate && (!record.cid || !candidate.cid));
+      if (business && record.cid && !business.cid) {
+        business.cid = record.cid;
+        business.cidUrl = record.cid_url;
+      }
+      if (!business) {
+        business = {
+          name: record.business_name || "Unknown business",
+          address: record.address,
+          city: record.city,
+          cid: record.cid,
+          cidUrl: record.cid_url,
+          placesApiId: record.places_api_id,
+          latitude: record.latitude,
+          longitude: record.longitude,
+          decodingStatus: record.decoding_status,
+          decodingError: record.decoding_error,
+          matchStatus: record.match_status,
+          matchScore: record.match_score,
+          confidenceScore: record.confidence_score,
+          sourcePages: [],
+          stages: [],
+        };
+        businesses.push(business);
+      }
+      if (!business.sourcePages.includes(record.url)) {
+        business.sourcePages.push(record.url);
+      }
+      if (cidKey) byKey.set(cidKey, business);
+      // A shared name or page keeps pointing at the first business that used it
+      fallbackKeys.forEach((key) => {
+        if (!byKey.has(key)) byKey.set(key, business);
+      });
+    });
+
+    return { businesses, byKey };
+  }
+
+  /**
+   * Business a screenshot result belongs to: by CID, then name, then source page
+   */
+  findBusiness(byKey, result) {
+    return (
+      (result.cid && byKey.get(`cid:${result.cid}`)) ||
+      (result.business_name && byKey.get(`name:${normalizeName(result.business_name)}`)) ||
+      (result.url && byKey.get(`url:${result.url}`)) ||
+      null
+    );
+  }
+
+  /**
+   * Screenshots of a result that exist on disk, with their captions. Embed
+   * results may add an iframe crop and a full-page capture to the main one.
+   */
+  toScreenshots(section, result) {
+    const origin = result.origin_name || result.origin;
+    let caption = origin ? `${section.label} from ${origin}` : section.label;
+    if (result.device_name) caption += ` on ${result.device_name}`;
+    // Fixed-rectangle and whole-container captures may have missed the element, flag them for review
+    if (result.capture_method === "fallback_clip") caption += " (fixed clip)";
+    if (result.capture_method === "container") caption += " (page container)";
+    // So is an embed iframe matched by decoded identity rather than by its src
+    if (result.match_quality && !["exact", "normalized_src"].includes(result.match_quality)) {
+      caption += ` (matched by ${result.match_quality.replace(/_/g, " ")})`;
+    }
+
+    return [
+      [result.screenshot_path, caption],
+      [result.element_screenshot_path, `${caption} (iframe crop)`],
+      [result.full_page_screenshot_path, `${caption} (full page)`],
+    ]
+      .filter(([screenshotPath]) => screenshotPath)
+      .map(([screenshotPath, shotCaption]) => ({
+        path: this.resolvePath(screenshotPath),
+        caption: shotCaption,
+        capturedAt: result.processed_at,
+      }))
+      .filter((shot) => fs.existsSync(shot.path));
+  }
+
+  /**
+   * Collect the report data: businesses with their stage results and screenshots
+   */
+  async collect() {
+    const records = await loadRecords(this.resolvePath(this.options.recordsPath), "decode");
+    const { businesses, byKey } = this.groupBusinesses(records);
+    const stagesRun = [];
+    let unmatched = 0;
+
+    this.options.sections.forEach((section) => {
+      const results = this.readStageResults(section);
+      if (results === null) return;
+      stagesRun.push(section.stage);
+
+      results.forEach((result) => {
+        const business = this.findBusiness(byKey, result);
+        if (!business) {
+          unmatched++;
+          return;
+        }
+        let stage = business.stages.find((s) => s.stage === section.stage);
+        if (!stage) {
+          stage = { stage: section.stage, label: section.label, results: [], screenshots: [] };
+          business.stages.push(stage);
+        }
+        stage.results.push(result);
+        stage.screenshots.push(...this.toScreenshots(section, result));
+      });
+    });
+
+    // Every business lists every section, in report order
+    businesses.forEach((business) => {
+      business.stages = this.options.sections.map((section) => {
+        const stage = business.stages.find((s) => s.stage === section.stage) || {
+          stage: section.stage,
+          label: section.label,
+          results: [],
+          screenshots: [],
+        };
+        stage.status =
+          stage.results.length === 0
+            ? "not_run"
+            : stage.results.some((r) => r.screenshot_status === "error")
+            ? "fail"
+            : "pass";
+        stage.errors = stage.results
+          .filter((r) => r.screenshot_status === "error" && r.error_message)
+          .map((r) => r.error_message);
+        return stage;
+      });
+    });
+
+    if (unmatched > 0) {
+      console.log(`⚠️ ${unmatched} screenshot result(s) matched no business in ${this.options.recordsPath}`);
+    }
+
+    return {
+      title: this.options.title,
+      generatedAt: new Date().toISOString(),
+      recordsPath: this.options.recordsPath,
+      stagesRun,
+      businesses,
+    };
+  }
+
+  /**
+   * img src for a screenshot, relative to the report file unless images are inlined
+   */
+  imageSource(screenshot, outputPath, inline = this.options.inlineImages) {
+    if (inline) {
+      const data = fs.readFileSync(screenshot.path).toString("base64");
+      return `data:image/png;base64,${data}`;
+    }
+    return path
+      .relative(path.dirname(outputPath), screenshot.path)
+      .split(path.sep)
+      .join("/");
+  }
+
+  renderBadge(stage) {
+    const text = { pass: "PASS", fail: "FAIL", not_run: "NOT RUN" }[stage.status];
+    return `<span class="badge ${stage.status}">${escapeHtml(stage.label)}: ${text}</span>`;
+  }
+
+  renderBusiness(business, index, outputPath, inline = this.options.inlineImages) {
+    const place = [
+      business.cidUrl &&
+        `<a href="${escapeHtml(business.cidUrl)}">Google Maps profile</a> (CID ${escapeHtml(business.cid)})`,
+      business.placesApiId && `Places API ID ${escapeHtml(business.placesApiId)}`,
+      business.latitude !== "" &&
+        business.latitude !== undefined &&
+        `${escapeHtml(business.latitude)}, ${escapeHtml(business.longitude)}`,
+      business.matchStatus &&
+        `match ${escapeHtml(business.matchStatus)} (${escapeHtml(business.matchScore)})`,
+    ].filter(Boolean);
+
+    const stages = business.stages
+      .filter((stage) => stage.screenshots.length > 0 || stage.errors.length > 0)
+      .map(
+        (stage) => `
+      <div class="stage">
+        <h3>${escapeHtml(stage.label)} ${this.renderBadge(stage)}</h3>
+        ${stage.errors
+          .map((error) => `<p class="error">${escapeHtml(error)}</p>`)
+          .join("")}
+        <div class="thumbnails">
+          ${stage.screenshots
+            .map((shot) => {
+              const src = escapeHtml(this.imageSource(shot, outputPath, inline));
+              const image = `<img src="${src}" alt="${escapeHtml(shot.caption)}">`;
+              // Inlined images are not linked, that would embed them twice
+              return `
+          <figure>
+            ${inline ? image : `<a href="${src}">${image}</a>`}
+            <figcaption>${escapeHtml(shot.caption)}<br><small>captured ${escapeHtml(
+                formatTimestamp(shot.capturedAt)
+              )}</small></figcaption>
+          </figure>`;
+            })
+            .join("")}
+        </div>
+      </div>`
+      )
+      .join("");
+
+    return `
+  <section class="business" id="business-${index + 1}">
+    <h2>${escapeHtml(business.name)}</h2>
+    <div class="badges">${business.stages.map((stage) => this.renderBadge(stage)).join(" ")}</div>
+    <dl>
+      <dt>Address</dt><dd>${escapeHtml(business.address || "Not found")}</dd>
+      <dt>Place</dt><dd>${place.join(" · ") || "Not found"}</dd>
+      <dt>Decoding</dt><dd>${escapeHtml(business.decodingStatus)}${
+      business.decodingError ? ` – ${escapeHtml(business.decodingError)}` : ""
+    } (confidence ${escapeHtml(business.confidenceScore)})</dd>
+      <dt>Source pages</dt><dd>${business.sourcePages
+        .map((url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`)
+        .join("<br>")}</dd>
+    </dl>
+    ${stages}
+  </section>`;
+  }
+
+  renderHtml(data, outputPath) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.title)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(data.title)}</h1>
+  <p>${data.businesses.length} business(es) from ${escapeHtml(data.recordsPath)}, generated ${escapeHtml(
+      data.generatedAt
+    )}</p>
+  ${data.businesses.map((business, index) => this.renderBusiness(business, index, outputPath)).join("")}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write the HTML report, returning its path
+   */
+  async writeHtml(outputPath) {
+    const target = this.resolvePath(
+      outputPath || path.join(this.options.outputDir, "gbp_audit_report.html")
+    );
+    const data = await this.collect();
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, this.renderHtml(data, target));
+    console.log(`📄 Audit report for ${data.businesses.length} business(es) saved to ${target}`);
+    return target;
+  }
+
+  /**
+   * Rows of the scraper error log, empty when no errors were logged
+   */
+  async readScrapingErrors() {
+    const errorsPath = this.resolvePath(this.options.errorsPath);
+    if (!fs.existsSync(errorsPath)) return [];
+
+    const errors = [];
+    for await (const row of fs.createReadStream(errorsPath).pipe(csv())) {
+      errors.push({ url: row.URL || "", error: row.Error || "", timestamp: row.Timestamp || "" });
+    }
+    return errors;
+  }
+
+  /**
+   * Printable HTML for the PDF: cover, table of contents, a section per business
+   * and the scraping errors appendix. Screenshots are always inlined. The
+   * contents list the first page of each section given in pageNumbers.
+   */
+  renderPrintHtml(data, errors, pageNumbers = {}) {
+    const sites = [
+      ...new Set(
+        data.businesses.flatMap((business) =>
+          business.sourcePages.map((url) => {
+            try {
+              return new URL(url).hostname.replace(/^www\./, "");
+            } catch {
+              return url;
+            }
+          })
+        )
+      ),
+    ];
+
+    const tocEntry = (id, title) =>
+      `<li><a href="#${id}"><span>${escapeHtml(title)}</span><span>${
+        pageNumbers[id] || ""
+      }</span></a></li>`;
+    const toc = data.businesses
+      .map((business, index) => tocEntry(`business-${index + 1}`, business.name))
+      .join("");
+
+    const errorRows = errors
+      .map(
+        (e) =>
+          `<tr><td>${escapeHtml(e.url)}</td><td>${escapeHtml(e.error)}</td><td>${escapeHtml(
+            formatTimestamp(e.timestamp)
+          )}</td></tr>`
+      )
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.title)}</title>
+<style>${REPORT_STYLES}${PRINT_STYLES}</style>
+</head>
+<body>
+  <section class="cover" id="cover">
+    <h1>${escapeHtml(data.title)}</h1>
+    <p>Prepared for ${escapeHtml(sites.join(", ") || "unknown site")}</p>
+    <p>${data.businesses.length} business(es) · ${escapeHtml(formatTimestamp(data.generatedAt))}</p>
+  </section>
+  <section class="toc" id="contents">
+    <h2>Contents</h2>
+    <ol>${toc}${tocEntry("errors", "Appendix: scraping errors")}</ol>
+  </section>
+  ${data.businesses.map((business, index) => this.renderBusiness(business, index, "", true)).join("")}
+  <section class="appendix" id="errors">
+    <h2>Appendix: scraping errors</h2>
+    ${
+      errors.length > 0
+        ? `<table><thead><tr><th>URL</th><th>Error</th><th>Time</th></tr></thead><tbody>${errorRows}</tbody></table>`
+        : `<p>No scraping errors were logged in ${escapeHtml(this.options.errorsPath)}.</p>`
+    }
+  </section>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * First page of each section of the print HTML loaded in the page, by id.
+   * Every section starts on a new page, so each is printed on its own to
+   * count its pages.
+   */
+  async findSectionPages(page, data) {
+    const ids = [
+      "cover",
+      "contents",
+      ...data.businesses.map((business, index) => `business-${index + 1}`),
+      "errors",
+    ];
+    const pageNumbers = {};
+    let nextPage = 1;
+    for (const id of ids) {
+      await page.evaluate((visibleId) => {
+        document.querySelectorAll("body > section").forEach((section) => {
+          section.style.display = section.id === visibleId ? "" : "none";
+        });
+      }, id);
+      pageNumbers[id] = nextPage;
+      nextPage += countPdfPages(await page.pdf(PDF_OPTIONS));
+    }
+    return pageNumbers;
+  }
+
+  /**
+   * Write the PDF report with Puppeteer's page.pdf, returning its path. The
+   * document is rendered twice: once to find the page of each section, then
+   * with those pages in the table of contents.
+   */
+  async writePdf(outputPath) {
+    const target = this.resolvePath(
+      outputPath || path.join(this.options.outputDir, "gbp_audit_report.pdf")
+    );
+    const data = await this.collect();
+    const errors = await this.readScrapingErrors();
+
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: ["--no-sandbox", "--disable-setuid-sandbox", "--disable-dev-shm-usage"],
+    });
+    try {
+      const page = await browser.newPage();
+      await page.setContent(this.renderPrintHtml(data, errors), { waitUntil: "load" });
+      const pageNumbers = await this.findSectionPages(page, data);
+      await page.setContent(this.renderPrintHtml(data, errors, pageNumbers), {
+        waitUntil: "load",
+      });
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      await page.pdf({ path: target, ...PDF_OPTIONS });
+    } finally {
+      await browser.close();
+    }
+
+    console.log(
+      `📄 PDF audit report for ${data.businesses.length} business(es) and ${errors.length} error(s) saved to ${target}`
+    );
+    return target;
+  }
+}
+
+/**
+ * Build the audit report in the given format
+ */
+async function InitializeAuditReport(options = {}) {
+  const format = (options.format || "html").trim().toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown report format "${format}". Valid formats: ${REPORT_FORMATS.join(", ")}`
+    );
+  }
+  const builder = new AuditReportBuilder(options);
+  return format === "pdf"
+    ? builder.writePdf(options.output)
+    : builder.writeHtml(options.output);
+}
+
+module.exports = {
+  AuditReportBuilder,
+  InitializeAuditReport,
+  REPORT_SECTIONS,
+  REPORT_FORMATS,
+  escapeHtml,
+};
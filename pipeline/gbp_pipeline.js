@@ -0,0 +1,325 @@
+// gbp_pipeline.js
+
+const fs = require("fs");
+const path = require("path");
+const { runScreamingFrog } = require("../screamingFrogScraper.js");
+const { EnhancedGBPIframeScraper } = require("../scraper/scraper.js");
+const {
+  InitializeEnhancedGBPDecoder,
+} = require("../scraper/utils/gbp_url_decoder.js");
+const {
+  PlaceLookupCache,
+} = require("../scraper/utils/place_providers/index.js");
+const {
+  InitializeGBPIframeProcessor,
+} = require("../screenshot_services/gbp_embed_screenshot.js");
+const {
+  InitializeGoogleMapsDirectionsScreenshot,
+} = require("../screenshot_services/gbp_location_screenshot.js");
+const {
+  InitializeGBPBrowserSearchScreenshot,
+} = require("../screenshot_services/gbp_browser_search_screenshot.js");
+
+const DEFAULT_PATHS = {
+  crawlOutputDir: "gbp_input_data",
+  crawlOutput: "gbp_input_data/internal_all.csv",
+  scrapeOutput: "gbp_output_data/gbp_only_records.csv",
+  decodeOutput: "gbp_output_data/gbp_enhanced_records.csv",
+};
+
+// Browser search stages and the GoogleBusinessProfileScraper entity each one captures
+const BROWSER_SEARCH_ENTITIES = {
+  photos: "gbp-images",
+  reviews: "gbp-reviews",
+  "social-links": "gbp-social-links",
+  posts: "gbp-posts-frequency",
+  products: "gbp-profile-modal",
+};
+
+const STAGES = [
+  "crawl",
+  "scrape",
+  "decode",
+  "embed",
+  "directions",
+  ...Object.keys(BROWSER_SEARCH_ENTITIES),
+];
+
+// A failure in one of these leaves nothing for the later stages to read
+const BLOCKING_STAGES = ["crawl", "scrape", "decode"];
+
+class GBPPipeline {
+  constructor(options = {}) {
+    this.options = {
+      url: options.url || "",
+      // Left undefined each stage keeps its own headless default
+      headless: options.headless,
+      paths: { ...DEFAULT_PATHS, ...(options.paths || {}) },
+      // Worker pool and input filter settings forwarded to EnhancedGBPIframeScraper
+      scraper: options.scraper || {},
+      // Decode mode and other EnhancedGBPUrlDecoder settings
+      decoder: options.decoder || {},
+      // Origins and travel mode for GoogleMapsDirectionsScreenshot
+      directions: options.directions || {},
+      // Highlight, element crop and full-page capture for GBPIframeProcessor
+      embed: options.embed || {},
+    };
+    this.stateStore = options.stateStore || null; // JobStateStore used for --resume
+    this.stageResults = [];
+  }
+
+  /**
+   * Resolve the stages to run from --only / --skip lists
+   */
+  resolveStages({ only = [], skip = [] } = {}) {
+    [...only, ...skip].forEach((stage) => {
+      if (!STAGES.includes(stage)) {
+        throw new Error(
+          `Unknown stage "${stage}". Valid stages: ${STAGES.join(", ")}`
+        );
+      }
+    });
+
+    return STAGES.filter(
+      (stage) =>
+        (only.length === 0 || only.includes(stage)) && !skip.includes(stage)
+    );
+  }
+
+  /**
+   * Make sure a stage input produced by an earlier stage (or run) is on disk
+   */
+  requireInput(filePath, stage) {
+    if (!fs.existsSync(filePath)) {
+      throw new Error(
+        `Input for stage "${stage}" not found: ${filePath}. Run the previous stage first.`
+      );
+    }
+    return filePath;
+  }
+
+  ensureDirectoryExists(filePath) {
+    const dirPath = path.dirname(filePath);
+    if (!fs.existsSync(dirPath)) {
+      fs.mkdirSync(dirPath, { recursive: true });
+      console.log(`📁 Created directory: ${dirPath}`);
+    }
+  }
+
+  async runCrawl() {
+    if (!this.options.url) {
+      console.log(
+        `⏭️ No --url given, using the existing export at ${this.options.paths.crawlOutput}`
+      );
+      return { skipped: true };
+    }
+
+    fs.mkdirSync(this.options.paths.crawlOutputDir, { recursive: true });
+    await runScreamingFrog(
+      this.options.url,
+      "Internal:All",
+      "export-tabs",
+      process.env.SCREAMING_FROG_CONFIG,
+      path.resolve(this.options.paths.crawlOutputDir)
+    );
+    return { output: this.requireInput(this.options.paths.crawlOutput, "crawl") };
+  }
+
+  async runScrape() {
+    const input = this.requireInput(this.options.paths.crawlOutput, "scrape");
+    this.ensureDirectoryExists(this.options.paths.scrapeOutput);
+
+    // Decoding has its own stage, so the scraper only collects iframe sources
+    const scraper = new EnhancedGBPIframeScraper({
+      headless: this.options.headless,
+      timeout: 30000,
+      delay: 2000,
+      ...this.options.scraper,
+      enableDecoding: false,
+      stateStore: this.stateStore,
+    });
+    await scraper.scrape(input, {
+      columnName: "Address",
+      outputPath: this.options.paths.scrapeOutput,
+    });
+    return { output: this.options.paths.scrapeOutput };
+  }
+
+  async runDecode() {
+    const input = this.requireInput(this.options.paths.scrapeOutput, "decode");
+    const placeCache = new PlaceLookupCache(this.options.decoder.placeCache);
+    await InitializeEnhancedGBPDecoder(input, this.options.paths.decodeOutput, {
+      urlColumnName: "GBP_Iframe_Source",
+      preserveOriginalColumns: true,
+      ...this.options.decoder,
+      placeCache,
+    });
+    return {
+      output: this.options.paths.decodeOutput,
+      placeCache: placeCache.summary(),
+    };
+  }
+
+  async runEmbed() {
+    const input = this.requireInput(this.options.paths.decodeOutput, "embed");
+    await InitializeGBPIframeProcessor(input, {
+      headless: this.options.headless,
+      ...this.options.embed,
+      stateStore: this.stateStore,
+      stateStage: "embed",
+    });
+    return { input };
+  }
+
+  async runDirections() {
+    const input = this.requireInput(
+      this.options.paths.decodeOutput,
+      "directions"
+    );
+    await InitializeGoogleMapsDirectionsScreenshot(input, {
+      headless: this.options.headless,
+      ...this.options.directions,
+      stateStore: this.stateStore,
+      stateStage: "directions",
+    });
+    return { input };
+  }
+
+  async runBrowserSearch(stages) {
+    const input = this.requireInput(
+      this.options.paths.decodeOutput,
+      stages.join(", ")
+    );
+    await InitializeGBPBrowserSearchScreenshot(input, {
+      headless: this.options.headless,
+      entities: stages.map((stage) => BROWSER_SEARCH_ENTITIES[stage]),
+      stateStore: this.stateStore,
+      stateStage: stages.join("+"),
+    });
+    return { input };
+  }
+
+  /**
+   * Run one stage, recording its outcome in the results and the job state store.
+   * Items are checkpointed under the stage name, a stage with failed or unfinished
+   * items is recorded as "partial" so a resumed run runs it again for those items.
+   */
+  async runStage(name, runner) {
+    const startedAt = Date.now();
+    console.log(`\n▶️ Stage: ${name}`);
+
+    if (this.stateStore && this.stateStore.isComplete("pipeline", name)) {
+      console.log(
+        `⏩ Stage ${name} already completed in run ${this.stateStore.runId}`
+      );
+      this.stageResults.push({ stage: name, status: "resumed", durationMs: 0 });
+      return;
+    }
+    this.stateStore?.record("pipeline", name, "started");
+
+    try {
+      const result = await runner();
+      const unfinished = this.stateStore
+        ? this.stateStore.getUnfinished(name).length
+        : 0;
+      const stageResult = {
+        stage: name,
+        status: result && result.skipped
+          ? "skipped"
+          : unfinished > 0
+          ? "partial"
+          : "success",
+        durationMs: Date.now() - startedAt,
+        ...(unfinished > 0 && { unfinished }),
+        ...result,
+      };
+      this.stageResults.push(stageResult);
+      this.stateStore?.record("pipeline", name, stageResult.status, stageResult);
+      if (unfinished > 0) {
+        console.log(
+          `⚠️ Stage ${name} finished with ${unfinished} failed item(s), --resume retries them`
+        );
+      } else {
+        console.log(`✅ Stage ${name} finished`);
+      }
+    } catch (error) {
+      console.error(`❌ Stage ${name} failed:`, error.message);
+      const stageResult = {
+        stage: name,
+        status: "error",
+        durationMs: Date.now() - startedAt,
+        error: error.message,
+      };
+      this.stageResults.push(stageResult);
+      this.stateStore?.record("pipeline", name, "error", stageResult);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the selected stages in order, each reading the previous stage's output
+   */
+  async run(stages = STAGES) {
+    console.log(`🚀 Running pipeline stages: ${stages.join(" → ")}`);
+
+    // All browser search stages share one browser session
+    const browserSearchStages = stages.filter(
+      (stage) => BROWSER_SEARCH_ENTITIES[stage]
+    );
+    const runners = {
+      crawl: () => this.runCrawl(),
+      scrape: () => this.runScrape(),
+      decode: () => this.runDecode(),
+      embed: () => this.runEmbed(),
+      directions: () => this.runDirections(),
+    };
+
+    for (const stage of stages.filter((stage) => runners[stage])) {
+      try {
+        await this.runStage(stage, runners[stage]);
+      } catch (error) {
+        if (BLOCKING_STAGES.includes(stage)) {
+          break;
+        }
+      }
+    }
+
+    const blocked = this.stageResults.some(
+      (r) => r.status === "error" && BLOCKING_STAGES.includes(r.stage)
+    );
+    if (browserSearchStages.length > 0 && !blocked) {
+      await this.runStage(browserSearchStages.join("+"), () =>
+        this.runBrowserSearch(browserSearchStages)
+      ).catch(() => {});
+    }
+
+    console.log("\n=== PIPELINE SUMMARY ===");
+    if (this.stateStore) {
+      console.log(
+        `Run ID: ${this.stateStore.runId} (journal: ${this.stateStore.journalPath})`
+      );
+    }
+    this.stageResults.forEach((r) => {
+      console.log(
+        `${r.stage}: ${r.status} (${(r.durationMs / 1000).toFixed(1)}s)${
+          r.error ? ` - ${r.error}` : ""
+        }`
+      );
+      if (r.unfinished) {
+        console.log(`   failed items: ${r.unfinished}`);
+      }
+      if (r.placeCache) {
+        console.log(`   place cache: ${r.placeCache}`);
+      }
+    });
+
+    return this.stageResults;
+  }
+}
+
+module.exports = {
+  GBPPipeline,
+  STAGES,
+  BROWSER_SEARCH_ENTITIES,
+  DEFAULT_PATHS,
+};
@@ -0,0 +1,111 @@
+// job_state_store.js
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_RUNS_DIR = "gbp_logs/runs";
+
+/**
+ * Append-only JSON-lines journal of per-stage, per-item status for one run.
+ * Each line is written synchronously, so a crash loses at most the item in flight.
+ */
+class JobStateStore {
+  constructor(options = {}) {
+    this.runId = options.runId || JobStateStore.createRunId();
+    this.runsDir = options.runsDir || DEFAULT_RUNS_DIR;
+    this.journalPath = path.join(this.runsDir, `${this.runId}.jsonl`);
+    this.entries = new Map(); // "stage::key" -> latest entry
+  }
+
+  static createRunId() {
+    return new Date().toISOString().replace(/[:.]/g, "-");
+  }
+
+  /**
+   * Open the journal of an earlier run so completed work can be skipped
+   */
+  static resume(runId, options = {}) {
+    const store = new JobStateStore({ ...options, runId });
+    if (!fs.existsSync(store.journalPath)) {
+      throw new Error(
+        `No journal found for run "${runId}" at ${store.journalPath}`
+      );
+    }
+    store.load();
+    return store;
+  }
+
+  entryKey(stage, key) {
+    return `${stage}::${key}`;
+  }
+
+  load() {
+    const lines = fs.readFileSync(this.journalPath, "utf8").split("\n");
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(this.entryKey(entry.stage, entry.key), entry);
+      } catch (error) {
+        // A crash can leave the last line half-written
+        console.warn(
+          `⚠️ Ignoring unreadable journal line ${index + 1}: ${error.message}`
+        );
+      }
+    });
+
+    console.log(
+      `📒 Loaded ${this.entries.size} journal entries for run ${this.runId}`
+    );
+  }
+
+  /**
+   * Record the status ("started", "success", "partial" or "error") of one item of a stage
+   */
+  record(stage, key, status, data = {}) {
+    const entry = {
+      stage,
+      key,
+      status,
+      data,
+      timestamp: new Date().toISOString(),
+    };
+
+    if (!fs.existsSync(this.runsDir)) {
+      fs.mkdirSync(this.runsDir, { recursive: true });
+    }
+    fs.appendFileSync(this.journalPath, JSON.stringify(entry) + "\n");
+    this.entries.set(this.entryKey(stage, key), entry);
+    return entry;
+  }
+
+  get(stage, key) {
+    return this.entries.get(this.entryKey(stage, key)) || null;
+  }
+
+  isComplete(stage, key) {
+    const entry = this.get(stage, key);
+    return Boolean(entry && entry.status === "success");
+  }
+
+  /**
+   * All successfully completed entries of a stage
+   */
+  getCompleted(stage) {
+    return [...this.entries.values()].filter(
+      (entry) => entry.stage === stage && entry.status === "success"
+    );
+  }
+
+  /**
+   * Entries of a stage that failed or never finished, a resumed run retries these
+   */
+  getUnfinished(stage) {
+    return [...this.entries.values()].filter(
+      (entry) => entry.stage === stage && entry.status !== "success"
+    );
+  }
+}
+
+module.exports = { JobStateStore, DEFAULT_RUNS_DIR };
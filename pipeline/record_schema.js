@@ -0,0 +1,380 @@
+// record_schema.js
+
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+const createCsvWriter = require("csv-writer").createObjectCsvWriter;
+
+// Bump when a field is renamed, removed or changes meaning
+const SCHEMA_VERSION = 1;
+
+// Rows that do not fit the schema are skipped and logged here, next to the
+// scraper's errors, so the audit report lists them too
+const RECORD_ERRORS_PATH = "gbp_logs/gbp_scraping_errors.csv";
+
+/**
+ * Business records: one row per detected embed. The scrape stage writes the
+ * fields without `decoded`, the decode stage writes them all.
+ * `name` is the record key used in code, `column` the CSV header.
+ */
+const BUSINESS_FIELDS = [
+  { name: "schema_version", column: "Schema_Version", type: "integer" },
+  { name: "url", column: "URL", type: "url", required: true },
+  { name: "iframe_src", column: "GBP_Iframe_Source", type: "string" },
+  { name: "detection_type", column: "Detection_Type", type: "string" },
+  { name: "detection_evidence", column: "Detection_Evidence", type: "string" },
+  { name: "business_name", column: "Business_Name", type: "string" },
+  { name: "name_and_address", column: "Name_Address", type: "string" },
+  { name: "city", column: "City", type: "string" },
+  { name: "address", column: "Business_Address", type: "string" },
+  { name: "latitude", column: "Latitude", type: "number" },
+  { name: "longitude", column: "Longitude", type: "number" },
+  { name: "nearby_place_name", column: "Nearby_Place_Name", type: "string" },
+  { name: "nearby_place_address", column: "Nearby_Place_Address", type: "string" },
+  { name: "nearby_place_latitude", column: "Nearby_Place_Latitude", type: "number" },
+  { name: "nearby_place_longitude", column: "Nearby_Place_longitude", type: "number" },
+  { name: "search_url", column: "Search_URL", type: "url" },
+  { name: "gmaps_search_url", column: "Gmaps_Search_URL", type: "url" },
+  { name: "feature_id", column: "Feature_ID", type: "string" },
+  { name: "cid", column: "CID", type: "integer" },
+  { name: "cid_url", column: "CID_URL", type: "url" },
+  { name: "places_api_id", column: "Places_API_ID", type: "string" },
+  { name: "found_at", column: "Scraped_At", type: "string" },
+  {
+    name: "status",
+    column: "Status",
+    type: "enum",
+    values: ["success", "error", "no_iframe_found"],
+  },
+  {
+    name: "decoding_status",
+    column: "Decoding_Status",
+    type: "enum",
+    values: ["Success", "Error", "Disabled", "N/A"],
+  },
+  { name: "decoding_error", column: "Decoding_Error", type: "string" },
+  { name: "directions_origins", column: "Directions_Origins", type: "json", decoded: true },
+  {
+    name: "enrichment_status",
+    column: "Enrichment_Status",
+    type: "enum",
+    values: ["skipped", "verified", "enriched", "failed", "needs_review"],
+    decoded: true,
+  },
+  { name: "enrichment_error", column: "Enrichment_Error", type: "string", decoded: true },
+  { name: "match_score", column: "Match_Score", type: "number", decoded: true },
+  { name: "match_reason", column: "Match_Reason", type: "string", decoded: true },
+  {
+    name: "match_status",
+    column: "Match_Status",
+    type: "enum",
+    values: ["matched", "needs_review"],
+    decoded: true,
+  },
+  { name: "candidate_name", column: "Candidate_Name", type: "string", decoded: true },
+  { name: "candidate_address", column: "Candidate_Address", type: "string", decoded: true },
+  { name: "candidate_city", column: "Candidate_City", type: "string", decoded: true },
+  { name: "candidate_places_api_id", column: "Candidate_Places_API_ID", type: "string", decoded: true },
+  { name: "candidate_latitude", column: "Candidate_Latitude", type: "number", decoded: true },
+  { name: "candidate_longitude", column: "Candidate_Longitude", type: "number", decoded: true },
+  { name: "confidence_score", column: "Confidence_Score", type: "number", decoded: true },
+  { name: "processed_at", column: "Processed_At", type: "string", decoded: true },
+  { name: "debug_info", column: "Debug_Info", type: "json", decoded: true },
+];
+
+/**
+ * Screenshot results: one per captured (or failed) screenshot, written to the
+ * processing_report.json of each screenshot stage. Stages may add their own fields.
+ */
+const RESULT_FIELDS = [
+  { name: "schema_version", type: "integer", required: true },
+  { name: "stage", type: "string", required: true },
+  { name: "url", type: "url" },
+  { name: "business_name", type: "string" },
+  { name: "city", type: "string" },
+  { name: "cid", type: "integer" },
+  { name: "places_api_id", type: "string" },
+  { name: "screenshot_path", type: "string" },
+  {
+    name: "screenshot_status",
+    type: "enum",
+    values: ["success", "error", "skipped"],
+    required: true,
+  },
+  { name: "error_message", type: "string" },
+  { name: "processed_at", type: "string", required: true },
+];
+
+const RECORD_SCHEMAS = {
+  scrape: BUSINESS_FIELDS.filter((field) => !field.decoded),
+  decode: BUSINESS_FIELDS,
+  result: RESULT_FIELDS,
+};
+
+function schemaFields(schemaName) {
+  const fields = RECORD_SCHEMAS[schemaName];
+  if (!fields) {
+    throw new Error(
+      `Unknown record schema "${schemaName}". Valid schemas: ${Object.keys(
+        RECORD_SCHEMAS
+      ).join(", ")}`
+    );
+  }
+  return fields;
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Problem with one field value, null when the value fits the field
+ */
+function checkValue(field, value) {
+  if (isEmpty(value)) {
+    return field.required ? `${field.column || field.name} is required` : null;
+  }
+
+  const label = field.column || field.name;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  switch (field.type) {
+    case "number":
+      return Number.isFinite(Number(value)) ? null : `${label} "${text}" is not a number`;
+    case "integer":
+      return /^-?\d+$/.test(String(value)) ? null : `${label} "${text}" is not an integer`;
+    case "url":
+      try {
+        const { protocol } = new URL(value);
+        return ["http:", "https:"].includes(protocol)
+          ? null
+          : `${label} "${text}" is not an http(s) URL`;
+      } catch {
+        return `${label} "${text}" is not a URL`;
+      }
+    case "enum":
+      return field.values.includes(value)
+        ? null
+        : `${label} "${text}" is not one of ${field.values.join(", ")}`;
+    case "json":
+      if (typeof value !== "string") return null;
+      try {
+        JSON.parse(value);
+        return null;
+      } catch {
+        return `${label} is not valid JSON`;
+      }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Problems with a record keyed by field name, empty when it is valid
+ */
+function validateRecord(schemaName, record) {
+  const errors = schemaFields(schemaName)
+    .map((field) => checkValue(field, record[field.name]))
+    .filter(Boolean);
+
+  const version = record.schema_version;
+  if (!isEmpty(version) && Number(version) !== SCHEMA_VERSION) {
+    errors.push(
+      `written with record schema version ${version}, this version reads ${SCHEMA_VERSION}`
+    );
+  }
+  return errors;
+}
+
+/**
+ * Field name for a CSV column; columns outside the schema keep their title
+ */
+function fieldForColumn(schemaName, column) {
+  const field = schemaFields(schemaName).find((f) => f.column === column);
+  return field ? field.name : column;
+}
+
+/**
+ * Whether a record key is a field of the schema
+ */
+function isSchemaField(schemaName, name) {
+  return schemaFields(schemaName).some((field) => field.name === name);
+}
+
+/**
+ * Append { url, error } entries to the error log (URL, Error, Timestamp columns)
+ */
+async function logRecordErrors(entries, errorsPath = RECORD_ERRORS_PATH) {
+  if (entries.length === 0 || !errorsPath) return;
+  fs.mkdirSync(path.dirname(errorsPath), { recursive: true });
+  const errorWriter = createCsvWriter({
+    path: errorsPath,
+    header: [
+      { id: "url", title: "URL" },
+      { id: "error", title: "Error" },
+      { id: "timestamp", title: "Timestamp" },
+    ],
+    append: fs.existsSync(errorsPath),
+  });
+  const timestamp = new Date().toISOString();
+  await errorWriter.writeRecords(entries.map((entry) => ({ timestamp, ...entry })));
+}
+
+/**
+ * Stream the rows of a stage CSV as validated records keyed by field name.
+ * Missing required columns or another schema version reject the file; a
+ * malformed row is skipped and logged to options.errorsPath (default
+ * RECORD_ERRORS_PATH) with its row number.
+ */
+async function* readRecords(csvFilePath, schemaName, options = {}) {
+  const fields = schemaFields(schemaName);
+  if (!fs.existsSync(csvFilePath)) {
+    throw new Error(`CSV file not found: ${csvFilePath}`);
+  }
+
+  let rowNumber = 1; // The header is row 1
+  for await (const row of fs.createReadStream(csvFilePath).pipe(csv())) {
+    rowNumber++;
+    if (rowNumber === 2) {
+      const columns = Object.keys(row);
+      const missing = [
+        ...fields.filter((f) => f.required).map((f) => f.column),
+        ...(options.requiredColumns || []),
+      ].filter((column) => !columns.includes(column));
+      if (missing.length > 0) {
+        throw new Error(
+          `${csvFilePath} is missing required column(s) ${missing.join(", ")}; ` +
+            `is it the output of the ${schemaName} stage?`
+        );
+      }
+    }
+
+    const record = {};
+    Object.entries(row).forEach(([column, value]) => {
+      record[fieldForColumn(schemaName, column)] = value;
+    });
+    // Another schema version is a file problem, not a row problem
+    if (!isEmpty(record.schema_version) && Number(record.schema_version) !== SCHEMA_VERSION) {
+      throw new Error(
+        `${csvFilePath} row ${rowNumber}: written with record schema version ${record.schema_version}, this version reads ${SCHEMA_VERSION}`
+      );
+    }
+    const errors = validateRecord(schemaName, record);
+    if (errors.length > 0) {
+      const error = `Skipped ${csvFilePath} row ${rowNumber}: ${errors.join("; ")}`;
+      console.warn(`⚠️ ${error}`);
+      await logRecordErrors([{ url: record.url || "", error }], options.errorsPath);
+      continue;
+    }
+    yield record;
+  }
+}
+
+/**
+ * All records of a stage CSV, see readRecords
+ */
+async function loadRecords(csvFilePath, schemaName, options = {}) {
+  const records = [];
+  for await (const record of readRecords(csvFilePath, schemaName, options)) {
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * csv-writer header for a schema, with extra (non-schema) columns appended
+ */
+function csvHeader(schemaName, extraColumns = []) {
+  return [
+    ...schemaFields(schemaName).map((field) => ({
+      id: field.name,
+      title: field.column,
+    })),
+    ...extraColumns
+      .filter((column) => !isSchemaField(schemaName, column))
+      .map((column) => ({ id: column, title: column })),
+  ];
+}
+
+/**
+ * CSV writer that stamps the schema version on each record and skips records
+ * that do not fit the schema, handing them to options.onInvalid(record, errors)
+ * or else logging them to options.errorsPath (default RECORD_ERRORS_PATH).
+ * writeRecords resolves to the records written. The header is written with
+ * the first non-empty batch.
+ */
+function createRecordCsvWriter(schemaName, outputPath, extraColumns = [], options = {}) {
+  const csvWriter = createCsvWriter({
+    path: outputPath,
+    header: csvHeader(schemaName, extraColumns),
+  });
+
+  return {
+    async writeRecords(records) {
+      const valid = [];
+      const rejected = [];
+      records.forEach((record) => {
+        const stamped = { ...record, schema_version: SCHEMA_VERSION };
+        const errors = validateRecord(schemaName, stamped);
+        if (errors.length === 0) {
+          valid.push(stamped);
+          return;
+        }
+        console.warn(
+          `⚠️ Skipped ${schemaName} record for ${record.url || "unknown URL"}: ${errors.join("; ")}`
+        );
+        if (options.onInvalid) {
+          options.onInvalid(record, errors);
+        } else {
+          rejected.push({
+            url: record.url || "",
+            error: `Skipped ${schemaName} record: ${errors.join("; ")}`,
+          });
+        }
+      });
+
+      await logRecordErrors(rejected, options.errorsPath);
+      if (valid.length > 0) await csvWriter.writeRecords(valid);
+      return valid;
+    },
+  };
+}
+
+/**
+ * Screenshot result record for a stage. Fields left out default to empty.
+ */
+function createResultRecord(stage, fields = {}) {
+  const record = {
+    schema_version: SCHEMA_VERSION,
+    stage,
+    url: "",
+    business_name: "",
+    city: "",
+    cid: "",
+    places_api_id: "",
+    screenshot_path: "",
+    screenshot_status: "success",
+    error_message: "",
+    processed_at: new Date().toISOString(),
+    ...fields,
+  };
+  const errors = validateRecord("result", record);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${stage} result for ${record.url || "unknown URL"}: ${errors.join("; ")}`);
+  }
+  return record;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  RECORD_ERRORS_PATH,
+  BUSINESS_FIELDS,
+  RESULT_FIELDS,
+  RECORD_SCHEMAS,
+  validateRecord,
+  logRecordErrors,
+  fieldForColumn,
+  isSchemaField,
+  readRecords,
+  loadRecords,
+  csvHeader,
+  createRecordCsvWriter,
+  createResultRecord,
+};
@@ -5,16 +5,17 @@ const fs = require("fs");
 const csv = require("csv-parser");
 const createCsvWriter = require("csv-writer").createObjectCsvWriter;
 const path = require("path");
-const {
-  InitializeGBPIframeProcessor,
-} = require("../screenshot_services/gbp_embed_screenshot.js");
 const { EnhancedGBPUrlDecoder } = require("./utils/gbp_url_decoder.js"); // Import the decoder
+const { PoliteWorkerPool } = require("./utils/polite_worker_pool.js");
+const { ScreamingFrogRowFilter } = require("./utils/sf_row_filter.js");
 const {
-  InitializeGoogleMapsDirectionsScreenshot,
-} = require("../screenshot_services/gbp_location_screenshot.js");
-const {
-  InitializeGBPBrowserSearchScreenshot,
-} = require("../screenshot_services/gbp_browser_search_screenshot.js");
+  GBPEmbedDetectorRegistry,
+  collectEmbedSnapshot,
+  isGoogleMapsEmbedUrl,
+  decodeHtmlEntities,
+  embedSrcKey,
+} = require("./utils/gbp_embed_detectors.js");
+const { createRecordCsvWriter } = require("../pipeline/record_schema.js");
 
 class EnhancedGBPIframeScraper {
   constructor(options = {}) {
@@ -24,29 +25,29 @@ class EnhancedGBPIframeScraper {
       waitForNetworkIdle: options.waitForNetworkIdle || 2000,
       maxRetries: options.maxRetries || 3,
       delay: options.delay || 1000,
+      concurrency: options.concurrency || 3,
+      maxPerHost: options.maxPerHost || options.concurrency || 3,
+      perHostDelay: options.perHostDelay ?? options.delay ?? 1000, // ms between two page loads on one host
+      requestsPerMinute: options.requestsPerMinute || 0, // Global cap, 0 = unlimited
       userAgent:
         options.userAgent ||
         "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
       enableDecoding: options.enableDecoding !== false, // Enable decoding by default
+      inputFilter: options.inputFilter || {}, // ScreamingFrogRowFilter options
     };
     this.results = [];
     this.errors = [];
     this.onlyGBPSuccessRecords = [];
-    this.decoder = new EnhancedGBPUrlDecoder(); // Initialize decoder
+    this.decoder = options.decoder || new EnhancedGBPUrlDecoder(); // Used when enableDecoding is on
+    this.detectors = options.detectors || new GBPEmbedDetectorRegistry(); // Embed detector registry
+    this.stateStore = options.stateStore || null; // Optional JobStateStore for resumable runs
   }
 
   /**
    * Check if a URL contains Google Maps embed pattern
    */
   isGoogleMapsEmbed(url) {
-    if (!url) return false;
-
-    const patterns = [
-      /^https?:\/\/www\.google\.com\/maps\/embed/i,
-      /^https?:\/\/maps\.google\.com\/maps/i,
-    ];
-
-    return patterns.some((pattern) => pattern.test(url));
+    return isGoogleMapsEmbedUrl(url);
   }
 
   normalizeUrl(url) {
@@ -68,7 +69,8 @@ class EnhancedGBPIframeScraper {
     iframePatterns.forEach((pattern) => {
       let match;
       while ((match = pattern.exec(html)) !== null) {
-        const src = match[1];
+        // Attribute values in serialized HTML keep their entities ("&amp;")
+        const src = decodeHtmlEntities(match[1]);
         if (src && this.isGoogleMapsEmbed(src)) {
           iframeSources.push(src);
         }
@@ -108,72 +110,70 @@ class EnhancedGBPIframeScraper {
       await new Promise(resolve => setTimeout(resolve, this.options.waitForNetworkIdle));
 
       const html = await page.content();
-      const regexSources = this.extractIframeSources(html);
+      const snapshot = await page.evaluate(collectEmbedSnapshot);
+
+      // Static HTML can hold iframes the DOM query misses (e.g. inside <noscript>),
+      // only add the ones no live iframe already shows
+      const liveSources = new Set(
+        snapshot.iframes
+          .flatMap((iframe) => [iframe.src, iframe.dataSrc, iframe.dataLazySrc])
+          .filter(Boolean)
+          .map(embedSrcKey)
+      );
+      this.extractIframeSources(html).forEach((src) => {
+        const key = embedSrcKey(src);
+        if (!liveSources.has(key)) {
+          liveSources.add(key);
+          snapshot.iframes.push({ src, dataSrc: "", dataLazySrc: "" });
+        }
+      });
 
-      const domSources = await page.evaluate(() => {
-        const iframes = document.querySelectorAll("iframe");
-        const sources = [];
+      const detections = this.detectors.detect(snapshot);
 
-        iframes.forEach((iframe) => {
-          const src = iframe.src || iframe.getAttribute("src");
-          if (src) {
-            sources.push(src);
-          }
-        });
+      if (detections.length > 0) {
+        console.log(
+          `✓ Found ${detections.length} Google Maps embed(s) on ${url}: ${[
+            ...new Set(detections.map((d) => d.type)),
+          ].join(", ")}`
+        );
 
-        return sources;
-      });
+        for (const detection of detections) {
+          const normalizedURL = this.normalizeUrl(detection.source);
 
-      const allSources = [...regexSources, ...domSources];
-      const gbpSources = allSources.filter((src) =>
-        this.isGoogleMapsEmbed(src)
-      );
-      const uniqueSources = [...new Set(gbpSources)];
-
-      if (uniqueSources.length > 0) {
-        console.log(`✓ Found ${uniqueSources.length} GBP iframe(s) on ${url}`);
-
-        const matchingIframes = await page.evaluate(() => {
-          const iframes = Array.from(document.querySelectorAll("iframe"));
-          return iframes
-            .map((iframe) => {
-              const src = iframe.getAttribute("src") || "";
-              return { src };
-            })
-            .filter(
-              ({ src }) =>
-                src.startsWith("https://www.google.com/maps/embed") ||
-                src.startsWith("https://maps.google.com/maps")
-            );
-        });
-
-        for (const { src } of matchingIframes) {
-          const normalizedURL = this.normalizeUrl(src);
           if (normalizedURL.length > 0) {
             try {
               // Decode GBP URL if decoding is enabled
               let decodedInfo = {};
               if (this.options.enableDecoding) {
-                decodedInfo = await this.decoder.decodeGBPUrl(normalizedURL);
+                decodedInfo = await this.decoder.decodeGBPUrl(normalizedURL, {
+                  pageUrl: url,
+                });
                 console.log("decoded info:::", decodedInfo);
               }
 
               const result = {
                 url: url,
                 iframe_src: normalizedURL,
+                detection_type: detection.type,
+                detection_evidence: detection.evidence,
                 found_at: new Date().toISOString(),
                 status: "success",
                 business_name: this.options.enableDecoding
                   ? decodedInfo.businessName || ""
                   : "",
-                place_id: decodedInfo.placeId,
+                feature_id: decodedInfo.featureId || "",
+                cid: decodedInfo.cid || "",
+                cid_url: decodedInfo.cidUrl || "",
+                places_api_id: decodedInfo.placesApiId || "",
                 city: decodedInfo.city,
                 address: this.options.enableDecoding
                   ? decodedInfo.address || ""
                   : "",
-                name_and_address: `${decodedInfo.businessName}, ${decodedInfo.address}`,
-                latitude: decodedInfo.coordinates.latitude || "",
-                longitude: decodedInfo.coordinates.longitude || "",
+                name_and_address: this.options.enableDecoding
+                  ? `${decodedInfo.businessName}, ${decodedInfo.address}`
+                  : "",
+                latitude: decodedInfo.coordinates?.latitude || "",
+                longitude: decodedInfo.coordinates?.longitude || "",
                 nearby_place_name:decodedInfo.nearbyPlaceName||"",
                 nearby_place_address:decodedInfo.nearbyPlaceAddress||"",
                 nearby_place_latitude:decodedInfo.nearbyPlaceLatitude||"",
@@ -202,10 +202,15 @@ class EnhancedGBPIframeScraper {
               this.results.push({
                 url: url,
                 iframe_src: normalizedURL,
+                detection_type: detection.type,
+                detection_evidence: detection.evidence,
                 found_at: new Date().toISOString(),
                 status: "error",
                 city: "",
-                place_id: "",
+                feature_id: "",
+                cid: "",
+                cid_url: "",
+                places_api_id: "",
                 name_and_address: "",
                 nearby_place_name:"",
                 nearby_place_address:"",
@@ -220,6 +225,33 @@ class EnhancedGBPIframeScraper {
                 decoding_error: innerError.message,
               });
             }
+          } else {
+            // Nothing to decode, e.g. a Maps JavaScript API widget
+            this.results.push({
+              url: url,
+              iframe_src: "",
+              detection_type: detection.type,
+              detection_evidence: detection.evidence,
+              found_at: new Date().toISOString(),
+              status: "success",
+              city: "",
+              feature_id: "",
+              cid: "",
+              cid_url: "",
+              places_api_id: "",
+              name_and_address: "",
+              nearby_place_name:"",
+              nearby_place_address:"",
+              nearby_place_latitude:"",
+              nearby_place_longitude:"",
+              latitude: "",
+              longitude: "",
+              business_name: "",
+              address: "",
+              gmaps_search_url: "",
+              decoding_status: "N/A",
+              decoding_error: "",
+            });
           }
         }
       } else {
@@ -227,6 +259,8 @@ class EnhancedGBPIframeScraper {
         this.results.push({
           url: url,
           iframe_src: "",
+          detection_type: "",
+          detection_evidence: "",
           found_at: new Date().toISOString(),
           status: "no_iframe_found",
           name_and_address: "",
@@ -240,8 +274,10 @@ class EnhancedGBPIframeScraper {
           business_name: "",
           address: "",
           gmaps_search_url: "",
-          place_id: "",
-          // place_id: '',
+          feature_id: "",
+          cid: "",
+          cid_url: "",
+          places_api_id: "",
           // latitude: '',
           // longitude: '',
           decoding_status: "N/A",
@@ -259,6 +295,8 @@ class EnhancedGBPIframeScraper {
       this.results.push({
         url: url,
         iframe_src: "",
+        detection_type: "",
+        detection_evidence: "",
         found_at: new Date().toISOString(),
         status: "error",
         name_and_address: "",
@@ -268,7 +306,10 @@ class EnhancedGBPIframeScraper {
         nearby_place_longitude:"",
         latitude: "",
         longitude: "",
-        place_id: "",
+        feature_id: "",
+        cid: "",
+        cid_url: "",
+        places_api_id: "",
         city: "",
         business_name: "",
         address: "",
@@ -284,22 +325,71 @@ class EnhancedGBPIframeScraper {
     }
   }
 
+  /**
+   * Scrape a URL and checkpoint its rows in the job state store
+   */
+  async scrapeUrlWithCheckpoint(url, browser) {
+    if (!this.stateStore) {
+      return this.scrapeUrl(url, browser);
+    }
+
+    this.stateStore.record("scrape", url, "started");
+    await this.scrapeUrl(url, browser);
+
+    const results = this.results.filter((r) => r.url === url);
+    const failed = results.some((r) => r.status === "error");
+    this.stateStore.record("scrape", url, failed ? "error" : "success", {
+      results,
+    });
+  }
+
+  /**
+   * Drop URLs a resumed run already scraped, restoring their rows
+   */
+  restoreCompletedUrls(urls) {
+    if (!this.stateStore) return urls;
+
+    const pending = urls.filter((url) => {
+      const entry = this.stateStore.get("scrape", url);
+      if (entry && entry.status === "success") {
+        this.results.push(...entry.data.results);
+        return false;
+      }
+      return true;
+    });
+
+    console.log(
+      `⏩ Resuming run ${this.stateStore.runId}: ${
+        urls.length - pending.length
+      } URL(s) already scraped, ${pending.length} left`
+    );
+    return pending;
+  }
+
   /**
    * Read URLs from CSV file
    */
   async readUrlsFromCsv(csvFilePath, columnName = "Address") {
     return new Promise((resolve, reject) => {
       const urls = [];
+      let rowFilter;
 
       if (!fs.existsSync(csvFilePath)) {
         reject(new Error(`CSV file not found: ${csvFilePath}`));
         return;
       }
 
+      try {
+        rowFilter = new ScreamingFrogRowFilter(this.options.inputFilter);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
       fs.createReadStream(csvFilePath)
         .pipe(csv())
         .on("data", (row) => {
-          const url = row[Object.keys(row)[0]];
+          const url = row[columnName] ?? row[Object.keys(row)[0]];
           if (url && url.trim()) {
             let cleanUrl = url.trim();
             if (
@@ -308,10 +398,14 @@ class EnhancedGBPIframeScraper {
             ) {
               cleanUrl = "https://" + cleanUrl;
             }
-            urls.push(cleanUrl);
+            if (rowFilter.accept(row, cleanUrl)) {
+              urls.push(cleanUrl);
+            }
           }
         })
         .on("end", () => {
+          rowFilter.logReport();
+          this.inputFilterStats = rowFilter.stats;
           console.log(`Loaded ${urls.length} URLs from CSV`);
           resolve(urls);
         })
@@ -336,43 +430,32 @@ class EnhancedGBPIframeScraper {
    * Save enhanced results to CSV file
    */
   async saveResultsToCsv(outputPath) {
-    const csvWriter = createCsvWriter({
-      path: outputPath,
-      header: [
-        { id: "url", title: "URL" },
-        { id: "iframe_src", title: "GBP_Iframe_Source" },
-        { id: "business_name", title: "Business_Name" },
-        { id: "name_and_address", title: "Name_Address" },
-        { id: "city", title: "City" },
-        { id: "address", title: "Business_Address" },
-        {id:"latitude", title: 'Latitude'},
-        {id:"longitude", title: "Longitude"},
-        {id:"nearby_place_name", title:"Nearby_Place_Name"},
-        {id:"nearby_place_address", title:"Nearby_Place_Address"},
-        {id: "nearby_place_latitude", title:"Nearby_Place_Latitude"},
-        {id: "nearby_place_longitude", title:"Nearby_Place_longitude"},
-        { id: "search_url", title: "Search_URL" },
-        { id: "gmaps_search_url", title: "Gmaps_Search_URL" },
-        { id:"place_id", title:'Place_Id' },
-        { id: "found_at", title: "Scraped_At" },
-        { id: "status", title: "Status" },
-        { id: "decoding_status", title: "Decoding_Status" },
-        { id: "decoding_error", title: "Decoding_Error" },
-      ],
+    // Columns come from the shared record schema read by the decode stage
+    // Rows that do not fit go to the error log written below
+    const csvWriter = createRecordCsvWriter("scrape", outputPath, [], {
+      onInvalid: (record, errors) =>
+        this.errors.push({
+          url: record.url,
+          error: `Skipped scrape record: ${errors.join("; ")}`,
+          timestamp: new Date().toISOString(),
+        }),
     });
 
     this.onlyGBPSuccessRecords = this.results.filter((result) => {
-      return result.iframe_src.length > 0;
+      return result.detection_type.length > 0;
     });
 
     //  const uniqueRecords = this.getUniqueBusinessesByName(this.onlyGBPSuccessRecords);
 
+    // Without decoding every business name is empty, so fall back to the embed source
     const uniqueKeys = [];
     const uniqueEle = [];
     this.onlyGBPSuccessRecords.forEach((e) => {
-      if (!uniqueKeys.includes(e.business_name)) {
+      const key =
+        e.business_name || e.iframe_src || `${e.detection_type}|${e.url}`;
+      if (!uniqueKeys.includes(key)) {
         uniqueEle.push(e);
-        uniqueKeys.push(e.business_name);
+        uniqueKeys.push(key);
       }
     });
 
@@ -440,20 +523,21 @@ class EnhancedGBPIframeScraper {
     });
 
     try {
-      const concurrency = 3;
-
-      for (let i = 0; i < urls.length; i += concurrency) {
-        const batch = urls.slice(i, i + concurrency);
-        const promises = batch.map((url) => this.scrapeUrl(url, browser));
-
-        await Promise.all(promises);
+      const pendingUrls = this.restoreCompletedUrls(urls);
+      const pool = new PoliteWorkerPool({
+        concurrency: this.options.concurrency,
+        maxPerHost: this.options.maxPerHost,
+        perHostDelay: this.options.perHostDelay,
+        requestsPerMinute: this.options.requestsPerMinute,
+      });
 
-        if (i + concurrency < urls.length) {
-          await new Promise((resolve) =>
-            setTimeout(resolve, this.options.delay)
-          );
-        }
-      }
+      console.log(
+        `⚙️ Concurrency ${this.options.concurrency} (max ${this.options.maxPerHost} per host, ${this.options.perHostDelay}ms apart), ` +
+          `global cap ${this.options.requestsPerMinute || "unlimited"} req/min`
+      );
+      await pool.run(pendingUrls, (url) =>
+        this.scrapeUrlWithCheckpoint(url, browser)
+      );
 
       await this.saveResultsToCsv(options.outputPath);
 
@@ -474,34 +558,10 @@ class EnhancedGBPIframeScraper {
       console.log(
         `Results saved to: ${options.outputPath || "gbp_enhanced_results.csv"}`
       );
-
-      // Trigger screenshot rendering if GBP records were found
-      if (this.onlyGBPSuccessRecords.length > 0) {
-        console.log(
-          `\n📸 Found ${this.onlyGBPSuccessRecords.length} GBP records. Starting screenshot rendering...`
-        );
-        try {
-          const inputCSVFilePath = "./gbp_output_data/gbp_enhanced_records.csv";
-          await Promise.allSettled([
-            // InitializeGBPIframeProcessor(inputCSVFilePath),
-            // InitializeGoogleMapsDirectionsScreenshot(inputCSVFilePath),
-            // InitializeGBPBrowserSearchScreenshot(inputCSVFilePath),
-          ]);
-
-          // await InitializeGBPIframeProcessor(options.outputPath || "./gbp_output_data/gbp_enhanced_records.csv");
-        } catch (renderError) {
-          console.error("Screenshot rendering failed:", renderError.message);
-          console.log(
-            "Scraping completed successfully, but screenshot rendering encountered errors."
-          );
-        }
-      } else {
-        console.log(
-          "\n📸 No GBP iframes found. Skipping screenshot rendering."
-        );
-      }
     } finally {
       await browser.close();
+      // Place lookups made while decoding stay in memory until flushed
+      if (this.decoder.placeCache) this.decoder.placeCache.flush();
     }
 
     return this.results;
@@ -535,9 +595,8 @@ async function InitializeEnhancedGBPScraper() {
     console.log(
       "   - gbp_enhanced_records.csv (enhanced scraping results with decoded business info)"
     );
-    console.log("   - gbp_screenshots/ folder (screenshots of GBP iframes)");
     console.log(
-      "   - gbp_screenshot_results.csv (screenshot processing results)"
+      "📸 Run `npm run gbp -- run-all --skip crawl,scrape,decode` to render the screenshots"
     );
   } catch (error) {
     console.error("Process failed:", error);
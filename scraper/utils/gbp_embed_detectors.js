@@ -0,0 +1,231 @@
+// gbp_embed_detectors.js
+
+const EMBED_URL_PATTERNS = [
+  /^https?:\/\/www\.google\.com\/maps\/embed/i,
+  /^https?:\/\/maps\.google\.com\/maps/i,
+];
+
+const PLACE_LINK_PATTERNS = [
+  /^https?:\/\/(www\.)?google\.[a-z.]+\/maps\/place\//i,
+  /^https?:\/\/(www\.|maps\.)?google\.[a-z.]+\/(maps)?\?(.*&)?cid=\d+/i,
+];
+
+const SHORT_LINK_PATTERNS = [
+  /^https?:\/\/maps\.app\.goo\.gl\/\w+/i,
+  /^https?:\/\/goo\.gl\/maps\/\w+/i,
+  /^https?:\/\/g\.page\/[\w-]+/i,
+];
+
+const JS_API_PATTERN = /^https?:\/\/maps\.googleapis\.com\/maps\/api\/js/i;
+
+const isGoogleMapsEmbedUrl = (url) =>
+  Boolean(url) && EMBED_URL_PATTERNS.some((pattern) => pattern.test(url));
+
+const isGoogleMapsShortLink = (url) =>
+  Boolean(url) && SHORT_LINK_PATTERNS.some((pattern) => pattern.test(url));
+
+const HTML_ENTITIES = { amp: "&", quot: '"', apos: "'", lt: "<", gt: ">" };
+
+/**
+ * Decode the HTML entities serialized attribute values carry (page.content()
+ * writes every "&" in an iframe src as "&amp;")
+ */
+function decodeHtmlEntities(text) {
+  return String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] !== "#") return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    const codePoint =
+      code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+  });
+}
+
+// maps.google.com, www.google.com and google.com serve the same embeds
+const GOOGLE_HOST_PATTERN = /^(?:www\.|maps\.)?google\.[a-z.]+$/;
+
+/**
+ * Comparable form of an embed src: HTML entities decoded, Google host
+ * aliases merged and query parameters decoded. Null when it is not a URL.
+ */
+function normalizeEmbedSrc(src) {
+  const text = decodeHtmlEntities(src).trim();
+  if (!text) return null;
+  try {
+    const url = new URL(text, "https://www.google.com");
+    const host = url.hostname.toLowerCase();
+    const params = new Map();
+    url.searchParams.forEach((value, key) => params.set(key, value));
+    return {
+      host: GOOGLE_HOST_PATTERN.test(host) ? "google" : host,
+      path: url.pathname.replace(/\/+$/, ""),
+      params,
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One string per embed, whatever its entity encoding, host alias or
+ * parameter order, for telling whether two srcs are the same embed
+ */
+function embedSrcKey(src) {
+  const normalized = normalizeEmbedSrc(src);
+  if (!normalized) return decodeHtmlEntities(src).trim();
+  const params = [...normalized.params]
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join("&");
+  return `${normalized.host}${normalized.path}?${params}`;
+}
+
+/**
+ * Collects everything the detectors look at. Runs inside the page via page.evaluate.
+ */
+function collectEmbedSnapshot() {
+  const attr = (el, name) => (el.getAttribute(name) || "").trim();
+
+  return {
+    iframes: Array.from(document.querySelectorAll("iframe")).map((iframe) => ({
+      src: attr(iframe, "src"),
+      dataSrc: attr(iframe, "data-src"),
+      dataLazySrc: attr(iframe, "data-lazy-src"),
+    })),
+    links: Array.from(document.querySelectorAll("a[href]")).map((anchor) => ({
+      href: anchor.href,
+      text: (anchor.textContent || "").trim().substring(0, 80),
+    })),
+    scripts: Array.from(document.querySelectorAll("script[src]")).map(
+      (script) => script.src
+    ),
+    jsMapContainers: document.querySelectorAll(".gm-style").length,
+  };
+}
+
+/**
+ * Built-in detectors. Each returns a list of { type, source, evidence }.
+ */
+const DEFAULT_DETECTORS = [
+  {
+    type: "embed_iframe",
+    detect: (snapshot) =>
+      snapshot.iframes
+        .filter((iframe) => isGoogleMapsEmbedUrl(iframe.src))
+        .map((iframe) => ({ source: iframe.src, evidence: "iframe[src]" })),
+  },
+  {
+    type: "lazy_iframe",
+    detect: (snapshot) =>
+      snapshot.iframes
+        .filter((iframe) => !isGoogleMapsEmbedUrl(iframe.src))
+        .flatMap((iframe) =>
+          [
+            ["data-src", iframe.dataSrc],
+            ["data-lazy-src", iframe.dataLazySrc],
+          ]
+            .filter(([, src]) => isGoogleMapsEmbedUrl(src))
+            .map(([attribute, src]) => ({
+              source: src,
+              evidence: `iframe[${attribute}]`,
+            }))
+        ),
+  },
+  {
+    type: "maps_link",
+    detect: (snapshot) =>
+      snapshot.links
+        .filter((link) =>
+          PLACE_LINK_PATTERNS.some((pattern) => pattern.test(link.href))
+        )
+        .map((link) => ({
+          source: link.href,
+          evidence: `a[href] "${link.text}"`,
+        })),
+  },
+  {
+    type: "short_link",
+    detect: (snapshot) =>
+      snapshot.links
+        .filter((link) => isGoogleMapsShortLink(link.href))
+        .map((link) => ({
+          source: link.href,
+          evidence: `a[href] "${link.text}"`,
+        })),
+  },
+  {
+    type: "js_api_map",
+    detect: (snapshot) => {
+      const apiScripts = snapshot.scripts.filter((src) =>
+        JS_API_PATTERN.test(src)
+      );
+      if (apiScripts.length === 0 && snapshot.jsMapContainers === 0) {
+        return [];
+      }
+      // There is no place URL to decode, only evidence the widget is there
+      return [
+        {
+          source: "",
+          evidence: [
+            ...apiScripts.map(
+              (src) => `script[src]=${src.replace(/([?&]key=)[^&]+/i, "$1…")}`
+            ),
+            snapshot.jsMapContainers > 0
+              ? `${snapshot.jsMapContainers} .gm-style container(s)`
+              : "",
+          ]
+            .filter(Boolean)
+            .join("; "),
+        },
+      ];
+    },
+  },
+];
+
+/**
+ * Registry of Google Maps embed detectors. Register extra detectors with
+ * register({ type, detect(snapshot) }).
+ */
+class GBPEmbedDetectorRegistry {
+  constructor(detectors = DEFAULT_DETECTORS) {
+    this.detectors = [];
+    detectors.forEach((detector) => this.register(detector));
+  }
+
+  register(detector) {
+    if (!detector || !detector.type || typeof detector.detect !== "function") {
+      throw new Error("A detector needs a type and a detect(snapshot) function");
+    }
+    this.detectors = this.detectors.filter((d) => d.type !== detector.type);
+    this.detectors.push(detector);
+    return this;
+  }
+
+  /**
+   * Run every detector against a page snapshot, one detection per type and source
+   */
+  detect(snapshot) {
+    const seen = new Set();
+    const detections = [];
+
+    this.detectors.forEach((detector) => {
+      detector.detect(snapshot).forEach((detection) => {
+        const key = `${detector.type}|${detection.source}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        detections.push({ type: detector.type, ...detection });
+      });
+    });
+
+    return detections;
+  }
+}
+
+module.exports = {
+  GBPEmbedDetectorRegistry,
+  DEFAULT_DETECTORS,
+  collectEmbedSnapshot,
+  isGoogleMapsEmbedUrl,
+  isGoogleMapsShortLink,
+  decodeHtmlEntities,
+  normalizeEmbedSrc,
+  embedSrcKey,
+};
@@ -0,0 +1,135 @@
+// gbp_short_link_resolver.js
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SHORT_LINK_HOSTS = ["maps.app.goo.gl", "goo.gl", "g.page"];
+const DEFAULT_TTL_DAYS = 30;
+
+/**
+ * Follows Google Maps short links (maps.app.goo.gl, goo.gl/maps, g.page)
+ * to the full /maps/place/... URL with a bounded number of redirects.
+ * Resolved links are cached in memory and, when cachePath is set, on disk,
+ * for ttlDays: a short link can be repointed at another place.
+ */
+class GBPShortLinkResolver {
+  constructor(options = {}) {
+    const ttlDays =
+      options.ttlDays ??
+      (process.env.GBP_SHORT_LINK_CACHE_TTL_DAYS !== undefined
+        ? Number(process.env.GBP_SHORT_LINK_CACHE_TTL_DAYS)
+        : DEFAULT_TTL_DAYS);
+    this.options = {
+      maxHops: options.maxHops || 10,
+      timeout: options.timeout || 10000,
+      shortLinkHosts: options.shortLinkHosts || DEFAULT_SHORT_LINK_HOSTS,
+      cachePath: options.cachePath || "",
+      ttlMs: ttlDays * 24 * 60 * 60 * 1000,
+      userAgent:
+        options.userAgent ||
+        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+    };
+    // Injectable so the resolver can run against a local redirect stub
+    this.fetch = options.fetch || fetch;
+    this.cache = new Map();
+    this.loadCache();
+  }
+
+  loadCache() {
+    if (!this.options.cachePath || !fs.existsSync(this.options.cachePath)) {
+      return;
+    }
+    try {
+      const entries = JSON.parse(fs.readFileSync(this.options.cachePath, "utf8"));
+      Object.entries(entries).forEach(([url, entry]) =>
+        // Older caches stored the bare URL, without a date they count as expired
+        this.cache.set(url, typeof entry === "string" ? { url: entry, resolvedAt: 0 } : entry)
+      );
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable short link cache: ${error.message}`);
+    }
+  }
+
+  saveCache() {
+    if (!this.options.cachePath) return;
+    fs.mkdirSync(path.dirname(this.options.cachePath), { recursive: true });
+    fs.writeFileSync(
+      this.options.cachePath,
+      JSON.stringify(Object.fromEntries(this.cache), null, 2)
+    );
+  }
+
+  isShortLink(url) {
+    try {
+      const { hostname, pathname } = new URL(url);
+      const host = hostname.toLowerCase();
+      if (!this.options.shortLinkHosts.includes(host)) return false;
+      // Plain goo.gl links are not necessarily maps links
+      return host !== "goo.gl" || pathname.startsWith("/maps");
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Unwrap consent.google.com interstitials, which carry the target in "continue"
+   */
+  unwrapConsentRedirect(url) {
+    try {
+      const urlObj = new URL(url);
+      if (urlObj.hostname.startsWith("consent.")) {
+        return urlObj.searchParams.get("continue") || url;
+      }
+    } catch {
+      // Not a URL we can unwrap
+    }
+    return url;
+  }
+
+  /**
+   * Resolve a short link to its final URL, returning { url, hops, cached }
+   */
+  async resolve(shortUrl) {
+    const entry = this.cache.get(shortUrl);
+    if (entry && Date.now() - entry.resolvedAt <= this.options.ttlMs) {
+      return { url: entry.url, hops: 0, cached: true };
+    }
+
+    let currentUrl = shortUrl;
+    let hops = 0;
+
+    // Stop as soon as a redirect leaves the short link hosts, the full place URL needs no fetch
+    while (hops < this.options.maxHops && this.isShortLink(currentUrl)) {
+      const res = await this.fetch(currentUrl, {
+        method: "GET",
+        redirect: "manual",
+        headers: { "User-Agent": this.options.userAgent },
+        signal: AbortSignal.timeout(this.options.timeout),
+      });
+
+      const location = res.headers.get("location");
+      if (res.status < 300 || res.status >= 400 || !location) {
+        throw new Error(
+          `Short link ${currentUrl} answered ${res.status} without redirecting to a place URL`
+        );
+      }
+
+      currentUrl = this.unwrapConsentRedirect(
+        new URL(location, currentUrl).toString()
+      );
+      hops++;
+    }
+
+    if (this.isShortLink(currentUrl)) {
+      throw new Error(
+        `Short link ${shortUrl} exceeded ${this.options.maxHops} redirects`
+      );
+    }
+
+    this.cache.set(shortUrl, { url: currentUrl, resolvedAt: Date.now() });
+    this.saveCache();
+    return { url: currentUrl, hops, cached: false };
+  }
+}
+
+module.exports = { GBPShortLinkResolver, DEFAULT_SHORT_LINK_HOSTS, DEFAULT_TTL_DAYS };
@@ -1,10 +1,49 @@
 // enhanced_gbp_url_decoder.js
 
 const fs = require("fs");
-const csv = require("csv-parser");
-const createCsvWriter = require("csv-writer").createObjectCsvWriter;
+const { GBPShortLinkResolver } = require("./gbp_short_link_resolver.js");
+const { PbEmbed, featureIdToCid } = require("./pb_parser.js");
+const {
+  createPlaceProvider,
+  PlaceLookupCache,
+  CachedPlaceProvider,
+} = require("./place_providers/index.js");
+const {
+  PlaceCandidateMatcher,
+  DEFAULT_MATCH_OPTIONS,
+} = require("./place_matcher.js");
+const { DirectionsOriginStrategy } = require("./origin_strategy.js");
+const {
+  readRecords,
+  createRecordCsvWriter,
+  fieldForColumn,
+  isSchemaField,
+} = require("../../pipeline/record_schema.js");
 require('dotenv').config();
 
+// offline: pb/URL parsing only, verify: + Places text search, full: + nearby places
+const DECODE_MODES = ["offline", "verify", "full"];
+
+/**
+ * Resolve the decode mode from an option or GBP_DECODE_MODE, falling back to
+ * offline when the place provider is not configured
+ */
+function resolveDecodeMode(mode = process.env.GBP_DECODE_MODE, placeProvider = null) {
+  const decodeMode = (mode || "full").trim().toLowerCase();
+  if (!DECODE_MODES.includes(decodeMode)) {
+    throw new Error(
+      `Unknown decode mode "${mode}". Valid modes: ${DECODE_MODES.join(", ")}`
+    );
+  }
+  if (decodeMode !== "offline" && placeProvider && !placeProvider.isConfigured()) {
+    console.warn(
+      `⚠️ Place provider "${placeProvider.name}" is not configured (${placeProvider.configurationHint}), decoding in offline mode instead of ${decodeMode}`
+    );
+    return "offline";
+  }
+  return decodeMode;
+}
+
 class EnhancedGBPUrlDecoder {
   constructor(options = {}) {
     this.options = {
@@ -13,7 +52,41 @@ class EnhancedGBPUrlDecoder {
       fallbackToAlternativeMethods:
         options.fallbackToAlternativeMethods !== false,
     };
+    // Name, { name, ...options } or PlaceProvider instance, see place_providers/index.js
+    const placeProvider = createPlaceProvider(options.placeProvider);
+    this.options.decodeMode = resolveDecodeMode(
+      options.decodeMode,
+      placeProvider
+    );
+    // PlaceLookupCache instance or its options, false disables caching
+    this.placeCache =
+      options.placeCache === false
+        ? null
+        : options.placeCache instanceof PlaceLookupCache
+        ? options.placeCache
+        : new PlaceLookupCache(options.placeCache);
+    this.placeProvider = this.placeCache
+      ? new CachedPlaceProvider(placeProvider, this.placeCache)
+      : placeProvider;
+    // DirectionsOriginStrategy instance or its options
+    this.originStrategy =
+      options.originStrategy instanceof DirectionsOriginStrategy
+        ? options.originStrategy
+        : new DirectionsOriginStrategy(options.originStrategy);
+    this.placeMatcher = new PlaceCandidateMatcher({
+      threshold:
+        options.matchThreshold ??
+        (process.env.GBP_MATCH_THRESHOLD !== undefined
+          ? Number(process.env.GBP_MATCH_THRESHOLD)
+          : DEFAULT_MATCH_OPTIONS.threshold),
+    });
     this.decodedResults = [];
+    this.shortLinkResolver =
+      options.shortLinkResolver ||
+      new GBPShortLinkResolver({
+        cachePath:
+          options.shortLinkCachePath ?? "gbp_output_data/short_link_cache.json",
+      });
   }
 
   /**
@@ -52,7 +125,8 @@ class EnhancedGBPUrlDecoder {
   }
 
   /**
-   * Parse the pb parameter structure more accurately
+   * Parse the pb parameter as a nested !<field><type><value> tree, falling
+   * back to the segment scan when the nesting counts do not add up
    */
   parsePbParameter(pb) {
     if (!pb) return null;
@@ -70,58 +144,52 @@ class EnhancedGBPUrlDecoder {
 
       const result = {
         businessName: "",
-        placeId: "",
+        featureId: "",
+        cid: "",
         coordinates: { lat: "", lng: "" },
         address: "",
+        zoom: null,
+        viewport: null,
+        heading: null,
+        tilt: null,
+        language: "",
+        region: "",
         segments: segments,
         rawPb: decoded,
       };
 
-      // Parse segments with more sophisticated logic
-      for (let i = 0; i < segments.length; i++) {
-        const segment = segments[i];
+      this.scanPbSegments(segments, result);
 
-        // Business name patterns (multiple possible formats)
-        if (segment.match(/^2s.+/)) {
-          const nameCandidate = segment.substring(2);
-          if (this.isValidBusinessName(nameCandidate)) {
-            result.businessName = this.deepDecodeUrl(nameCandidate);
-          }
-        }
+      let embed = null;
+      try {
+        embed = PbEmbed.fromPb(pb);
+      } catch (error) {
+        this.log(`PB tree parsing failed, keeping segment scan: ${error.message}`);
+      }
 
-        // Place ID patterns (more comprehensive)
-        if (
-          segment.match(/^1s0x[a-f0-9]+%3A0x[a-f0-9]+/i) ||
-          segment.match(/^1s0x[a-f0-9]+:0x[a-f0-9]+/i)
-        ) {
-          const placeIdRaw = segment.substring(2);
-          result.placeId = this.deepDecodeUrl(placeIdRaw);
+      if (embed) {
+        const placeName = embed.placeName;
+        if (placeName && this.isValidBusinessName(placeName)) {
+          result.businessName = placeName;
         }
+        result.featureId = embed.featureId || result.featureId;
 
-        // Coordinate patterns - look for precise business coordinates
-        if (segment.match(/^3d-?\d+\.?\d*/)) {
-          const lat = segment.substring(2);
-          // Look ahead for corresponding longitude
-          if (
-            i + 1 < segments.length &&
-            segments[i + 1].match(/^4d-?\d+\.?\d*/)
-          ) {
-            const lng = segments[i + 1].substring(2);
-            if (this.areValidCoordinates(lat, lng)) {
-              result.coordinates = { lat, lng };
-            }
-          }
+        // The place pin is the business itself, the camera only the map center
+        const coordinates = embed.coordinates;
+        if (coordinates && this.areValidCoordinates(coordinates.lat, coordinates.lng)) {
+          result.coordinates = coordinates;
         }
 
-        // Address information (alternative business name source)
-        if (segment.match(/^4s.+/) && !result.businessName) {
-          const addressCandidate = segment.substring(2);
-          if (this.isValidBusinessName(addressCandidate)) {
-            result.address = this.deepDecodeUrl(addressCandidate);
-          }
-        }
+        result.zoom = embed.zoom;
+        result.viewport = embed.viewport;
+        result.heading = embed.heading;
+        result.tilt = embed.tilt;
+        result.language = embed.language;
+        result.region = embed.region;
+        this.log("PB tree:", embed.toJSON());
       }
 
+      result.cid = featureIdToCid(result.featureId);
       return result;
     } catch (error) {
       this.log(`PB parsing error: ${error.message}`);
@@ -129,6 +197,73 @@ class EnhancedGBPUrlDecoder {
     }
   }
 
+  /**
+   * Regex scan of the flat pb segments, used when the tree cannot be parsed
+   */
+  scanPbSegments(segments, result) {
+    let camera = null;
+    for (let i = 0; i < segments.length; i++) {
+      const segment = segments[i];
+
+      // Business name patterns (multiple possible formats)
+      if (segment.match(/^2s.+/)) {
+        const nameCandidate = segment.substring(2);
+        if (this.isValidBusinessName(nameCandidate)) {
+          result.businessName = this.deepDecodeUrl(nameCandidate);
+        }
+      }
+
+      // Feature ID patterns (0x…:0x…)
+      if (
+        segment.match(/^1s0x[a-f0-9]+%3A0x[a-f0-9]+/i) ||
+        segment.match(/^1s0x[a-f0-9]+:0x[a-f0-9]+/i)
+      ) {
+        const featureIdRaw = segment.substring(2);
+        result.featureId = this.deepDecodeUrl(featureIdRaw);
+      }
+
+      // Coordinate patterns - look for precise business coordinates
+      if (segment.match(/^3d-?\d+\.?\d*/)) {
+        const lat = segment.substring(2);
+        // Look ahead for corresponding longitude
+        if (
+          i + 1 < segments.length &&
+          segments[i + 1].match(/^4d-?\d+\.?\d*/)
+        ) {
+          const lng = segments[i + 1].substring(2);
+          if (this.areValidCoordinates(lat, lng)) {
+            result.coordinates = { lat, lng };
+          }
+        }
+      }
+
+      // Camera center (!2d longitude !3d latitude), only used when there is no pin
+      if (
+        segment.match(/^2d-?\d+\.?\d*$/) &&
+        i + 1 < segments.length &&
+        segments[i + 1].match(/^3d-?\d+\.?\d*$/)
+      ) {
+        const lng = segment.substring(2);
+        const lat = segments[i + 1].substring(2);
+        if (this.areValidCoordinates(lat, lng)) {
+          camera = { lat, lng };
+        }
+      }
+
+      // Address information (alternative business name source)
+      if (segment.match(/^4s.+/) && !result.businessName) {
+        const addressCandidate = segment.substring(2);
+        if (this.isValidBusinessName(addressCandidate)) {
+          result.address = this.deepDecodeUrl(addressCandidate);
+        }
+      }
+    }
+    if (camera && !result.coordinates.lat) {
+      result.coordinates = camera;
+    }
+    return result;
+  }
+
   /**
    * Validate if extracted business name seems legitimate
    */
@@ -189,7 +324,7 @@ class EnhancedGBPUrlDecoder {
       const urlObj = new URL(url);
       const result = {
         businessName: "",
-        placeId: "",
+        featureId: "",
         coordinates: { lat: "", lng: "" },
         address: "",
       };
@@ -225,54 +360,100 @@ class EnhancedGBPUrlDecoder {
     }
   }
 
-  async fetchVerifiedGoogleAddress(businessName) {
-    const url = "https://places.googleapis.com/v1/places:searchText";
+  /**
+   * Parse full Maps place URLs (/maps/place/..., ?cid=, ?ftid=) such as the
+   * ones short links resolve to. Returns null for other URLs.
+   */
+  parsePlaceUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const decodedUrl = this.deepDecodeUrl(url);
+      const placeMatch = urlObj.pathname.match(/\/maps\/place\/([^\/]+)/);
+      const cidParam = urlObj.searchParams.get("cid");
+      const ftidParam = urlObj.searchParams.get("ftid");
 
-    const headers = {
-      "Content-Type": "application/json",
-      "X-Goog-Api-Key": process.env.GOOGLE_PLACES_API,
-      "X-Goog-FieldMask":
-        "places.id,places.displayName,places.formattedAddress,places.addressComponents,places.location",
-    };
+      if (!placeMatch && !cidParam && !ftidParam) return null;
 
-    const body = {
-      textQuery: businessName,
-    };
+      const result = {
+        businessName: "",
+        featureId: "",
+        cid: "",
+        coordinates: { lat: "", lng: "" },
+        address: "",
+      };
 
-    try {
-      const res = await fetch(url, {
-        method: "POST",
-        headers,
-        body: JSON.stringify(body),
-      });
+      if (placeMatch) {
+        const name = this.deepDecodeUrl(placeMatch[1].replace(/\+/g, " "));
+        if (this.isValidBusinessName(name)) {
+          result.businessName = name;
+        }
+      }
 
-      if (!res.ok) {
-        throw new Error(`HTTP error placesAPI! status: ${res.status}`);
+      // Feature ID from the data parameter (!1s0x…:0x…) or the ftid query parameter
+      const featureMatch =
+        decodedUrl.match(/!1s(0x[0-9a-f]+:0x[0-9a-f]+)/i) ||
+        (ftidParam || "").match(/^(0x[0-9a-f]+:0x[0-9a-f]+)$/i);
+      if (featureMatch) {
+        result.featureId = featureMatch[1];
+      }
+      // ?cid= is copied from the page as is; only a decimal CID is one
+      result.cid = /^\d+$/.test(cidParam || "")
+        ? cidParam
+        : featureIdToCid(result.featureId);
+
+      // The !3d/!4d pin is the place itself, @lat,lng only the viewport center
+      const pinMatch = decodedUrl.match(/!3d(-?\d+\.?\d*)!4d(-?\d+\.?\d*)/);
+      const viewportMatch = urlObj.pathname.match(/@(-?\d+\.?\d*),(-?\d+\.?\d*)/);
+      const coordsMatch = pinMatch || viewportMatch;
+      if (
+        coordsMatch &&
+        this.areValidCoordinates(coordsMatch[1], coordsMatch[2])
+      ) {
+        result.coordinates = { lat: coordsMatch[1], lng: coordsMatch[2] };
       }
 
-      const data = await res.json();
-      console.log("Response placesAPI:", JSON.stringify(data, null, 2));
+      return result;
+    } catch (error) {
+      this.log(`Place URL parsing error: ${error.message}`);
+      return null;
+    }
+  }
 
-      // Extract city (locality) from addressComponents:
-      const place = data["places"][0];
-      const cityComponent = place.addressComponents.find((component) =>
-        component.types.includes("locality")
-      );
-      const city = cityComponent ? cityComponent.shortText : null;
-      const placeId = place["id"];
-      let coordinates = place["location"]
-
-      return { formattedAddress: place.formattedAddress, city, placeId, coordinates };
-    } catch (err) {
-      console.error("Fetch error placesAPI:", err);
-      throw err;
+  /**
+   * Look the business up with the place provider and keep the candidate that
+   * best matches the pb name, the pb coordinates and the embedding site
+   */
+  async fetchVerifiedAddress(businessName, context = {}) {
+    const places = await this.placeProvider.textSearch(businessName, {
+      maxResults: 5,
+    });
+    this.log(`${this.placeProvider.name} text search:`, places);
+
+    const match = this.placeMatcher.pickBest(places, {
+      name: businessName,
+      coordinates: context.coordinates,
+      pageUrl: context.pageUrl,
+    });
+    if (!match) {
+      throw new Error(`No ${this.placeProvider.name} match for "${businessName}"`);
     }
+    this.log(`Picked "${match.candidate.name}" (${match.score}): ${match.reason}`);
+
+    const place = match.candidate;
+    return {
+      name: place.name,
+      formattedAddress: place.formattedAddress,
+      city: place.city,
+      placeId: place.id,
+      coordinates: place.location,
+      match: { score: match.score, reason: match.reason, status: match.status },
+    };
   }
 
   /**
    * Enhanced URL decoding with multiple methods and validation
    */
-  async decodeGBPUrl(iframeUrl) {
+  async decodeGBPUrl(iframeUrl, context = {}) {
     try {
       if (!iframeUrl || typeof iframeUrl !== "string") {
         return this.createErrorResult("Invalid URL provided");
@@ -280,17 +461,35 @@ class EnhancedGBPUrlDecoder {
 
       this.log("Decoding URL:", iframeUrl);
 
+      // Short links carry no pb parameter, follow them to the full place URL first
+      let resolvedUrl = "";
+      if (this.shortLinkResolver.isShortLink(iframeUrl)) {
+        const resolved = await this.shortLinkResolver.resolve(iframeUrl);
+        this.log(
+          `Resolved short link in ${resolved.hops} hop(s)${
+            resolved.cached ? " (cached)" : ""
+          }:`,
+          resolved.url
+        );
+        resolvedUrl = resolved.url;
+        iframeUrl = resolved.url;
+      }
+
       const url = new URL(iframeUrl);
       const pb = url.searchParams.get("pb") || url.searchParams.get("pb");
 
       if (!pb) {
         this.log("No pb parameter found, trying alternative methods");
-        const altResult = this.alternativeParsing(iframeUrl);
+        const altResult =
+          this.parsePlaceUrl(iframeUrl) || this.alternativeParsing(iframeUrl);
         if (
           altResult &&
-          (altResult.businessName || altResult.coordinates.lat)
+          (altResult.businessName || altResult.coordinates.lat || altResult.cid)
         ) {
-          return this.createSuccessResult(altResult, iframeUrl);
+          return {
+            ...(await this.decodeAlternativeResult(altResult, context)),
+            resolvedUrl,
+          };
         }
         return this.createErrorResult(
           "No pb parameter found and alternative parsing failed"
@@ -308,29 +507,23 @@ class EnhancedGBPUrlDecoder {
             altResult &&
             (altResult.businessName || altResult.coordinates.lat)
           ) {
-            return this.createSuccessResult(altResult, iframeUrl);
+            return this.decodeAlternativeResult(altResult, context);
           }
         }
         return this.createErrorResult("PB parameter parsing failed");
       }
 
-      const googleAddressResponse = await this.fetchVerifiedGoogleAddress(
-        pbResult.businessName
-      );
+      const enrichment = await this.enrichResult(pbResult, context);
 
-      const fetchNearbyPlaces = await this.fetchNearbyPlaces(googleAddressResponse.coordinates)
-      const destination_Address_Name =  `${pbResult.businessName},${googleAddressResponse.formattedAddress}`
-      
       // Validate and enhance results
       const validatedResult = this.validateAndEnhanceResult(
         pbResult,
         iframeUrl,
-        googleAddressResponse.placeId,
-        fetchNearbyPlaces.formattedAddress,
-        destination_Address_Name
+        enrichment.placesApiId,
+        enrichment.nearbyPlace?.address,
+        enrichment.destinationName
       );
 
-
       if (
         this.options.validateResults &&
         !this.isResultValid(validatedResult)
@@ -340,29 +533,130 @@ class EnhancedGBPUrlDecoder {
           const altResult = this.alternativeParsing(iframeUrl);
           if (
             altResult &&
-            this.isResultValid(this.createSuccessResult(altResult, iframeUrl))
+            this.isResultValid(this.createSuccessResult(altResult))
           ) {
-            return this.createSuccessResult(altResult, iframeUrl);
+            return this.decodeAlternativeResult(altResult, context);
           }
         }
         return this.createErrorResult("Decoded result failed validation");
       }
 
-      validatedResult.address = googleAddressResponse.formattedAddress;
-      validatedResult.city = googleAddressResponse.city;
-      validatedResult.placeId = googleAddressResponse.placeId;
-      validatedResult.coordinates = googleAddressResponse.coordinates;
-      validatedResult.nearbyPlaceAddress = fetchNearbyPlaces.formattedAddress;
-      validatedResult.nearbyPlaceName = fetchNearbyPlaces.displayName.text;
-      validatedResult.nearbyPlaceLatitude = fetchNearbyPlaces.location.latitude;
-      validatedResult.nearbyPlaceLongitude = fetchNearbyPlaces.location.longitude;
-      return validatedResult;
+      return this.applyEnrichment(validatedResult, enrichment);
     } catch (error) {
       this.log(`Main decoding error: ${error.message}`);
       return this.createErrorResult(`Decoding error: ${error.message}`);
     }
   }
 
+  /**
+   * Decode a place URL or alternative parse (no pb tree) and enrich it like a pb result
+   */
+  async decodeAlternativeResult(altResult, context = {}) {
+    const enrichment = await this.enrichResult(altResult, context);
+    const result = this.createSuccessResult(altResult, enrichment);
+    return this.applyEnrichment(result, enrichment);
+  }
+
+  /**
+   * Copy the enrichment outcome onto a decoded result
+   */
+  applyEnrichment(result, enrichment) {
+    result.enrichmentStatus = enrichment.status;
+    result.enrichmentError = enrichment.error;
+    result.match = enrichment.verifiedAddress?.match || null;
+    if (enrichment.status === "needs_review") {
+      result.candidate = enrichment.verifiedAddress;
+    } else if (enrichment.verifiedAddress) {
+      const verified = enrichment.verifiedAddress;
+      result.address = verified.formattedAddress;
+      result.city = verified.city;
+      result.placesApiId = verified.placeId;
+      result.coordinates = verified.coordinates;
+    }
+    if (enrichment.nearbyPlace) {
+      const nearby = enrichment.nearbyPlace;
+      result.nearbyPlaceAddress = nearby.address;
+      result.nearbyPlaceName = nearby.name;
+      result.nearbyPlaceLatitude = nearby.latitude;
+      result.nearbyPlaceLongitude = nearby.longitude;
+    }
+    result.directionsOrigins = enrichment.origins;
+    return result;
+  }
+
+  /**
+   * Places API lookups allowed by the decode mode, for pb results and place
+   * URLs alike. A failed lookup keeps the parsed result and is reported
+   * through the enrichment status. A weak candidate match is flagged
+   * needs_review and not enriched further; its place is reported as a
+   * candidate and never replaces the parsed fields. In full mode directions
+   * origins are chosen around the verified place, or around the parsed
+   * coordinates when there is no name to verify.
+   */
+  async enrichResult(pbResult, context = {}) {
+    const enrichment = {
+      status: "skipped",
+      error: "",
+      verifiedAddress: null,
+      nearbyPlace: null,
+      origins: [],
+      placesApiId: "",
+      destinationName: "",
+    };
+    if (this.options.decodeMode === "offline") return enrichment;
+
+    try {
+      let business = null;
+      // Coordinate-only and ?cid= links have no name to search for
+      if (pbResult.businessName) {
+        const verifiedAddress = await this.fetchVerifiedAddress(
+          pbResult.businessName,
+          { coordinates: pbResult.coordinates, pageUrl: context.pageUrl }
+        );
+        enrichment.verifiedAddress = verifiedAddress;
+        if (verifiedAddress.match.status === "needs_review") {
+          enrichment.status = "needs_review";
+          return enrichment;
+        }
+        enrichment.placesApiId = verifiedAddress.placeId;
+        enrichment.destinationName = `${pbResult.businessName},${verifiedAddress.formattedAddress}`;
+        enrichment.status = "verified";
+        business = verifiedAddress;
+      }
+
+      business = business || this.parsedBusiness(pbResult);
+      if (this.options.decodeMode === "full" && business) {
+        enrichment.origins = await this.fetchDirectionsOrigins(business);
+        enrichment.nearbyPlace = enrichment.origins[0] || null;
+        enrichment.status = "enriched";
+      }
+
+      if (enrichment.status === "skipped") {
+        enrichment.error = pbResult.businessName
+          ? ""
+          : "No business name to look up";
+      }
+    } catch (error) {
+      this.log(`Enrichment error: ${error.message}`);
+      enrichment.status = "failed";
+      enrichment.error = error.message;
+    }
+    return enrichment;
+  }
+
+  /**
+   * Place-shaped view of parsed coordinates for the origin strategy, null without coordinates
+   */
+  parsedBusiness(parsed) {
+    const { lat, lng } = parsed.coordinates || {};
+    if (!this.areValidCoordinates(lat, lng)) return null;
+    return {
+      coordinates: { latitude: lat, longitude: lng },
+      city: parsed.city || "",
+      placeId: "",
+    };
+  }
+
   /**
    * Validate the final result
    */
@@ -379,12 +673,22 @@ class EnhancedGBPUrlDecoder {
   /**
    * Validate and enhance the parsing result
    */
-  validateAndEnhanceResult(pbResult, originalUrl, placeIdVerified,originAddress,destinationName) {
+  validateAndEnhanceResult(pbResult, originalUrl, placesApiId,originAddress,destinationName) {
     const result = {
       businessName: pbResult.businessName || "",
-      placeId: placeIdVerified || "",
+      // The pb feature ID and the Places API ID identify the same place in different systems
+      featureId: pbResult.featureId || "",
+      cid: pbResult.cid || "",
+      cidUrl: this.generateCidUrl(pbResult.cid),
+      placesApiId: placesApiId || "",
       coordinates: pbResult.coordinates || { lat: "", lng: "" },
       address: pbResult.address || "",
+      zoom: pbResult.zoom ?? null,
+      viewport: pbResult.viewport || null,
+      heading: pbResult.heading ?? null,
+      tilt: pbResult.tilt ?? null,
+      language: pbResult.language || "",
+      region: pbResult.region || "",
       error: "",
     };
 
@@ -408,8 +712,9 @@ class EnhancedGBPUrlDecoder {
     // Generate search URLs
     result.searchUrl = this.generateSearchUrl(
       result.businessName,
-      placeIdVerified,
-      result.coordinates
+      placesApiId,
+      result.coordinates,
+      result.cid
     );
 
     result.gmapsSearchUrl = this.generateGmapsUrl(
@@ -431,17 +736,25 @@ class EnhancedGBPUrlDecoder {
   /**
    * Create standardized success result
    */
-  createSuccessResult(data) {
+  createSuccessResult(data, enrichment = {}) {
     return {
       businessName: data.businessName || "",
       searchUrl: this.generateSearchUrl(
         data.businessName,
-        data.placeId,
-        data.coordinates
+        enrichment.placesApiId,
+        data.coordinates,
+        data.cid
       ),
-      gmapsSearchUrl: this.generateGmapsUrl(originAddress, destinationName),
-      placeId: data.placeId || "",
+      gmapsSearchUrl: this.generateGmapsUrl(
+        enrichment.nearbyPlace?.address,
+        enrichment.destinationName
+      ),
+      featureId: data.featureId || "",
+      cid: data.cid || "",
+      cidUrl: this.generateCidUrl(data.cid),
+      placesApiId: "",
       coordinates: data.coordinates || { lat: "", lng: "" },
+      address: data.address || "",
       error: "",
     };
   }
@@ -453,26 +766,37 @@ class EnhancedGBPUrlDecoder {
     return {
       businessName: "",
       searchUrl: "",
-      placeId: "",
+      featureId: "",
+      cid: "",
+      cidUrl: "",
+      placesApiId: "",
       coordinates: { lat: "", lng: "" },
       error: errorMessage,
     };
   }
 
   /**
-   * Generate search URLs with improved logic
+   * Canonical Maps URL for a decimal CID, opens the profile without any API call
    */
-  generateSearchUrl(businessName, placeId, coordinates) {
+  generateCidUrl(cid) {
+    return cid ? `https://maps.google.com/?cid=${cid}` : "";
+  }
+
+  /**
+   * Generate search URLs with improved logic. Search_URL is a url column, so
+   * with nothing to search for this is "" rather than a message
+   */
+  generateSearchUrl(businessName, placesApiId, coordinates, cid) {
     try {
-      // Priority: Place ID > Business Name > Coordinates
-      if (placeId) {
+      // Priority: Places API ID > Business Name > Coordinates > CID
+      if (placesApiId) {
         // Format place ID for Google Maps API
         if (businessName) {
           return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
             businessName
-          )}&query_place_id=${placeId}`;
+          )}&query_place_id=${placesApiId}`;
         } else {
-          return `https://www.google.com/maps/place/?q=place_id:${placeId}`;
+          return `https://www.google.com/maps/place/?q=place_id:${placesApiId}`;
         }
       } else if (businessName && businessName.trim().length > 0) {
         return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
@@ -480,12 +804,16 @@ class EnhancedGBPUrlDecoder {
         )}`;
       } else if (coordinates && coordinates.lat && coordinates.lng) {
         return `https://www.google.com/maps/search/?api=1&query=${coordinates.lat},${coordinates.lng}`;
+      } else if (cid) {
+        // A ?cid= link names no business, but its profile is the place to search
+        return this.generateCidUrl(cid);
       } else {
-        return "Unable to generate search URL - insufficient data";
+        this.log("No search URL: no business name, place ID, coordinates or CID");
+        return "";
       }
     } catch (error) {
       this.log(`Search URL generation error: ${error.message}`);
-      return "Search URL generation failed";
+      return "";
     }
   }
 
@@ -497,138 +825,209 @@ class EnhancedGBPUrlDecoder {
       if(originAddress && destinationName) {
         return `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(originAddress)}&destination=${encodeURIComponent(destinationName)}`
       }
+      return "";
     } catch (error) {
       this.log(`Search URL generation error: ${error.message}`);
-      return "Search URL generation failed";
+      return "";
     }
   }
 
-  async fetchNearbyPlaces(coordinates) {
-    const url = "https://places.googleapis.com/v1/places:searchNearby";
-
-    const payload = {
-      includedTypes: ["restaurant","corporate_office","bank","locality"],
-      maxResultCount: 3,
-      locationRestriction: {
-        circle: {
-          center: {
-            latitude: coordinates.latitude,
-            longitude: coordinates.longitude,
-          },
-          radius: 12000.0,
-        },
-      },
-    };
-    let response;
-
-    await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Goog-Api-Key": process.env.GOOGLE_PLACES_API,
-        "X-Goog-FieldMask": "places.displayName,places.formattedAddress,places.location",
-      },
-      body: JSON.stringify(payload),
-    })
-      .then((res) => res.json())
-      .then((data) => {
-        console.log("Response from Nearby Places:", data)
-        let {formattedAddress,location,displayName} = data["places"][1];
-        response = {formattedAddress,location,displayName}
-      })
-      .catch((error) => console.error("Error from Nearby Places:", error))
-      return response;
+  /**
+   * Directions origins for a verified business, chosen by the origin strategy
+   */
+  async fetchDirectionsOrigins(verifiedAddress) {
+    const origins = await this.originStrategy.selectOrigins(this.placeProvider, {
+      coordinates: verifiedAddress.coordinates,
+      city: verifiedAddress.city,
+      placeId: verifiedAddress.placeId,
+    });
+    this.log("Directions origins:", origins);
+    return origins;
   }
 
   /**
-   * Process CSV file with enhanced error handling and validation
+   * Decode-stage record for one scrape-stage record and its decoded info
+   */
+  buildEnhancedRow(record, decodedInfo, preserveOriginalColumns = true) {
+    // Schema fields always carry over; other input columns only when preserved
+    const newRow = Object.fromEntries(
+      Object.entries(record).filter(
+        ([key]) => preserveOriginalColumns || isSchemaField("scrape", key)
+      )
+    );
+
+    // Add decoded fields with validation
+    newRow.business_name = decodedInfo.businessName || "";
+    newRow.search_url = decodedInfo.searchUrl || "";
+    newRow.feature_id = decodedInfo.featureId || "";
+    newRow.cid = decodedInfo.cid || "";
+    newRow.cid_url = decodedInfo.cidUrl || "";
+    newRow.places_api_id = decodedInfo.placesApiId || "";
+    newRow.latitude =
+      decodedInfo.coordinates?.latitude ?? decodedInfo.coordinates?.lat ?? "";
+    newRow.longitude =
+      decodedInfo.coordinates?.longitude ?? decodedInfo.coordinates?.lng ?? "";
+
+    // Fields read by the screenshot stages
+    newRow.city = decodedInfo.city || "";
+    newRow.address = decodedInfo.address || "";
+    newRow.name_and_address = decodedInfo.businessName
+      ? `${decodedInfo.businessName}, ${decodedInfo.address || ""}`
+      : "";
+    newRow.gmaps_search_url = decodedInfo.gmapsSearchUrl || "";
+    newRow.nearby_place_name = decodedInfo.nearbyPlaceName || "";
+    newRow.nearby_place_address = decodedInfo.nearbyPlaceAddress || "";
+    newRow.nearby_place_latitude = decodedInfo.nearbyPlaceLatitude || "";
+    newRow.nearby_place_longitude = decodedInfo.nearbyPlaceLongitude || "";
+    newRow.directions_origins = decodedInfo.directionsOrigins?.length
+      ? JSON.stringify(decodedInfo.directionsOrigins)
+      : "";
+    newRow.decoding_status = decodedInfo.error ? "Error" : "Success";
+    newRow.decoding_error = decodedInfo.error || "";
+    newRow.enrichment_status = decodedInfo.enrichmentStatus || "";
+    newRow.enrichment_error = decodedInfo.enrichmentError || "";
+    newRow.match_score = decodedInfo.match ? decodedInfo.match.score : "";
+    newRow.match_reason = decodedInfo.match ? decodedInfo.match.reason : "";
+    newRow.match_status = decodedInfo.match ? decodedInfo.match.status : "";
+    // A needs_review match, kept apart from the decoded fields until someone confirms it
+    const candidate = decodedInfo.candidate;
+    newRow.candidate_name = candidate?.name || "";
+    newRow.candidate_address = candidate?.formattedAddress || "";
+    newRow.candidate_city = candidate?.city || "";
+    newRow.candidate_places_api_id = candidate?.placeId || "";
+    newRow.candidate_latitude = candidate?.coordinates?.latitude ?? "";
+    newRow.candidate_longitude = candidate?.coordinates?.longitude ?? "";
+    newRow.confidence_score = this.calculateConfidenceScore(decodedInfo);
+    newRow.processed_at = new Date().toISOString();
+
+    // Add debug info if enabled
+    newRow.debug_info =
+      this.options.debug && decodedInfo.debugInfo
+        ? JSON.stringify(decodedInfo.debugInfo)
+        : "";
+
+    return newRow;
+  }
+
+  /**
+   * Process CSV file with enhanced error handling and validation.
+   * Rows are decoded in input order, `concurrency` at a time, and each batch
+   * is appended to the output CSV before the next rows are read. Rejected
+   * rows are logged to options.errorsPath (default RECORD_ERRORS_PATH).
    */
   async processCSVFile(inputCsvPath, outputCsvPath, options = {}) {
     const {
       urlColumnName = "GBP_Iframe_Source",
       preserveOriginalColumns = true,
       batchSize = 100,
+      concurrency = 1,
+      errorsPath,
     } = options;
 
-    return new Promise((resolve, reject) => {
-      const results = [];
-      let processedCount = 0;
+    if (!fs.existsSync(inputCsvPath)) {
+      throw new Error(`Input CSV file not found: ${inputCsvPath}`);
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error(`Invalid decode concurrency: ${concurrency}`);
+    }
+
+    console.log(`📖 Reading CSV file: ${inputCsvPath}`);
+    console.log(`🔍 URL column: ${urlColumnName}`);
+    console.log(`🐛 Debug mode: ${this.options.debug ? "ON" : "OFF"}`);
+    console.log(
+      `🔌 Decode mode: ${this.options.decodeMode} (place provider: ${this.placeProvider.name})`
+    );
+
+    const urlField = fieldForColumn("scrape", urlColumnName);
+    const results = [];
+    let csvWriter = null;
+    let pending = [];
+
+    const flush = async () => {
+      if (pending.length === 0) return;
+      const records = pending;
+      pending = [];
+
+      // Promise.all keeps the rows in input order
+      const newRows = await Promise.all(
+        records.map(async (record) => {
+          const decodedInfo = await this.decodeGBPUrl(record[urlField], {
+            pageUrl: record.url,
+          });
+          return this.buildEnhancedRow(record, decodedInfo, preserveOriginalColumns);
+        })
+      );
 
-      if (!fs.existsSync(inputCsvPath)) {
-        reject(new Error(`Input CSV file not found: ${inputCsvPath}`));
-        return;
+      if (!csvWriter) {
+        csvWriter = createRecordCsvWriter(
+          "decode",
+          outputCsvPath,
+          Object.keys(newRows[0]),
+          { errorsPath }
+        );
       }
+      // csv-writer writes the header with the first batch and appends afterwards;
+      // rows that do not fit the schema are logged and left out
+      const written = await csvWriter.writeRecords(newRows);
 
-      console.log(`📖 Reading CSV file: ${inputCsvPath}`);
-      console.log(`🔍 URL column: ${urlColumnName}`);
-      console.log(`🐛 Debug mode: ${this.options.debug ? "ON" : "OFF"}`);
-
-      fs.createReadStream(inputCsvPath)
-        .pipe(csv())
-        .on("data", async (row) => {
-          const iframeUrl = row[urlColumnName];
-
-          // Decode the GBP URL with enhanced method
-          const decodedInfo = await this.decodeGBPUrl(iframeUrl);
-
-          // Create enhanced row
-          const newRow = preserveOriginalColumns ? { ...row } : {};
-
-          // Add decoded fields with validation
-          newRow.Business_Name = decodedInfo.businessName || "Not found";
-          newRow.Search_URL = decodedInfo.searchUrl || "Unable to generate";
-          newRow.Place_ID = decodedInfo.placeId || "Not found";
-          newRow.Latitude = decodedInfo.location?.latitude || "Not found";
-          newRow.Longitude = decodedInfo.location?.longitude || "Not found";
-          newRow.Decoding_Status = decodedInfo.error ? "Error" : "Success";
-          newRow.Decoding_Error = decodedInfo.error || "";
-          newRow.Confidence_Score = this.calculateConfidenceScore(decodedInfo);
-          newRow.Processed_At = new Date().toISOString();
-
-          // Add debug info if enabled
-          if (this.options.debug && decodedInfo.debugInfo) {
-            newRow.Debug_Info = JSON.stringify(decodedInfo.debugInfo);
-          }
+      const before = results.length;
+      results.push(...written);
 
-          results.push(newRow);
-          processedCount++;
+      // Progress logging
+      if (Math.floor(results.length / batchSize) > Math.floor(before / batchSize)) {
+        console.log(`📊 Processed ${results.length} records...`);
+      }
+    };
 
-          // Progress logging
-          if (processedCount % batchSize === 0) {
-            console.log(`📊 Processed ${processedCount} records...`);
-          }
-        })
-        .on("end", async () => {
-          try {
-            await this.saveEnhancedResults(results, outputCsvPath);
-
-            // Detailed summary
-            const successCount = results.filter(
-              (r) => r.Decoding_Status === "Success"
-            ).length;
-            const errorCount = results.filter(
-              (r) => r.Decoding_Status === "Error"
-            ).length;
-            const highConfidenceCount = results.filter(
-              (r) => parseFloat(r.Confidence_Score) >= 0.8
-            ).length;
-
-            console.log("\n=== ENHANCED GBP DECODING SUMMARY ===");
-            console.log(`📊 Total records processed: ${results.length}`);
-            console.log(`✅ Successfully decoded: ${successCount}`);
-            console.log(`❌ Decoding errors: ${errorCount}`);
-            console.log(`🎯 High confidence results: ${highConfidenceCount}`);
-            console.log(`💾 Enhanced CSV saved to: ${outputCsvPath}`);
-
-            resolve(results);
-          } catch (error) {
-            reject(error);
-          }
-        })
-        .on("error", (error) => {
-          reject(error);
-        });
+    // Iterating the stream only reads on when the previous batch is written
+    try {
+      for await (const record of readRecords(inputCsvPath, "scrape", {
+        requiredColumns: [urlColumnName],
+        errorsPath,
+      })) {
+        pending.push(record);
+        if (pending.length >= concurrency) await flush();
+      }
+      await flush();
+    } finally {
+      // Lookups paid for before a failure are kept too
+      if (this.placeCache) this.placeCache.flush();
+    }
+
+    if (results.length === 0) {
+      throw new Error("No results to save");
+    }
+
+    // Detailed summary
+    const successCount = results.filter(
+      (r) => r.decoding_status === "Success"
+    ).length;
+    const errorCount = results.filter((r) => r.decoding_status === "Error").length;
+    const highConfidenceCount = results.filter(
+      (r) => parseFloat(r.confidence_score) >= 0.8
+    ).length;
+
+    console.log("\n=== ENHANCED GBP DECODING SUMMARY ===");
+    console.log(`📊 Total records processed: ${results.length}`);
+    console.log(`✅ Successfully decoded: ${successCount}`);
+    console.log(`❌ Decoding errors: ${errorCount}`);
+    console.log(`🎯 High confidence results: ${highConfidenceCount}`);
+    const enrichmentCounts = {};
+    results.forEach((r) => {
+      if (r.enrichment_status) {
+        enrichmentCounts[r.enrichment_status] =
+          (enrichmentCounts[r.enrichment_status] || 0) + 1;
+      }
+    });
+    Object.entries(enrichmentCounts).forEach(([status, count]) => {
+      console.log(`🔌 Enrichment ${status}: ${count}`);
     });
+    if (this.placeCache && this.options.decodeMode !== "offline") {
+      console.log(`🗄️ Place cache: ${this.placeCache.summary()}`);
+    }
+    console.log(`💾 Enhanced CSV saved to: ${outputCsvPath}`);
+
+    return results;
   }
 
   /**
@@ -644,8 +1043,8 @@ class EnhancedGBPUrlDecoder {
       if (/[a-zA-Z]/.test(decodedInfo.businessName)) score += 0.1;
     }
 
-    // Place ID presence (25% of score)
-    if (decodedInfo.placeId && decodedInfo.placeId.includes(":")) {
+    // Feature ID presence (25% of score)
+    if (decodedInfo.featureId && decodedInfo.featureId.includes(":")) {
       score += 0.25;
     }
 
@@ -681,39 +1080,9 @@ class EnhancedGBPUrlDecoder {
       throw new Error("No results to save");
     }
 
-    // Get all unique keys from all result objects
+    // Columns come from the record schema, other input columns are appended
     const allKeys = [...new Set(results.flatMap((obj) => Object.keys(obj)))];
-
-    // Create header configuration with proper ordering
-    const priorityColumns = [
-      "URL",
-      "GBP_Iframe_Source",
-      "Business_Name",
-      "Search_URL",
-      "Place_ID",
-      "Latitude",
-      "Longitude",
-      "Confidence_Score",
-      "Decoding_Status",
-      "Decoding_Error",
-      "Processed_At",
-    ];
-
-    const orderedKeys = [
-      ...priorityColumns.filter((col) => allKeys.includes(col)),
-      ...allKeys.filter((col) => !priorityColumns.includes(col)),
-    ];
-
-    const header = orderedKeys.map((key) => ({
-      id: key,
-      title: key,
-    }));
-
-    const csvWriter = createCsvWriter({
-      path: outputPath,
-      header: header,
-    });
-
+    const csvWriter = createRecordCsvWriter("decode", outputPath, allKeys);
     await csvWriter.writeRecords(results);
     console.log(`✅ Enhanced results saved to ${outputPath}`);
   }
@@ -755,7 +1124,12 @@ async function InitializeEnhancedGBPDecoder(inputCsvPath, outputCsvPath, options
   const decoder = new EnhancedGBPUrlDecoder({
     debug: options.debug || false,
     validateResults: options.validateResults !== false,
-    fallbackToAlternativeMethods: options.fallbackToAlternativeMethods !== false
+    fallbackToAlternativeMethods: options.fallbackToAlternativeMethods !== false,
+    decodeMode: options.decodeMode,
+    placeProvider: options.placeProvider,
+    placeCache: options.placeCache,
+    matchThreshold: options.matchThreshold,
+    originStrategy: options.originStrategy
   });
   
   try {
@@ -764,7 +1138,8 @@ async function InitializeEnhancedGBPDecoder(inputCsvPath, outputCsvPath, options
     const results = await decoder.processCSVFile(inputCsvPath, outputCsvPath, {
       urlColumnName: options.urlColumnName || 'GBP_Iframe_Source',
       preserveOriginalColumns: options.preserveOriginalColumns !== false,
-      batchSize: options.batchSize || 100
+      batchSize: options.batchSize || 100,
+      concurrency: options.concurrency || 1
     });
     
     console.log('🎉 Enhanced GBP URL decoding completed successfully!');
@@ -779,7 +1154,9 @@ async function InitializeEnhancedGBPDecoder(inputCsvPath, outputCsvPath, options
 // Export for use as module
 module.exports = { 
   EnhancedGBPUrlDecoder, 
-  InitializeEnhancedGBPDecoder 
+  InitializeEnhancedGBPDecoder,
+  DECODE_MODES,
+  resolveDecodeMode
 };
 
 // Example usage if run directly
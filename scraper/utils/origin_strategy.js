@@ -0,0 +1,199 @@
+// origin_strategy.js
+
+const { distanceMeters } = require("./place_providers/index.js");
+
+const DEFAULT_ORIGIN_OPTIONS = {
+  // Place types searched around the business; the landmark ones give preferLandmarks something to prefer
+  types: [
+    "restaurant",
+    "corporate_office",
+    "bank",
+    "tourist_attraction",
+    "train_station",
+    "shopping_mall",
+    "park",
+    "locality",
+  ],
+  radius: 12000, // Search radius in meters
+  maxResults: 20,
+  distanceBands: [], // [{ min, max }] in meters; empty accepts any distance
+  preferLandmarks: true,
+  landmarkTypes: [
+    "tourist_attraction",
+    "train_station",
+    "subway_station",
+    "airport",
+    "shopping_mall",
+    "stadium",
+    "university",
+    "museum",
+    "park",
+    "locality",
+  ],
+  count: 1, // Origins per business
+  minDistance: 100, // Closer places are the business itself or its neighbours
+  fallback: "city", // "city" uses the business city as origin, "none" leaves it empty
+};
+
+/**
+ * Parse "3000-8000,8000-15000" (meters, "3km-8km" also accepted) into distance bands
+ */
+function parseDistanceBands(value) {
+  const toMeters = (text) => {
+    const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(km|m)?$/i);
+    if (!match) throw new Error(`Invalid distance "${text}"`);
+    return Number(match[1]) * (match[2]?.toLowerCase() === "km" ? 1000 : 1);
+  };
+  return String(value || "")
+    .split(",")
+    .map((band) => band.trim())
+    .filter(Boolean)
+    .map((band) => {
+      const [min, max] = band.split("-");
+      if (max === undefined) throw new Error(`Invalid distance band "${band}"`);
+      return { min: toMeters(min), max: toMeters(max) };
+    });
+}
+
+/**
+ * Number for a coordinate value, null when it is missing ("", null, undefined)
+ * or not a number. Number("") and Number(null) are 0, which is a real place.
+ */
+function toCoordinate(value) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Chooses where directions to a business start from: nearby places of the
+ * configured types, kept within the distance bands, landmarks first, one per
+ * band before a band is used twice. Falls back to the business city.
+ */
+class DirectionsOriginStrategy {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_ORIGIN_OPTIONS, ...options };
+  }
+
+  bandIndex(distance) {
+    const { distanceBands } = this.options;
+    if (distanceBands.length === 0) return 0;
+    return distanceBands.findIndex(
+      (band) => distance >= band.min && distance <= band.max
+    );
+  }
+
+  isLandmark(place) {
+    return place.types.some((type) => this.options.landmarkTypes.includes(type));
+  }
+
+  toOrigin(place, distance, source, reason) {
+    return {
+      name: place.name || "",
+      address: place.formattedAddress || place.name || "",
+      latitude: place.location?.latitude ?? "",
+      longitude: place.location?.longitude ?? "",
+      distanceMeters: distance === null ? "" : Math.round(distance),
+      source,
+      reason,
+    };
+  }
+
+  /**
+   * Rank nearby candidates and pick up to `count` origins from them
+   */
+  pickOrigins(places, business) {
+    const candidates = places
+      .filter((place) => place.id !== business.placeId)
+      .map((place, rank) => {
+        const distance = distanceMeters(business.coordinates, place.location);
+        return { place, rank, distance, band: this.bandIndex(distance) };
+      })
+      .filter(
+        (c) =>
+          Number.isFinite(c.distance) &&
+          c.distance >= this.options.minDistance &&
+          c.band !== -1
+      )
+      .sort((a, b) => {
+        if (this.options.preferLandmarks) {
+          const landmarkOrder =
+            Number(this.isLandmark(b.place)) - Number(this.isLandmark(a.place));
+          if (landmarkOrder !== 0) return landmarkOrder;
+        }
+        return a.rank - b.rank; // Provider order, i.e. prominence
+      });
+
+    const picked = [];
+    const usedBands = new Set();
+    // First pass spreads the origins over the bands, the second fills up
+    for (const pass of [0, 1]) {
+      for (const candidate of candidates) {
+        if (picked.length >= this.options.count) break;
+        if (picked.includes(candidate)) continue;
+        if (pass === 0 && usedBands.has(candidate.band)) continue;
+        picked.push(candidate);
+        usedBands.add(candidate.band);
+      }
+    }
+
+    return picked.map((c) =>
+      this.toOrigin(
+        c.place,
+        c.distance,
+        "nearby",
+        `${this.isLandmark(c.place) ? "landmark" : c.place.types[0] || "place"}, ${(
+          c.distance / 1000
+        ).toFixed(1)} km`
+      )
+    );
+  }
+
+  fallbackOrigins(business) {
+    if (this.options.fallback === "city" && business.city) {
+      return [
+        {
+          name: business.city,
+          address: business.city,
+          latitude: "",
+          longitude: "",
+          distanceMeters: "",
+          source: "fallback",
+          reason: "no nearby place matched, using the business city",
+        },
+      ];
+    }
+    return [];
+  }
+
+  /**
+   * Origins for a business { coordinates: { latitude, longitude }, city, placeId }
+   */
+  async selectOrigins(placeProvider, business) {
+    const latitude = toCoordinate(business.coordinates?.latitude);
+    const longitude = toCoordinate(business.coordinates?.longitude);
+    if (latitude === null || longitude === null) {
+      return this.fallbackOrigins(business);
+    }
+
+    const places = await placeProvider.nearbySearch(
+      { latitude, longitude },
+      {
+        types: this.options.types,
+        radius: this.options.radius,
+        maxResults: this.options.maxResults,
+      }
+    );
+    const origins = this.pickOrigins(places, {
+      ...business,
+      coordinates: { latitude, longitude },
+    });
+    return origins.length > 0 ? origins : this.fallbackOrigins(business);
+  }
+}
+
+module.exports = {
+  DirectionsOriginStrategy,
+  DEFAULT_ORIGIN_OPTIONS,
+  parseDistanceBands,
+};
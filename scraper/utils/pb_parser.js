@@ -0,0 +1,352 @@
+// pb_parser.js
+
+/**
+ * Parser for the protobuf-style "pb" parameter of Google Maps embed URLs.
+ *
+ * The parameter is a flat list of "!<field><type><value>" tokens. An "m"
+ * token opens a nested message whose value is the number of tokens that
+ * follow it and belong to it (including those of nested messages), e.g.
+ * "!1m3!1d2795.3!2d-122.67!3d45.52" is message 1 with fields 1d, 2d and 3d.
+ */
+
+const TOKEN_PATTERN = /^(\d+)([a-zA-Z])([\s\S]*)$/;
+
+// Average Earth circumference based meters per pixel at zoom 0 on the equator
+const METERS_PER_PIXEL_ZOOM_0 = 156543.03392;
+
+const decodeValue = (value) => {
+  let decoded = value;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const next = decodeURIComponent(decoded);
+      if (next === decoded) break;
+      decoded = next;
+    } catch {
+      break;
+    }
+  }
+  return decoded;
+};
+
+/**
+ * Convert a raw token value according to its type character
+ */
+function convertValue(type, raw) {
+  switch (type) {
+    case "s": // string
+    case "z": // base64 encoded string
+      return decodeValue(raw);
+    case "d": // double
+    case "f": // float
+      return parseFloat(raw);
+    case "b": // bool
+      return raw === "1" || raw === "true";
+    case "i": // int32
+    case "e": // enum
+    case "u": // uint32
+    case "j": // int64
+    case "v": // uint64
+    case "x": // fixed32
+    case "y": // fixed64
+    case "g": // sfixed
+    case "n": // sint
+    case "o": // sint64
+      return Number.isSafeInteger(Number(raw)) ? Number(raw) : raw;
+    default:
+      return raw;
+  }
+}
+
+/**
+ * A message of the pb tree. Fields keep their order, repeated fields are allowed.
+ */
+class PbMessage {
+  constructor(fields = []) {
+    this.fields = fields; // [{ field, type, raw, value }] where value is a PbMessage for "m"
+  }
+
+  /**
+   * First node at a dotted field path, e.g. "1.3.1.2"
+   */
+  getNode(path) {
+    const [head, ...rest] = String(path).split(".").map(Number);
+    const node = this.fields.find((f) => f.field === head);
+    if (!node) return null;
+    if (rest.length === 0) return node;
+    return node.type === "m" ? node.value.getNode(rest.join(".")) : null;
+  }
+
+  /**
+   * Value at a dotted field path, optionally requiring a type character
+   */
+  get(path, type = null) {
+    const node = this.getNode(path);
+    if (!node || (type && node.type !== type)) return undefined;
+    return node.value;
+  }
+
+  /**
+   * Raw token text at a dotted field path, as written in the pb
+   */
+  getRaw(path, type = null) {
+    const node = this.getNode(path);
+    if (!node || (type && node.type !== type)) return undefined;
+    return node.raw;
+  }
+
+  /**
+   * Depth-first search for the first message matching a predicate
+   */
+  findMessage(predicate) {
+    if (predicate(this)) return this;
+    for (const node of this.fields) {
+      if (node.type === "m") {
+        const found = node.value.findMessage(predicate);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Plain nested object, handy for debugging output
+   */
+  toJSON() {
+    return this.fields.map(({ field, type, value }) => ({
+      field,
+      type,
+      value: value instanceof PbMessage ? value.toJSON() : value,
+    }));
+  }
+}
+
+/**
+ * Split the pb string into tokens, decoding it until the "!" separators show
+ */
+function tokenize(pb) {
+  let source = String(pb || "").trim();
+  for (let attempt = 0; attempt < 5 && !source.includes("!"); attempt++) {
+    const decoded = decodeValue(source);
+    if (decoded === source) break;
+    source = decoded;
+  }
+  return source.split("!").filter((token) => token.length > 0);
+}
+
+/**
+ * Parse the tokens of one message, returning the message and the next token index
+ */
+function parseMessage(tokens, start, count) {
+  const fields = [];
+  const end = Math.min(start + count, tokens.length);
+  let index = start;
+
+  while (index < end) {
+    const match = tokens[index].match(TOKEN_PATTERN);
+    if (!match) {
+      throw new Error(`Malformed pb token "${tokens[index]}" at ${index}`);
+    }
+    index++;
+
+    const [, field, type, raw] = match;
+    if (type === "m") {
+      const size = parseInt(raw, 10);
+      if (isNaN(size) || size < 0 || index + size > tokens.length) {
+        throw new Error(
+          `pb message ${field} claims ${raw} tokens but only ${
+            tokens.length - index
+          } remain`
+        );
+      }
+      const child = parseMessage(tokens, index, size);
+      fields.push({ field: Number(field), type, raw, value: child.message });
+      index = child.next;
+    } else {
+      fields.push({
+        field: Number(field),
+        type,
+        raw,
+        value: convertValue(type, raw),
+      });
+    }
+  }
+
+  return { message: new PbMessage(fields), next: index };
+}
+
+/**
+ * Parse a pb parameter into a PbMessage tree
+ */
+function parsePb(pb) {
+  const tokens = tokenize(pb);
+  if (tokens.length === 0) {
+    throw new Error("Empty pb parameter");
+  }
+  return parseMessage(tokens, 0, tokens.length).message;
+}
+
+/**
+ * Convert a "0x…:0x…" feature ID to the decimal CID (its second half)
+ */
+function featureIdToCid(featureId) {
+  const match = String(featureId || "").match(/^0x[0-9a-f]+:(0x[0-9a-f]+)$/i);
+  return match ? BigInt(match[1]).toString() : "";
+}
+
+/**
+ * Typed view of an embed pb tree.
+ *
+ * Layout of a place embed (field paths):
+ *   1.1.1    camera: 1d span in meters, 2d longitude, 3d latitude
+ *   1.1.2    1f heading, 2f tilt
+ *   1.1.3    1i width, 2i height of the viewport in pixels
+ *   1.1.4    field of view in degrees
+ *   1.3.1    place: 1s feature ID, 2s name
+ *   1.5      map type
+ *   3 / 5    1s language, 2s region
+ *   4        creation timestamp (ms)
+ */
+class PbEmbed {
+  constructor(root) {
+    this.root = root;
+  }
+
+  static fromPb(pb) {
+    return new PbEmbed(parsePb(pb));
+  }
+
+  get camera() {
+    const camera = this.root.get("1.1.1", "m");
+    if (!camera) return null;
+    return {
+      span: camera.get("1", "d"),
+      longitude: camera.get("2", "d"),
+      latitude: camera.get("3", "d"),
+    };
+  }
+
+  get viewport() {
+    const viewport = this.root.get("1.1.3", "m");
+    if (!viewport) return null;
+    return { width: viewport.get("1", "i"), height: viewport.get("2", "i") };
+  }
+
+  get heading() {
+    return this.root.get("1.1.2.1", "f") ?? null;
+  }
+
+  get tilt() {
+    return this.root.get("1.1.2.2", "f") ?? null;
+  }
+
+  /**
+   * Approximate zoom level, treating the camera span as the meters covered by the viewport height
+   */
+  get zoom() {
+    const camera = this.camera;
+    const viewport = this.viewport;
+    if (!camera || !camera.span || camera.latitude === undefined) return null;
+
+    const heightPx = (viewport && viewport.height) || 768;
+    const metersPerPixel = camera.span / heightPx;
+    const zoom = Math.log2(
+      (METERS_PER_PIXEL_ZOOM_0 * Math.cos((camera.latitude * Math.PI) / 180)) /
+        metersPerPixel
+    );
+    return Number.isFinite(zoom) ? Math.round(zoom * 100) / 100 : null;
+  }
+
+  /**
+   * Message holding the place pin (3d latitude / 4d longitude), if any
+   */
+  get pinMessage() {
+    return this.root.findMessage(
+      (m) => m.get("3", "d") !== undefined && m.get("4", "d") !== undefined
+    );
+  }
+
+  /**
+   * Place pin (3d latitude / 4d longitude) if the pb carries one
+   */
+  get pin() {
+    const message = this.pinMessage;
+    return message
+      ? { latitude: message.get("3", "d"), longitude: message.get("4", "d") }
+      : null;
+  }
+
+  /**
+   * Latitude and longitude of the pin, else of the camera, as the strings
+   * written in the pb: going through numbers would change their digits
+   */
+  get coordinates() {
+    const pin = this.pinMessage;
+    if (pin) return { lat: pin.getRaw("3", "d"), lng: pin.getRaw("4", "d") };
+    const camera = this.root.get("1.1.1", "m");
+    if (camera && camera.getRaw("3", "d") !== undefined && camera.getRaw("2", "d") !== undefined) {
+      return { lat: camera.getRaw("3", "d"), lng: camera.getRaw("2", "d") };
+    }
+    return null;
+  }
+
+  get place() {
+    return this.root.get("1.3.1", "m") || null;
+  }
+
+  get featureId() {
+    const fromPlace = this.place && this.place.get("1", "s");
+    if (fromPlace && /^0x[0-9a-f]+:0x[0-9a-f]+$/i.test(fromPlace)) {
+      return fromPlace;
+    }
+    // Other embed layouts keep the feature ID elsewhere
+    const message = this.root.findMessage((m) =>
+      /^0x[0-9a-f]+:0x[0-9a-f]+$/i.test(m.get("1", "s") || "")
+    );
+    return message ? message.get("1", "s") : "";
+  }
+
+  get cid() {
+    return featureIdToCid(this.featureId);
+  }
+
+  get placeName() {
+    return (this.place && this.place.get("2", "s")) || "";
+  }
+
+  get mapType() {
+    return this.root.get("1.5", "e") ?? null;
+  }
+
+  get language() {
+    return this.root.get("3.1", "s") || this.root.get("5.1", "s") || "";
+  }
+
+  get region() {
+    return this.root.get("3.2", "s") || this.root.get("5.2", "s") || "";
+  }
+
+  get createdAt() {
+    const timestamp = this.root.get("4", "v");
+    return typeof timestamp === "number" ? new Date(timestamp).toISOString() : "";
+  }
+
+  toJSON() {
+    return {
+      placeName: this.placeName,
+      featureId: this.featureId,
+      cid: this.cid,
+      camera: this.camera,
+      pin: this.pin,
+      viewport: this.viewport,
+      heading: this.heading,
+      tilt: this.tilt,
+      zoom: this.zoom,
+      mapType: this.mapType,
+      language: this.language,
+      region: this.region,
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+module.exports = { parsePb, PbMessage, PbEmbed, featureIdToCid };
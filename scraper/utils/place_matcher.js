@@ -0,0 +1,161 @@
+// place_matcher.js
+
+const { distanceMeters } = require("./place_providers/index.js");
+
+const DEFAULT_MATCH_OPTIONS = {
+  threshold: 0.6, // Best candidates scoring below this are flagged needs_review
+  weights: { name: 0.5, distance: 0.35, domain: 0.15 },
+  distanceScale: 1000, // Meters at which the distance score has dropped to ~37%
+};
+
+const normalizeName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Dice coefficient of the character bigrams of two names (0..1)
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeName(a).replace(/ /g, "");
+  const right = normalizeName(b).replace(/ /g, "");
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const bigrams = (text) => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.substring(i, i + 2);
+      counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return counts;
+  };
+  const leftBigrams = bigrams(left);
+  const rightBigrams = bigrams(right);
+  let overlap = 0;
+  leftBigrams.forEach((count, bigram) => {
+    overlap += Math.min(count, rightBigrams.get(bigram) || 0);
+  });
+  return (2 * overlap) / (left.length - 1 + (right.length - 1)) || 0;
+}
+
+/**
+ * Host without "www.", empty for missing or invalid URLs
+ */
+function siteHost(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Scores place lookup candidates against what the embed tells us about the
+ * business: its pb name, its pb coordinates and the domain of the site embedding it.
+ * Signals that are missing on either side are left out and the remaining weights rescaled.
+ */
+class PlaceCandidateMatcher {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_MATCH_OPTIONS,
+      ...options,
+      weights: { ...DEFAULT_MATCH_OPTIONS.weights, ...(options.weights || {}) },
+    };
+  }
+
+  /**
+   * Score one candidate, returning { score, reasons }
+   */
+  score(candidate, context = {}) {
+    const signals = [];
+
+    if (context.name && candidate.name) {
+      const similarity = nameSimilarity(context.name, candidate.name);
+      signals.push({
+        weight: this.options.weights.name,
+        score: similarity,
+        reason: `name ${Math.round(similarity * 100)}%`,
+      });
+    }
+
+    const lat = parseFloat(context.coordinates?.lat ?? context.coordinates?.latitude);
+    const lng = parseFloat(context.coordinates?.lng ?? context.coordinates?.longitude);
+    if (
+      !isNaN(lat) &&
+      !isNaN(lng) &&
+      Number.isFinite(candidate.location?.latitude) &&
+      Number.isFinite(candidate.location?.longitude)
+    ) {
+      const meters = distanceMeters(
+        { latitude: lat, longitude: lng },
+        candidate.location
+      );
+      signals.push({
+        weight: this.options.weights.distance,
+        score: Math.exp(-meters / this.options.distanceScale),
+        reason:
+          meters < 1000
+            ? `${Math.round(meters)} m from pb pin`
+            : `${(meters / 1000).toFixed(1)} km from pb pin`,
+      });
+    }
+
+    const pageHost = siteHost(context.pageUrl);
+    const candidateHost = siteHost(candidate.website);
+    if (pageHost && candidateHost) {
+      const sameSite =
+        pageHost === candidateHost ||
+        pageHost.endsWith(`.${candidateHost}`) ||
+        candidateHost.endsWith(`.${pageHost}`);
+      signals.push({
+        weight: this.options.weights.domain,
+        score: sameSite ? 1 : 0,
+        reason: sameSite ? "website matches site" : `website ${candidateHost}`,
+      });
+    }
+
+    const totalWeight = signals.reduce((sum, signal) => sum + signal.weight, 0);
+    if (totalWeight === 0) {
+      return { score: 0, reasons: ["no signals to compare"] };
+    }
+    const score =
+      signals.reduce((sum, signal) => sum + signal.weight * signal.score, 0) /
+      totalWeight;
+    return {
+      score: Math.round(score * 100) / 100,
+      reasons: signals.map((signal) => signal.reason),
+    };
+  }
+
+  /**
+   * Best scoring candidate as { candidate, score, reason, status }, null without candidates.
+   * status is "matched" or "needs_review" when the score is below the threshold.
+   */
+  pickBest(candidates, context = {}) {
+    if (!candidates || candidates.length === 0) return null;
+
+    const ranked = candidates
+      .map((candidate) => ({ candidate, ...this.score(candidate, context) }))
+      .sort((a, b) => b.score - a.score);
+    const best = ranked[0];
+
+    return {
+      candidate: best.candidate,
+      score: best.score,
+      reason: `${best.reasons.join(", ")} (best of ${ranked.length})`,
+      status: best.score >= this.options.threshold ? "matched" : "needs_review",
+    };
+  }
+}
+
+module.exports = {
+  PlaceCandidateMatcher,
+  DEFAULT_MATCH_OPTIONS,
+  nameSimilarity,
+  siteHost,
+};
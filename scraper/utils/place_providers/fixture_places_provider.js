@@ -0,0 +1,76 @@
+// fixture_places_provider.js
+
+const fs = require("fs");
+const path = require("path");
+const { PlaceProvider, distanceMeters } = require("./place_provider.js");
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, "fixtures", "sample_places.json");
+
+const normalizeQuery = (query) =>
+  String(query || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Answers lookups from a local JSON file, so the decoder runs without network access.
+ *
+ * Fixture format:
+ *   { "textSearch": { "<query>": [place, ...] }, "places": [place, ...] }
+ * Text queries are matched after lowercasing and collapsing punctuation;
+ * nearby searches filter "places" by radius and type.
+ */
+class FixturePlacesProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "fixture";
+    this.fixturePath =
+      options.fixturePath || process.env.GBP_PLACE_FIXTURES || DEFAULT_FIXTURE_PATH;
+    this.configurationHint = `create ${this.fixturePath}`;
+    this.fixtures = null;
+  }
+
+  isConfigured() {
+    return fs.existsSync(this.fixturePath);
+  }
+
+  loadFixtures() {
+    if (!this.fixtures) {
+      const data = JSON.parse(fs.readFileSync(this.fixturePath, "utf8"));
+      this.fixtures = {
+        textSearch: Object.fromEntries(
+          Object.entries(data.textSearch || {}).map(([query, places]) => [
+            normalizeQuery(query),
+            places.map((place) => this.createPlace(place)),
+          ])
+        ),
+        places: (data.places || []).map((place) => this.createPlace(place)),
+      };
+    }
+    return this.fixtures;
+  }
+
+  async textSearch(query, options = {}) {
+    const places = this.loadFixtures().textSearch[normalizeQuery(query)] || [];
+    return options.maxResults ? places.slice(0, options.maxResults) : places;
+  }
+
+  async nearbySearch(coordinates, options = {}) {
+    const radius = options.radius || 5000;
+    const types = options.types || [];
+    return this.loadFixtures()
+      .places.filter(
+        (place) =>
+          distanceMeters(coordinates, place.location) <= radius &&
+          (types.length === 0 || place.types.some((type) => types.includes(type)))
+      )
+      .sort(
+        (a, b) =>
+          distanceMeters(coordinates, a.location) -
+          distanceMeters(coordinates, b.location)
+      )
+      .slice(0, options.maxResults || 20);
+  }
+}
+
+module.exports = { FixturePlacesProvider, DEFAULT_FIXTURE_PATH };
@@ -0,0 +1,79 @@
+// google_legacy_places_provider.js
+
+const { PlaceProvider } = require("./place_provider.js");
+
+const LEGACY_PLACES_API_URL = "https://maps.googleapis.com/maps/api/place";
+
+/**
+ * Legacy Google Places API (textsearch/json and nearbysearch/json), for keys
+ * that are not enabled for the new API
+ */
+class GoogleLegacyPlacesProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "google-legacy";
+    this.apiKey = options.apiKey || process.env.GOOGLE_PLACES_API || "";
+    this.configurationHint = "set GOOGLE_PLACES_API";
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async search(endpoint, params) {
+    const url = new URL(`${LEGACY_PLACES_API_URL}/${endpoint}/json`);
+    Object.entries({ ...params, key: this.apiKey }).forEach(([key, value]) =>
+      url.searchParams.set(key, value)
+    );
+
+    const data = await this.requestJson(url.toString());
+    if (data.status !== "OK" && data.status !== "ZERO_RESULTS") {
+      throw new Error(
+        `Legacy Places API ${endpoint} failed: ${data.status} ${data.error_message || ""}`.trim()
+      );
+    }
+    return (data.results || []).map((place) => this.toPlace(place));
+  }
+
+  toPlace(place) {
+    const formattedAddress = place.formatted_address || place.vicinity || "";
+    // Search results carry no address components, the city is the part before "STATE ZIP, Country"
+    const parts = formattedAddress.split(",").map((part) => part.trim());
+    return this.createPlace({
+      id: place.place_id,
+      name: place.name,
+      formattedAddress,
+      city: parts.length >= 3 ? parts[parts.length - 3] : "",
+      location: {
+        latitude: place.geometry?.location?.lat,
+        longitude: place.geometry?.location?.lng,
+      },
+      types: place.types,
+    });
+  }
+
+  async textSearch(query, options = {}) {
+    const places = await this.search("textsearch", { query });
+    return options.maxResults ? places.slice(0, options.maxResults) : places;
+  }
+
+  async nearbySearch(coordinates, options = {}) {
+    const types = options.types || [];
+    // The legacy API filters on a single type, run one search per type
+    const searches = types.length > 0 ? types : [null];
+    const places = [];
+    for (const type of searches) {
+      const results = await this.search("nearbysearch", {
+        location: `${coordinates.latitude},${coordinates.longitude}`,
+        radius: options.radius || 5000,
+        ...(type && { type }),
+      });
+      results.forEach((place) => {
+        if (!places.some((p) => p.id === place.id)) places.push(place);
+      });
+    }
+    return places.slice(0, options.maxResults || 20);
+  }
+}
+
+module.exports = { GoogleLegacyPlacesProvider };
@@ -0,0 +1,94 @@
+// google_places_provider.js
+
+const { PlaceProvider } = require("./place_provider.js");
+
+const PLACES_API_URL = "https://places.googleapis.com/v1";
+const PLACE_FIELDS = [
+  "id",
+  "displayName",
+  "formattedAddress",
+  "addressComponents",
+  "location",
+  "types",
+];
+// Only the candidate matcher compares websites; websiteUri moves a request into
+// a pricier billing tier, so nearby searches for directions origins leave it out
+const FIELD_MASKS = {
+  textSearch: [...PLACE_FIELDS, "websiteUri"],
+  nearbySearch: PLACE_FIELDS,
+};
+
+/**
+ * Google Places API (New), places:searchText and places:searchNearby
+ */
+class GooglePlacesProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "google";
+    this.apiKey = options.apiKey || process.env.GOOGLE_PLACES_API || "";
+    this.configurationHint = "set GOOGLE_PLACES_API";
+    this.fieldMasks = Object.fromEntries(
+      Object.entries(FIELD_MASKS).map(([method, fields]) => [
+        method,
+        fields.map((field) => `places.${field}`).join(","),
+      ])
+    );
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  async search(endpoint, fieldMask, body) {
+    const data = await this.requestJson(`${PLACES_API_URL}/${endpoint}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Goog-Api-Key": this.apiKey,
+        "X-Goog-FieldMask": fieldMask,
+      },
+      body: JSON.stringify(body),
+    });
+    return (data.places || []).map((place) => this.toPlace(place));
+  }
+
+  toPlace(place) {
+    const cityComponent = (place.addressComponents || []).find((component) =>
+      component.types.includes("locality")
+    );
+    return this.createPlace({
+      id: place.id,
+      name: place.displayName?.text,
+      formattedAddress: place.formattedAddress,
+      city: cityComponent ? cityComponent.shortText : "",
+      location: place.location,
+      types: place.types,
+      website: place.websiteUri,
+    });
+  }
+
+  async textSearch(query, options = {}) {
+    return this.search("places:searchText", this.fieldMasks.textSearch, {
+      textQuery: query,
+      ...(options.maxResults && { pageSize: options.maxResults }),
+    });
+  }
+
+  async nearbySearch(coordinates, options = {}) {
+    return this.search("places:searchNearby", this.fieldMasks.nearbySearch, {
+      ...(options.types?.length && { includedTypes: options.types }),
+      maxResultCount: options.maxResults || 20,
+      locationRestriction: {
+        circle: {
+          center: {
+            latitude: coordinates.latitude,
+            longitude: coordinates.longitude,
+          },
+          radius: options.radius || 5000,
+        },
+      },
+    });
+  }
+}
+
+module.exports = { GooglePlacesProvider };
@@ -0,0 +1,55 @@
+// place_providers/index.js
+
+const { PlaceProvider, distanceMeters } = require("./place_provider.js");
+const { GooglePlacesProvider } = require("./google_places_provider.js");
+const {
+  GoogleLegacyPlacesProvider,
+} = require("./google_legacy_places_provider.js");
+const { OsmPlacesProvider } = require("./osm_places_provider.js");
+const { FixturePlacesProvider } = require("./fixture_places_provider.js");
+const {
+  PlaceLookupCache,
+  CachedPlaceProvider,
+} = require("./place_lookup_cache.js");
+
+const PLACE_PROVIDERS = {
+  google: GooglePlacesProvider,
+  "google-legacy": GoogleLegacyPlacesProvider,
+  osm: OsmPlacesProvider,
+  fixture: FixturePlacesProvider,
+};
+
+/**
+ * Create a place provider from a name or { name, ...providerOptions }.
+ * The name defaults to GBP_PLACE_PROVIDER, then "google". Provider instances pass through.
+ */
+function createPlaceProvider(config = {}) {
+  if (config instanceof PlaceProvider) return config;
+
+  const options = typeof config === "string" ? { name: config } : config;
+  const name = (options.name || process.env.GBP_PLACE_PROVIDER || "google")
+    .trim()
+    .toLowerCase();
+  const Provider = PLACE_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unknown place provider "${name}". Valid providers: ${Object.keys(
+        PLACE_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  createPlaceProvider,
+  PLACE_PROVIDERS,
+  PlaceProvider,
+  GooglePlacesProvider,
+  GoogleLegacyPlacesProvider,
+  OsmPlacesProvider,
+  FixturePlacesProvider,
+  PlaceLookupCache,
+  CachedPlaceProvider,
+  distanceMeters,
+};
@@ -0,0 +1,132 @@
+// osm_places_provider.js
+
+const { PlaceProvider } = require("./place_provider.js");
+
+const NOMINATIM_URL = "https://nominatim.openstreetmap.org";
+const OVERPASS_URL = "https://overpass-api.de/api/interpreter";
+
+// Google place types mapped onto the OpenStreetMap tag (key, value alternatives) Overpass filters on
+const OSM_TYPE_TAGS = {
+  restaurant: ["amenity", "restaurant"],
+  cafe: ["amenity", "cafe"],
+  bank: ["amenity", "bank"],
+  corporate_office: ["office", "company"],
+  locality: ["place", "city|town|village"],
+  train_station: ["railway", "station"],
+  subway_station: ["station", "subway"],
+  bus_station: ["amenity", "bus_station"],
+  airport: ["aeroway", "aerodrome"],
+  shopping_mall: ["shop", "mall"],
+  tourist_attraction: ["tourism", "attraction"],
+  hotel: ["tourism", "hotel"],
+  park: ["leisure", "park"],
+};
+
+// Types without a mapping are looked up as amenities
+const osmTag = (type) => OSM_TYPE_TAGS[type] || ["amenity", type];
+
+/**
+ * OpenStreetMap lookups: Nominatim for text search, Overpass for nearby places.
+ * Needs no API key; requests are spaced out per the Nominatim usage policy.
+ */
+class OsmPlacesProvider extends PlaceProvider {
+  constructor(options = {}) {
+    super(options);
+    this.name = "osm";
+    this.options.nominatimUrl = options.nominatimUrl || NOMINATIM_URL;
+    this.options.overpassUrl = options.overpassUrl || OVERPASS_URL;
+    this.options.userAgent =
+      options.userAgent || process.env.OSM_USER_AGENT || "gbp-audit-pipeline";
+    this.options.minInterval = options.minInterval ?? 1000;
+    this.lastRequestAt = 0;
+  }
+
+  async throttle() {
+    const wait = this.lastRequestAt + this.options.minInterval - Date.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+    this.lastRequestAt = Date.now();
+  }
+
+  async textSearch(query, options = {}) {
+    await this.throttle();
+    const url = new URL(`${this.options.nominatimUrl}/search`);
+    url.searchParams.set("q", query);
+    url.searchParams.set("format", "jsonv2");
+    url.searchParams.set("addressdetails", "1");
+    url.searchParams.set("extratags", "1");
+    url.searchParams.set("limit", String(options.maxResults || 5));
+
+    const results = await this.requestJson(url.toString(), {
+      headers: { "User-Agent": this.options.userAgent },
+    });
+    return results.map((result) =>
+      this.createPlace({
+        id: `osm:${result.osm_type}/${result.osm_id}`,
+        name: result.name || result.display_name.split(",")[0],
+        formattedAddress: result.display_name,
+        city:
+          result.address?.city ||
+          result.address?.town ||
+          result.address?.village ||
+          "",
+        location: { latitude: result.lat, longitude: result.lon },
+        types: [result.type],
+        website: result.extratags?.website || "",
+      })
+    );
+  }
+
+  async nearbySearch(coordinates, options = {}) {
+    await this.throttle();
+    const radius = options.radius || 5000;
+    const around = `(around:${radius},${coordinates.latitude},${coordinates.longitude})`;
+    const types = options.types || [];
+    const filters = types.map((type) => {
+      const [key, values] = osmTag(type);
+      return `["${key}"~"^(${values})$"]`;
+    });
+    const statements = (filters.length > 0 ? filters : [""])
+      .map((filter) => `nwr${filter}["name"]${around};`)
+      .join("");
+    const query = `[out:json][timeout:25];(${statements});out center ${
+      options.maxResults || 20
+    };`;
+
+    const data = await this.requestJson(this.options.overpassUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "User-Agent": this.options.userAgent,
+      },
+      body: `data=${encodeURIComponent(query)}`,
+    });
+
+    return (data.elements || []).map((element) => {
+      const tags = element.tags || {};
+      const street = [tags["addr:housenumber"], tags["addr:street"]]
+        .filter(Boolean)
+        .join(" ");
+      return this.createPlace({
+        id: `osm:${element.type}/${element.id}`,
+        name: tags.name,
+        formattedAddress: [street, tags["addr:city"], tags["addr:postcode"]]
+          .filter(Boolean)
+          .join(", "),
+        city: tags["addr:city"] || "",
+        location: {
+          latitude: element.lat ?? element.center?.lat,
+          longitude: element.lon ?? element.center?.lon,
+        },
+        types: types.filter((type) => {
+          const [key, values] = osmTag(type);
+          return new RegExp(`^(${values})$`).test(tags[key] || "");
+        }),
+        website: tags.website || "",
+      });
+    });
+  }
+}
+
+module.exports = { OsmPlacesProvider, OSM_TYPE_TAGS };
@@ -0,0 +1,162 @@
+// place_lookup_cache.js
+
+const fs = require("fs");
+const path = require("path");
+const { PlaceProvider } = require("./place_provider.js");
+
+const DEFAULT_CACHE_PATH = "gbp_output_data/place_cache.json";
+const DEFAULT_TTL_DAYS = 30;
+
+const normalizeQuery = (query) =>
+  String(query || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Disk-backed cache of place lookups with a TTL. With refresh set, stored
+ * entries are ignored but fresh answers still overwrite them. New entries
+ * stay in memory until flush(), so concurrent lookups never race on the file.
+ */
+class PlaceLookupCache {
+  constructor(options = {}) {
+    const ttlDays =
+      options.ttlDays ??
+      (process.env.GBP_PLACE_CACHE_TTL_DAYS !== undefined
+        ? Number(process.env.GBP_PLACE_CACHE_TTL_DAYS)
+        : DEFAULT_TTL_DAYS);
+    this.options = {
+      cachePath: options.cachePath ?? DEFAULT_CACHE_PATH,
+      ttlMs: ttlDays * 24 * 60 * 60 * 1000,
+      refresh: options.refresh || false,
+    };
+    this.entries = {};
+    this.dirty = false;
+    this.stats = { hits: 0, misses: 0, expired: 0 };
+    this.load();
+  }
+
+  load() {
+    if (!this.options.cachePath || !fs.existsSync(this.options.cachePath)) {
+      return;
+    }
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.options.cachePath, "utf8"));
+    } catch (error) {
+      console.warn(`⚠️ Ignoring unreadable place cache: ${error.message}`);
+    }
+  }
+
+  save() {
+    if (!this.options.cachePath) return;
+    fs.mkdirSync(path.dirname(this.options.cachePath), { recursive: true });
+    // Written beside the cache and renamed, so an interrupted write keeps the old file
+    const tempPath = `${this.options.cachePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.entries, null, 2));
+    fs.renameSync(tempPath, this.options.cachePath);
+  }
+
+  /**
+   * Write the entries set since the last flush, once per run
+   */
+  flush() {
+    if (!this.dirty) return;
+    this.save();
+    this.dirty = false;
+  }
+
+  /**
+   * Cache key of one lookup: provider, method, field mask and normalized query
+   */
+  createKey(provider, method, fieldMask, query) {
+    return [provider, method, fieldMask, normalizeQuery(query)].join("|");
+  }
+
+  /**
+   * Cached value, or undefined on a miss (unknown, expired or refreshing)
+   */
+  get(key) {
+    const entry = this.entries[key];
+    if (!entry || this.options.refresh) {
+      this.stats.misses++;
+      return undefined;
+    }
+    if (Date.now() - entry.storedAt > this.options.ttlMs) {
+      this.stats.expired++;
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  set(key, value) {
+    this.entries[key] = { storedAt: Date.now(), value };
+    this.dirty = true;
+  }
+
+  summary() {
+    const { hits, misses, expired } = this.stats;
+    return `${hits} hits, ${misses} misses${expired ? ` (${expired} expired)` : ""}`;
+  }
+}
+
+/**
+ * Wraps a place provider so repeated lookups are answered from a PlaceLookupCache
+ */
+class CachedPlaceProvider extends PlaceProvider {
+  constructor(provider, cache) {
+    super(provider.options);
+    this.provider = provider;
+    this.cache = cache;
+    this.name = provider.name;
+    this.configurationHint = provider.configurationHint;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  async cached(method, query, lookup) {
+    const key = this.cache.createKey(
+      this.provider.name,
+      method,
+      this.provider.fieldMasks?.[method] || "",
+      query
+    );
+    const cached = this.cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const value = await lookup();
+    this.cache.set(key, value);
+    return value;
+  }
+
+  async textSearch(query, options = {}) {
+    return this.cached(
+      "textSearch",
+      `${query}|${options.maxResults || ""}`,
+      () => this.provider.textSearch(query, options)
+    );
+  }
+
+  async nearbySearch(coordinates, options = {}) {
+    // ~1 m precision, so the same map embedded on several pages shares one entry
+    const center = `${Number(coordinates.latitude).toFixed(5)},${Number(
+      coordinates.longitude
+    ).toFixed(5)}`;
+    const types = [...(options.types || [])].sort().join(",");
+    return this.cached(
+      "nearbySearch",
+      `${center}|${types}|${options.radius || ""}|${options.maxResults || ""}`,
+      () => this.provider.nearbySearch(coordinates, options)
+    );
+  }
+}
+
+module.exports = {
+  PlaceLookupCache,
+  CachedPlaceProvider,
+  DEFAULT_CACHE_PATH,
+  DEFAULT_TTL_DAYS,
+};
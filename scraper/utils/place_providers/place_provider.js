@@ -0,0 +1,89 @@
+// place_provider.js
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle distance in meters between two { latitude, longitude } points
+ */
+function distanceMeters(a, b) {
+  const toRadians = (degrees) => (Number(degrees) * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Base class of the place lookup providers used by the decoder.
+ *
+ * Every provider returns places in one shape:
+ *   { id, name, formattedAddress, city, location: { latitude, longitude }, types, website }
+ */
+class PlaceProvider {
+  constructor(options = {}) {
+    this.options = {
+      timeout: options.timeout || 15000,
+      ...options,
+    };
+    this.name = "base";
+    this.configurationHint = "";
+    // Field mask per lookup method, part of the cache key for providers whose answers depend on it
+    this.fieldMasks = {};
+  }
+
+  /**
+   * Whether the provider has what it needs (API key, fixture file, ...) to answer lookups
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Places matching a free text query such as "Business Name, City"
+   */
+  async textSearch(query, options = {}) {
+    throw new Error(`${this.name} provider does not implement textSearch`);
+  }
+
+  /**
+   * Places around { latitude, longitude }, options: { types, radius, maxResults }
+   */
+  async nearbySearch(coordinates, options = {}) {
+    throw new Error(`${this.name} provider does not implement nearbySearch`);
+  }
+
+  /**
+   * Fetch JSON with a timeout, throwing on non-2xx answers
+   */
+  async requestJson(url, init = {}) {
+    const res = await fetch(url, {
+      ...init,
+      signal: AbortSignal.timeout(this.options.timeout),
+    });
+    if (!res.ok) {
+      throw new Error(`HTTP error ${this.name} provider! status: ${res.status}`);
+    }
+    return res.json();
+  }
+
+  createPlace(fields = {}) {
+    return {
+      id: fields.id || "",
+      name: fields.name || "",
+      formattedAddress: fields.formattedAddress || "",
+      city: fields.city || "",
+      location: {
+        latitude: Number(fields.location?.latitude),
+        longitude: Number(fields.location?.longitude),
+      },
+      types: fields.types || [],
+      website: fields.website || "",
+    };
+  }
+}
+
+module.exports = { PlaceProvider, distanceMeters };
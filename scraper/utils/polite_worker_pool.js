@@ -0,0 +1,131 @@
+// polite_worker_pool.js
+
+/**
+ * Worker pool that refills a slot as soon as a task finishes, while keeping
+ * per-host concurrency, a per-host start interval and a global requests-per-minute cap.
+ */
+class PoliteWorkerPool {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: options.concurrency || 3,
+      maxPerHost: options.maxPerHost || options.concurrency || 3,
+      perHostDelay: options.perHostDelay ?? 1000, // Minimum ms between two requests to the same host
+      requestsPerMinute: options.requestsPerMinute || 0, // 0 disables the global cap
+    };
+    this.hosts = new Map(); // host -> { active, lastStartedAt }
+    this.recentStarts = []; // Start timestamps of the last minute, for the global cap
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch {
+      return url;
+    }
+  }
+
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { active: 0, lastStartedAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  pruneRecentStarts(now) {
+    while (this.recentStarts.length > 0 && now - this.recentStarts[0] >= 60000) {
+      this.recentStarts.shift();
+    }
+  }
+
+  /**
+   * Milliseconds until the global cap lets another request start
+   */
+  globalWait(now) {
+    const { requestsPerMinute } = this.options;
+    this.pruneRecentStarts(now);
+    if (!requestsPerMinute || this.recentStarts.length < requestsPerMinute) {
+      return 0;
+    }
+    return this.recentStarts[0] + 60000 - now;
+  }
+
+  /**
+   * Milliseconds until the host accepts another request, Infinity while it is at maxPerHost
+   */
+  hostWait(host, now) {
+    const state = this.getHostState(host);
+    if (state.active >= this.options.maxPerHost) return Infinity;
+    return Math.max(0, state.lastStartedAt + this.options.perHostDelay - now);
+  }
+
+  /**
+   * Index of the first pending item allowed to start now, or -1
+   */
+  findReadyIndex(pending, now) {
+    if (this.globalWait(now) > 0) return -1;
+    return pending.findIndex((item) => this.hostWait(this.getHost(item), now) === 0);
+  }
+
+  /**
+   * Shortest wait until any pending item may start
+   */
+  nextReadyIn(pending, now) {
+    const hostWaits = [...new Set(pending.map((item) => this.getHost(item)))].map(
+      (host) => this.hostWait(host, now)
+    );
+    return Math.max(this.globalWait(now), Math.min(...hostWaits));
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Run the worker for every URL, resolving once all of them have finished
+   */
+  async run(urls, worker) {
+    const pending = [...urls];
+    const running = new Set();
+
+    while (pending.length > 0 || running.size > 0) {
+      const now = Date.now();
+      const readyIndex =
+        running.size < this.options.concurrency
+          ? this.findReadyIndex(pending, now)
+          : -1;
+
+      if (readyIndex !== -1) {
+        const [url] = pending.splice(readyIndex, 1);
+        const state = this.getHostState(this.getHost(url));
+        state.active++;
+        state.lastStartedAt = now;
+        this.recentStarts.push(now);
+
+        const task = Promise.resolve()
+          .then(() => worker(url))
+          .catch((error) => {
+            console.error(`Worker failed for ${url}:`, error.message);
+          })
+          .finally(() => {
+            state.active--;
+            running.delete(task);
+          });
+        running.add(task);
+        continue;
+      }
+
+      // Wake up when a task frees its slot or the next host/global budget opens
+      const waiters = [...running];
+      const waitMs =
+        running.size < this.options.concurrency && pending.length > 0
+          ? this.nextReadyIn(pending, now)
+          : Infinity;
+      if (waitMs !== Infinity) {
+        waiters.push(this.sleep(Math.max(waitMs, 10)));
+      }
+      await Promise.race(waiters);
+    }
+  }
+}
+
+module.exports = { PoliteWorkerPool };
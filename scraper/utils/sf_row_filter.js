@@ -0,0 +1,116 @@
+// sf_row_filter.js
+
+const DEFAULT_FILTER_OPTIONS = {
+  contentTypes: ["text/html"], // Empty list accepts every content type
+  statusCodes: [200], // Empty list accepts every status code
+  indexableOnly: false,
+  include: [], // URL must match at least one of these regexes when given
+  exclude: [], // URL must match none of these regexes
+};
+
+/**
+ * Filters Screaming Frog export rows before they are crawled, counting the
+ * rows each filter drops. Filters whose column is missing from the export
+ * (e.g. a plain list of URLs) are not applied.
+ */
+class ScreamingFrogRowFilter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_FILTER_OPTIONS, ...options };
+    this.contentTypes = this.options.contentTypes.map((type) =>
+      type.trim().toLowerCase()
+    );
+    this.statusCodes = this.options.statusCodes.map(Number);
+    this.include = this.options.include.map((pattern) => this.toRegExp(pattern));
+    this.exclude = this.options.exclude.map((pattern) => this.toRegExp(pattern));
+    this.stats = {
+      total: 0,
+      kept: 0,
+      dropped: {
+        content_type: 0,
+        status_code: 0,
+        indexability: 0,
+        include: 0,
+        exclude: 0,
+      },
+    };
+  }
+
+  toRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    try {
+      return new RegExp(pattern, "i");
+    } catch (error) {
+      throw new Error(`Invalid URL filter regex "${pattern}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Case-insensitive column lookup, undefined when the export lacks the column
+   */
+  getColumn(row, columnName) {
+    const key = Object.keys(row).find(
+      (name) => name.trim().toLowerCase() === columnName.toLowerCase()
+    );
+    return key === undefined ? undefined : String(row[key]).trim();
+  }
+
+  /**
+   * Name of the filter that rejects the row, or null when it is kept
+   */
+  getRejectReason(row, url) {
+    const contentType = this.getColumn(row, "Content Type");
+    if (contentType !== undefined && this.contentTypes.length > 0) {
+      const mimeType = contentType.split(";")[0].trim().toLowerCase();
+      if (!this.contentTypes.includes(mimeType)) return "content_type";
+    }
+
+    const statusCode = this.getColumn(row, "Status Code");
+    if (statusCode !== undefined && this.statusCodes.length > 0) {
+      if (!this.statusCodes.includes(Number(statusCode))) return "status_code";
+    }
+
+    // Older exports leave Indexability blank, which says nothing either way
+    const indexability = this.getColumn(row, "Indexability");
+    if (indexability && this.options.indexableOnly) {
+      if (indexability.toLowerCase() !== "indexable") return "indexability";
+    }
+
+    if (this.include.length > 0 && !this.include.some((re) => re.test(url))) {
+      return "include";
+    }
+
+    if (this.exclude.some((re) => re.test(url))) {
+      return "exclude";
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a row, updating the drop counters
+   */
+  accept(row, url) {
+    this.stats.total++;
+    const reason = this.getRejectReason(row, url);
+
+    if (reason) {
+      this.stats.dropped[reason]++;
+      return false;
+    }
+
+    this.stats.kept++;
+    return true;
+  }
+
+  logReport() {
+    const { total, kept, dropped } = this.stats;
+    console.log(`🧹 Input filter kept ${kept} of ${total} rows`);
+    Object.entries(dropped).forEach(([filter, count]) => {
+      if (count > 0) {
+        console.log(`   - dropped by ${filter}: ${count}`);
+      }
+    });
+  }
+}
+
+module.exports = { ScreamingFrogRowFilter, DEFAULT_FILTER_OPTIONS };
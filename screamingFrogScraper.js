@@ -6,9 +6,10 @@ require('dotenv').config();
  * Runs Screaming Frog SEO Spider with the given config and site.
  * @param {string} url - The URL to crawl.
  * @param {string} configPath - Path to the SEO Spider config file.
+ * @param {string} outputFolder - Folder the export is written to (overwrites existing exports).
  * @returns {Promise<string>} - Resolves with stdout or rejects on error.
  */
-function runScreamingFrog(url = '',export_tab_command = 'Internal:All',export_tab='export-tabs',configPath = process.env.SCREAMING_FROG_CONFIG) {
+function runScreamingFrog(url = '',export_tab_command = 'Internal:All',export_tab='export-tabs',configPath = process.env.SCREAMING_FROG_CONFIG, outputFolder = '') {
     let screamingFrogPath;
     const platform = os.platform(); 
     switch(platform) {
@@ -28,6 +29,8 @@ function runScreamingFrog(url = '',export_tab_command = 'Internal:All',export_ta
     --headless \
     --${export_tab} "${export_tab_command}" \
     --export-format csv \
+    ${configPath ? `--config "${configPath}"` : ''} \
+    ${outputFolder ? `--output-folder "${outputFolder}" --overwrite` : ''} \
     `;
 
   return new Promise((resolve, reject) => {
@@ -1,8 +1,9 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs').promises;
 const path = require('path');
-const csv = require('csv-parser');
-const { createReadStream } = require('fs');
+const { loadRecords, createResultRecord } = require('../pipeline/record_schema.js');
+const { CAPTURE_TARGETS, locateClip } = require('./utils/element_capture.js');
+const { loadSelectorProfile } = require('./utils/selector_profiles.js');
 
 class GoogleBusinessProfileScraper {
   constructor(options = {}) {
@@ -16,6 +17,17 @@ class GoogleBusinessProfileScraper {
       delayBetweenRequests: options.delayBetweenRequests || 2000,
       ...options,
     };
+    // Result entities to capture, defaults to all of them
+    this.entities = options.entities || [
+      "gbp-images",
+      "gbp-reviews",
+      "gbp-social-links",
+      "gbp-posts-frequency",
+      "gbp-profile-modal",
+    ];
+    this.stateStore = options.stateStore || null; // Optional JobStateStore for resumable runs
+    this.stateStage = options.stateStage || "search";
+    this.selectors = loadSelectorProfile("google_serp"); // Selectors of the Google search UI
     this.browser = null;
     this.page = null;
     this.results = {
@@ -155,19 +167,9 @@ class GoogleBusinessProfileScraper {
   }
 
   async readCsvFile(filePath) {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      const stream = createReadStream(filePath)
-        .pipe(csv())
-        .on("data", (data) => results.push(data))
-        .on("end", () => {
-          console.log(
-            `📁 Successfully loaded ${results.length} records from CSV`
-          );
-          resolve(results);
-        })
-        .on("error", reject);
-    });
+    const results = await loadRecords(filePath, "decode");
+    console.log(`📁 Successfully loaded ${results.length} records from CSV`);
+    return results;
   }
 
   async searchGoogleBusiness(
@@ -193,21 +195,19 @@ class GoogleBusinessProfileScraper {
       const searchQuery = nameAddress;
 
       // Clear any existing text and type naturally
-      const searchInput = await this.page.$(
-        'textarea[name="q"], input[name="q"]'
-      );
+      const searchInput = await this.page.$(this.selectors.css("search_input"));
       await searchInput.click({ clickCount: 3 }); // Select all existing text
       await this.page.keyboard.press("Backspace"); // Clear
 
       // Type with human-like delays
-      await this.page.type('textarea[name="q"], input[name="q"]', searchQuery, {
+      await this.page.type(this.selectors.css("search_input"), searchQuery, {
         delay: 100,
       });
      await new Promise(resolve => setTimeout(resolve, 500)); // Brief pause before pressing Enter
       await this.page.keyboard.press("Enter");
 
       // Wait for search results to load
-      await this.page.waitForSelector("#search", {
+      await this.page.waitForSelector(this.selectors.css("search_results"), {
         timeout: this.options.timeout,
       });
 
@@ -215,70 +215,80 @@ class GoogleBusinessProfileScraper {
       await new Promise(resolve => setTimeout(resolve, 3000));
 
       // Look for "See photos" and handle photo modal (only screenshot)
-      const gbpImageScreenshot = await this.handleSeePhotos(nameAddress, record.City);
-      const screenshotResult = this.createProcessedObject(
-        'gbp-images',
-        gbpImageScreenshot,
-        index,
-        searchTerm,
-        record
-      );
-      this.results["gbp-images"].push(screenshotResult);
+      if (this.entities.includes("gbp-images")) {
+        const gbpImageScreenshot = await this.handleSeePhotos(nameAddress, record.city);
+        const screenshotResult = this.createProcessedObject(
+          'gbp-images',
+          gbpImageScreenshot,
+          index,
+          searchTerm,
+          record
+        );
+        this.results["gbp-images"].push(screenshotResult);
+      }
 
       // Take GBP Reviews screenshot
-      const gbpReviewsScreenshot = await this.handleReviewsScreenshot(
-        nameAddress, record.City
-      );
-      const reviewsScreenshotResult = this.createProcessedObject(
-        'gbp-reviews',
-        gbpReviewsScreenshot,
-        index,
-        searchTerm,
-        record
-      );
-      this.results["gbp-reviews"].push(reviewsScreenshotResult);
+      if (this.entities.includes("gbp-reviews")) {
+        const gbpReviewsScreenshot = await this.handleReviewsScreenshot(
+          nameAddress, record.city
+        );
+        const reviewsScreenshotResult = this.createProcessedObject(
+          'gbp-reviews',
+          gbpReviewsScreenshot,
+          index,
+          searchTerm,
+          record
+        );
+        this.results["gbp-reviews"].push(reviewsScreenshotResult);
+      }
 
       // NEW: Check for social media presence element and screenshot it
-      const socialMediaElementScreenshot = await this.handleGBPLinks(
-        nameAddress,
-        record.City
-      );
-      const socialMediaElementResult = this.createProcessedObject(
-        "gbp-social-links",
-        socialMediaElementScreenshot,
-        index,
-        searchTerm,
-        record
-      );
-      this.results["gbp-social-links"].push(socialMediaElementResult);
+      if (this.entities.includes("gbp-social-links")) {
+        const socialMediaElementScreenshot = await this.handleGBPLinks(
+          nameAddress,
+          record.city
+        );
+        const socialMediaElementResult = this.createProcessedObject(
+          "gbp-social-links",
+          socialMediaElementScreenshot,
+          index,
+          searchTerm,
+          record
+        );
+        this.results["gbp-social-links"].push(socialMediaElementResult);
+      }
 
       // NEW: Check for POSTS FREQUENCY element and screenshot it
-      const postsFrequencyScreenshot = await this.handlePostsFrequencyElement(
-        nameAddress,
-        record.City
-      );
-      const postsFrequencyResult = this.createProcessedObject(
-        "gbp-posts-frequency",
-        postsFrequencyScreenshot,
-        index,
-        searchTerm,
-        record
-      );
-      this.results["gbp-posts-frequency"].push(postsFrequencyResult);
+      if (this.entities.includes("gbp-posts-frequency")) {
+        const postsFrequencyScreenshot = await this.handlePostsFrequencyElement(
+          nameAddress,
+          record.city
+        );
+        const postsFrequencyResult = this.createProcessedObject(
+          "gbp-posts-frequency",
+          postsFrequencyScreenshot,
+          index,
+          searchTerm,
+          record
+        );
+        this.results["gbp-posts-frequency"].push(postsFrequencyResult);
+      }
 
       // Handle Profile Modal
-      const profileModalResult = await this.handleProductsModal(
-        nameAddress,
-        record.City
-      );
-      const processedProfileModalResult = this.createProcessedObject(
-        "gbp-profile-modal",
-        profileModalResult,
-        index,
-        searchTerm,
-        record
-      );
-      this.results["gbp-profile-modal"].push(processedProfileModalResult);
+      if (this.entities.includes("gbp-profile-modal")) {
+        const profileModalResult = await this.handleProductsModal(
+          nameAddress,
+          record.city
+        );
+        const processedProfileModalResult = this.createProcessedObject(
+          "gbp-profile-modal",
+          profileModalResult,
+          index,
+          searchTerm,
+          record
+        );
+        this.results["gbp-profile-modal"].push(processedProfileModalResult);
+      }
     } catch (error) {
       console.error(`❌ Error searching for ${nameAddress}:`, error.message);
 
@@ -299,41 +309,48 @@ class GoogleBusinessProfileScraper {
     }
   }
 
-  // NEW METHOD: Handle social links detection and screenshot based on data-attrid
-  async handleGBPLinks(nameAddress, city) {
-  try {
-    console.log('🎯 Looking for element with data-attrid="kc:/common/topic:social media presence"...');
-
-    const targetAttribute = 'kc:/common/topic:social media presence';
-
-    // Scroll element into view and get full metadata
-    const foundElement = await this.page.evaluate((targetAttr) => {
-      const element = document.querySelector(`[data-attrid="${targetAttr}"]`);
-
-      if (!element) return null;
+  /**
+   * Find a selector profile element, scroll it into view and describe it
+   */
+  async locateProfileElement(element, textLength = 200) {
+    const match = await this.selectors.find(this.page, element, { visible: false });
+    if (!match) return null;
 
-      // Scroll into view if necessary
-      element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    const details = await match.element.evaluate((el, textLength) => {
+      el.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
 
-      const rect = element.getBoundingClientRect();
+      const rect = el.getBoundingClientRect();
 
       return {
-        dataAttrid: targetAttr,
         rect: {
           x: Math.round(rect.left + window.scrollX),
           y: Math.round(rect.top + window.scrollY),
           width: Math.round(rect.width),
           height: Math.round(rect.height),
         },
-        text: element.textContent?.substring(0, 200) || '',
-        tagName: element.tagName.toLowerCase(),
-        className: element.className || '',
-        id: element.id || ''
+        text: el.textContent?.substring(0, textLength) || '',
+        tagName: el.tagName.toLowerCase(),
+        className: el.className || '',
+        id: el.id || ''
       };
-    }, targetAttribute);
+    }, textLength);
+    await match.element.dispose();
+
+    return { selector: match.selector, ...details };
+  }
+
+  // NEW METHOD: Handle social links detection and screenshot based on data-attrid
+  async handleGBPLinks(nameAddress, city) {
+  try {
+    console.log('🎯 Looking for the social media presence element...');
+
+    const targetAttribute = this.selectors.css("social_links");
+
+    // Scroll element into view and get full metadata
+    const foundElement = await this.locateProfileElement("social_links", 200);
 
     if (!foundElement) {
-      console.log('ℹ️ No element with social media presence data-attrid found on the page');
+      console.log('ℹ️ No social media presence element found on the page');
       return {
         success: false,
         reason: "No social media presence element found",
@@ -382,7 +399,7 @@ class GoogleBusinessProfileScraper {
     return {
       success: false,
       error: error.message,
-      searchedAttribute: 'kc:/common/topic:social media presence'
+      searchedAttribute: this.selectors.css("social_links")
     };
   }
 }
@@ -391,36 +408,15 @@ class GoogleBusinessProfileScraper {
   // NEW METHOD: Handle posts frequency element detection and screenshot based on data-attrid
 async handlePostsFrequencyElement(nameAddress, city) {
   try {
-    console.log('🎯 Looking for element with data-attrid="kc:/local:posts"...');
-
-    const targetPostsAttribute = 'kc:/local:posts';
-
-    const foundPostsElement = await this.page.evaluate((targetAttr) => {
-      const element = document.querySelector(`[data-attrid="${targetAttr}"]`);
-      if (!element) return null;
+    console.log('🎯 Looking for the posts frequency element...');
 
-      // Scroll into view so we can capture it even if it's offscreen
-      element.scrollIntoView({ behavior: 'instant', block: 'center', inline: 'center' });
+    const targetPostsAttribute = this.selectors.css("posts");
 
-      const rect = element.getBoundingClientRect();
-
-      return {
-        dataAttrid: targetAttr,
-        rect: {
-          x: Math.round(rect.left + window.scrollX),
-          y: Math.round(rect.top + window.scrollY),
-          width: Math.round(rect.width),
-          height: Math.round(rect.height)
-        },
-        text: element.textContent?.substring(0, 250) || '',
-        tagName: element.tagName.toLowerCase(),
-        className: element.className || '',
-        id: element.id || ''
-      };
-    }, targetPostsAttribute);
+    // Scroll into view so we can capture it even if it's offscreen
+    const foundPostsElement = await this.locateProfileElement("posts", 250);
 
     if (!foundPostsElement) {
-      console.log('ℹ️ No element with posts frequency data-attrid found on the page');
+      console.log('ℹ️ No posts frequency element found on the page');
       return {
         success: false,
         reason: "No posts frequency element found",
@@ -469,7 +465,7 @@ async handlePostsFrequencyElement(nameAddress, city) {
     return {
       success: false,
       error: error.message,
-      searchedAttribute: 'kc:/local:posts'
+      searchedAttribute: this.selectors.css("posts")
     };
   }
 }
@@ -477,30 +473,32 @@ async handlePostsFrequencyElement(nameAddress, city) {
 
 async handleProductsModal(nameAddress, city) {
   try {
-    console.log('🎯 Looking for anchor tag with jsaction="trigger.QTy97"...');
+    console.log('🎯 Looking for the products link...');
 
-    // Find, scroll to, and click the anchor, returning scroll offset
-    const scrollResult = await this.page.evaluate(() => {
-      const anchor = document.querySelector('a[jsaction="trigger.QTy97"]');
-      if (!anchor) return { found: false };
+    const productsLinkSelector = this.selectors.css("products_link");
 
-      anchor.scrollIntoView({ behavior: 'instant', block: 'start' });
-
-      const scrollY = window.scrollY;
-      anchor.click();
-
-      return {
-        found: true,
-        scrollY,
-      };
-    });
+    // Find, scroll to, and click the anchor, returning scroll offset
+    const productsLink = await this.selectors.find(this.page, "products_link", { visible: false });
+    const scrollResult = productsLink
+      ? await productsLink.element.evaluate((anchor) => {
+          anchor.scrollIntoView({ behavior: 'instant', block: 'start' });
+
+          const scrollY = window.scrollY;
+          anchor.click();
+
+          return {
+            found: true,
+            scrollY,
+          };
+        })
+      : { found: false };
 
     if (!scrollResult.found) {
       console.log('ℹ️ No matching anchor tag found.');
       return {
         success: false,
-        reason: 'No anchor tag with jsaction="trigger.QTy97" found',
-        searchedAttribute: 'jsaction="trigger.QTy97"',
+        reason: `No products link found (${productsLinkSelector})`,
+        searchedAttribute: productsLinkSelector,
       };
     }
 
@@ -535,7 +533,7 @@ async handleProductsModal(nameAddress, city) {
     return {
       success: true,
       screenshots: [screenshot],
-      searchedAttribute: 'jsaction="trigger.QTy97"',
+      searchedAttribute: productsLinkSelector,
       scrollY: scrollResult.scrollY,
     };
   } catch (error) {
@@ -543,7 +541,7 @@ async handleProductsModal(nameAddress, city) {
     return {
       success: false,
       error: error.message,
-      searchedAttribute: 'jsaction="trigger.QTy97"',
+      searchedAttribute: this.selectors.css("products_link"),
     };
   }
 }
@@ -657,38 +655,39 @@ async handleProductsModal(nameAddress, city) {
   }
 
   createProcessedObject(entityType, result, passedIndex, searchTerm, record) {
-    const processedResult = {
+    // Screenshot helpers report success/filepath/error, the result schema has its own names
+    const { success, filepath, error, ...details } = result;
+    return createResultRecord(entityType, {
+      ...details,
       index: passedIndex + 1,
       name_address: searchTerm,
-      business_name: record.Business_Name,
-      city: record.City,
-      url: record.URL,
-      place_id: record.Place_ID,
-      processed_at: new Date().toISOString(),
-      status: result.success ? "success" : "failed",
-      ...result,
-    };
-    return processedResult;
+      business_name: record.business_name,
+      city: record.city,
+      url: record.url,
+      cid: record.cid,
+      places_api_id: record.places_api_id,
+      screenshot_path: filepath || "",
+      screenshot_status: success ? "success" : "error",
+      error_message: success ? "" : error || result.reason || "",
+    });
   }
 
   //take GBP reviews screenshot
   async handleReviewsScreenshot(nameAddress, city) {
     try {
       const gbpReviewsDirectory = "./screenshots/gbp_reviews_screenshots";
-      const gbpReviewsClipDimension = {
-        x: 950,
-        y: 150,
-        width: 510,
-        height: 280,
-      };
+      const { clip, capture_method, capture_selector } = await locateClip(
+        this.page,
+        CAPTURE_TARGETS.reviews
+      );
       const photoScreenshot = await this.startScreenshotOperation(
         nameAddress,
         city,
         gbpReviewsDirectory,
-        gbpReviewsClipDimension,
+        clip,
         "gbp_review"
       );
-      return photoScreenshot;
+      return { ...photoScreenshot, capture_method, capture_selector };
     } catch (error) {
       console.error("❌ Error handling see photos:", error.message);
 
@@ -713,67 +712,14 @@ async handleSeePhotos(nameAddress, city) {
   try {
     console.log('🔍 Looking for "See photos" button...');
 
-    // Look for "See photos" button with various selectors
-    const seePhotosSelectors = [
-      'button:has-text("See photos")',
-      // 'a:has-text("See photos")',
-      '[role="button"]:has-text("See photos")',
-    ];
-
-    let seePhotosButton = null;
-
-    // Try each selector
-    for (const selector of seePhotosSelectors) {
-      try {
-        seePhotosButton = await this.page.$(selector);
-        if (seePhotosButton) {
-          // Verify it's actually clickable and visible
-          const isVisible = await seePhotosButton.isIntersectingViewport();
-          if (isVisible) {
-            console.log('📸 Found "See photos" button:::', selector);
-            break;
-          } else {
-            seePhotosButton = null;
-          }
-        }
-      } catch (error) {
-        // Continue to next selector
-      }
-    }
-
-    // Alternative approach: look for text content
-    if (!seePhotosButton) {
-      seePhotosButton = await this.page.evaluateHandle(() => {
-        const elements = Array.from(
-          document.querySelectorAll('button, [role="button"]')
-        );
-        return elements.find(
-          (el) => el.textContent?.toLowerCase().includes("see photos")
-          //  ||
-          // el.textContent?.toLowerCase().includes('photos') ||
-          // el.getAttribute('aria-label')?.toLowerCase().includes('photos')
-        );
-      });
-
-      if (seePhotosButton && seePhotosButton.asElement()) {
-        console.log("📸 Found photos button via text search");
-        const browsePhotosElement = await this.page.$('[aria-label="Browse photos of Squeegee Car Detailing"]');
-          if (browsePhotosElement) {
-              const browsePhotosPath = path.join(__dirname, `browse-photos${1}.png`);
-              await browsePhotosElement.screenshot({ path: browsePhotosPath });
-              console.log('Browse photos screenshot taken:', browsePhotosPath);
-          } else {
-              console.log('Could not find browse photos element for screenshot');
-          }
-      } else {
-        seePhotosButton = null;
-      }
-    }
-
-    if (!seePhotosButton) {
+    // Try the profile's "See photos" selectors in order
+    const seePhotosMatch = await this.selectors.find(this.page, "see_photos_button");
+    if (!seePhotosMatch) {
       console.log('ℹ️ No "See photos" button found');
       return { success: false, reason: "No see photos button found" };
     }
+    console.log('📸 Found "See photos" button:::', seePhotosMatch.selector);
+    const seePhotosButton = seePhotosMatch.element;
 
     // Click the "See photos" button
     await seePhotosButton.click();
@@ -785,7 +731,7 @@ async handleSeePhotos(nameAddress, city) {
     // Wait for photo modal/gallery to load
     await this.page
       .waitForSelector(
-        '[role="dialog"], .modal, [data-testid="photo-modal"]',
+        this.selectors.css("photo_modal"),
         {
           timeout: 10000,
         }
@@ -980,27 +926,13 @@ generateFinalScreenshotPath(nameAddress, screenshotType, screenshotDirectory) {
       // Wait for cookie consent button and click if present
       await new Promise(resolve => setTimeout(resolve, 1000)); // Wait for page to settle
 
-      const cookieSelectors = [
-        'button[id*="accept"]',
-        'button[id*="consent"]',
-        'button:has-text("Accept all")',
-        'button:has-text("I agree")',
-        "#L2AGLb", // Google's "Accept all" button ID
-        'button[jsname="b3VHJd"]', // Another Google consent button
-      ];
-
-      for (const selector of cookieSelectors) {
-        try {
-          const cookieButton = await this.page.$(selector);
-          if (cookieButton) {
-            await cookieButton.click();
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            console.log("🍪 Accepted cookie consent");
-            return;
-          }
-        } catch (error) {
-          // Continue to next selector
-        }
+      const cookieButton = await this.selectors.find(this.page, "consent_accept", {
+        visible: false,
+      });
+      if (cookieButton) {
+        await cookieButton.element.click();
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        console.log(`🍪 Accepted cookie consent (${cookieButton.selector})`);
       }
     } catch (error) {
       // Cookie consent not present or already handled
@@ -1180,12 +1112,12 @@ generateFinalScreenshotPath(nameAddress, screenshotType, screenshotDirectory) {
     try {
       console.log(
         `\n🔄 Processing record ${index + 1}: ${
-          record.Name_Address || record.Business_Name
+          record.name_and_address || record.business_name
         }`
       );
 
       // Use Name_Address field, fallback to Business_Name if not available
-      const searchTerm = record.Name_Address || record.Business_Name;
+      const searchTerm = record.name_and_address || record.business_name;
 
       if (!searchTerm) {
         throw new Error(
@@ -1211,24 +1143,70 @@ generateFinalScreenshotPath(nameAddress, screenshotType, screenshotDirectory) {
     } catch (error) {
       console.error(`❌ Failed to process record ${index + 1}:`, error.message);
 
-      const errorResult = {
+      const errorResult = createResultRecord("browser_search", {
         index: index + 1,
-        name_address: record.Name_Address || "N/A",
-        business_name: record.Business_Name || "N/A",
-        url: record.URL,
-        place_id: record.Place_ID,
-        processed_at: new Date().toISOString(),
-        screenshot: { success: false, error: error.message },
-        status: "error",
-        error: error.message,
-      };
+        name_address: record.name_and_address || "N/A",
+        business_name: record.business_name || "N/A",
+        city: record.city,
+        url: record.url,
+        cid: record.cid,
+        places_api_id: record.places_api_id,
+        screenshot_status: "error",
+        error_message: error.message,
+      });
+
+      return errorResult;
+    }
+  }
 
+  /**
+   * Process a record and checkpoint its results, skipping records a resumed run already completed
+   */
+  async processRecordWithCheckpoint(record, index) {
+    if (!this.stateStore) {
+      return this.processRecord(record, index);
+    }
+
+    const key = `${record.url}|${record.name_and_address || record.business_name}`;
+    const entry = this.stateStore.get(this.stateStage, key);
+    if (entry && entry.status === "success") {
+      console.log(
+        `⏩ Skipping record ${index + 1}, already completed in run ${this.stateStore.runId}`
+      );
+      Object.entries(entry.data.results).forEach(([entity, rows]) => {
+        this.results[entity].push(...rows);
+      });
+      return;
+    }
+
+    this.stateStore.record(this.stateStage, key, "started");
+
+    const countsBefore = {};
+    Object.keys(this.results).forEach((entity) => {
+      countsBefore[entity] = this.results[entity].length;
+    });
+
+    const errorResult = await this.processRecord(record, index);
+
+    if (errorResult) {
+      this.stateStore.record(this.stateStage, key, "error", {
+        error: errorResult.error_message,
+      });
       return errorResult;
     }
+
+    const results = {};
+    Object.keys(this.results).forEach((entity) => {
+      results[entity] = this.results[entity].slice(countsBefore[entity]);
+    });
+    this.stateStore.record(this.stateStage, key, "success", { results });
   }
 
   async saveResults() {
-    const gbpEntities = Object.keys(this.results);
+    // Leave reports of entities that were not captured in this run untouched
+    const gbpEntities = Object.keys(this.results).filter((entity) =>
+      this.entities.includes(entity)
+    );
 
     for (const entity of gbpEntities) {
       let screenshotDir;
@@ -1281,7 +1259,7 @@ generateFinalScreenshotPath(nameAddress, screenshotType, screenshotDirectory) {
       console.log(`📋 Processing ${records.length} records...`);
 
       for (let i = 0; i < records.length; i++) {
-        await this.processRecord(records[i], i);
+        await this.processRecordWithCheckpoint(records[i], i);
       }
 
       // Final save
@@ -1316,18 +1294,21 @@ generateFinalScreenshotPath(nameAddress, screenshotType, screenshotDirectory) {
 }
 
 // Main execution function
-async function InitializeGBPBrowserSearchScreenshot() {
+async function InitializeGBPBrowserSearchScreenshot(csvFilePath = './gbp_output_data/gbp_enhanced_records.csv', options = {}) {
     const scraper = new GoogleBusinessProfileScraper({
-        headless: false, // Set to true for production
+        headless: options.headless !== undefined ? options.headless : false, // Set to true for production
         timeout: 45000, // Increased timeout for profile loading
         screenshotDir: './screenshots/gbp_images_screenshots',
         maxRetries: 3,
-        delayBetweenRequests: 5000 // 5 seconds between requests to appear more human
+        delayBetweenRequests: 5000, // 5 seconds between requests to appear more human
+        entities: options.entities,
+        stateStore: options.stateStore,
+        stateStage: options.stateStage
     });
 
     try {
         await scraper.initialize();
-        const results = await scraper.processAllRecords('./gbp_output_data/gbp_enhanced_records.csv');
+        const results = await scraper.processAllRecords(csvFilePath);
         console.log("gbp_browser_output:::", results);
         return results;
     } catch (error) {
@@ -3,17 +3,95 @@
 const puppeteer = require("puppeteer");
 const fs = require("fs").promises;
 const path = require("path");
-const csv = require("csv-parser");
-const { createReadStream } = require("fs");
+const {
+  loadRecords,
+  createResultRecord,
+} = require("../pipeline/record_schema.js");
+const { loadSelectorProfile } = require("./utils/selector_profiles.js");
+const { PagePreparer } = require("./utils/page_preparation.js");
+const { EmbedIframeMatcher } = require("./utils/iframe_matcher.js");
+const { CUSTOM_DEVICES, DeviceProfileRegistry } = require("./utils/device_profiles.js");
+
+const IFRAME_DETECTION_TYPES = ["embed_iframe", "lazy_iframe"];
+
+// Marks the matched iframe so later steps can find it again
+const TARGET_ATTRIBUTE = "data-gbp-embed-target";
+// Numbers every iframe while candidates are compared
+const CANDIDATE_ATTRIBUTE = "data-gbp-embed-candidate";
+const HIGHLIGHT_ID = "gbp-embed-highlight";
+
+const DEFAULT_HIGHLIGHT_STYLE = {
+  color: "#ff1744",
+  width: 4,
+  label: "Google Business Profile embed",
+};
+
+/**
+ * Whether the map surface inside the embed frame has painted: a tile image
+ * that finished loading, or a canvas showing more than its background color.
+ * Runs in the frame through waitForFunction, so it must not use anything
+ * outside its own body.
+ */
+function isMapPainted(css) {
+  const canvasPainted = (canvas) => {
+    if (!canvas.width || !canvas.height) return false;
+    try {
+      // Sampled through a small 2D copy, which also works for WebGL canvases
+      const sample = document.createElement("canvas");
+      sample.width = 16;
+      sample.height = 16;
+      const context = sample.getContext("2d");
+      context.drawImage(canvas, 0, 0, sample.width, sample.height);
+      const pixels = context.getImageData(0, 0, sample.width, sample.height).data;
+      for (let i = 4; i < pixels.length; i += 4) {
+        for (let channel = 0; channel < 4; channel++) {
+          if (pixels[i + channel] !== pixels[channel]) return true;
+        }
+      }
+      return false;
+    } catch (e) {
+      return false; // Tainted or lost context, nothing to read
+    }
+  };
+
+  return Array.from(document.querySelectorAll(css)).some((element) =>
+    element.tagName === "IMG"
+      ? element.complete && element.naturalWidth > 0
+      : element.tagName === "CANVAS" && canvasPainted(element)
+  );
+}
 
 class GBPIframeProcessor {
   constructor(options = {}) {
     this.browser = null;
+    this.headless = options.headless ?? "new";
     this.outputDir = options.outputDir || "gbp_embed_screenshots";
     this.timeout = options.timeout || 45000;
-    this.viewport = options.viewport || { width: 1920, height: 1080 };
+    // Devices to emulate, every URL is captured once per device. `viewport` resizes "desktop".
+    this.deviceRegistry = new DeviceProfileRegistry({
+      ...(options.viewport && { desktop: { ...CUSTOM_DEVICES.desktop, viewport: options.viewport } }),
+      ...options.customDevices,
+    });
+    this.devices = this.deviceRegistry.resolveAll(options.devices);
     this.delay = options.delay || 3000; // Increased delay
     this.maxRetries = options.maxRetries || 3;
+    // Proof of embed: outline and label the iframe, crop it, capture the whole page
+    this.highlight = Boolean(options.highlight);
+    this.highlightStyle = { ...DEFAULT_HIGHLIGHT_STYLE, ...options.highlightStyle };
+    this.elementCrop = Boolean(options.elementCrop);
+    this.fullPage = Boolean(options.fullPage);
+    // How long to wait for the map inside the embed to render
+    this.renderTimeout = options.renderTimeout || 20000;
+    this.selectors = loadSelectorProfile("google_maps_embed"); // Selectors inside the embed iframe
+    // Consent banners, lazy loading and "click to load map" placeholders on the client site
+    this.pagePreparer =
+      options.preparePage === false
+        ? null
+        : options.pagePreparer || new PagePreparer(options.preparation);
+    // Compares iframes by decoded identity, so a rewritten src still matches
+    this.iframeMatcher = options.iframeMatcher || new EmbedIframeMatcher(options.iframeMatch);
+    this.stateStore = options.stateStore || null; // Optional JobStateStore for resumable runs
+    this.stateStage = options.stateStage || "embed";
   }
 
   /**
@@ -24,7 +102,7 @@ class GBPIframeProcessor {
       console.log("Initializing browser...");
 
       this.browser = await puppeteer.launch({
-        headless: "new",
+        headless: this.headless,
         args: [
           "--no-sandbox",
           "--disable-setuid-sandbox",
@@ -54,26 +132,21 @@ class GBPIframeProcessor {
   }
 
   /**
-   * Create a new page with proper initialization
+   * Create a new page emulating a device (viewport, touch and user agent)
    */
-  async createNewPage() {
+  async createNewPage(device) {
     try {
-      console.log("Creating new page...");
+      console.log(`Creating new page (${device.name})...`);
       const page = await this.browser.newPage();
 
       // Wait for page to be ready
       await this.sleep(1000);
 
-      // Set viewport and timeouts
-      await page.setViewport(this.viewport);
+      // Set device and timeouts
+      await page.emulate({ viewport: device.viewport, userAgent: device.userAgent });
       await page.setDefaultNavigationTimeout(this.timeout);
       await page.setDefaultTimeout(this.timeout);
 
-      // Set user agent
-      await page.setUserAgent(
-        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
-      );
-
       // Set extra HTTP headers
       await page.setExtraHTTPHeaders({
         "Accept-Language": "en-US,en;q=0.9",
@@ -94,100 +167,126 @@ class GBPIframeProcessor {
   }
 
   /**
-   * Read and parse CSV file
+   * Read the decode-stage records that have an iframe to capture
    */
   async readCSV(filePath) {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      const stream = createReadStream(filePath);
-
-      stream.on("error", (error) => {
-        reject(new Error(`Failed to read CSV file: ${error.message}`));
-      });
-
-      stream
-        .pipe(csv())
-        .on("data", (data) => {
-          // Validate required fields
-          if (data.URL && data.GBP_Iframe_Source) {
-            results.push({
-              url: data.URL.trim(),
-              gbpIframeSrc: data.GBP_Iframe_Source.trim(),
-              index: results.length,
-              city: data.City
-            });
-          } else {
-            console.warn(`Skipping row due to missing required fields:`, data);
-          }
-        })
-        .on("end", () => {
-          console.log(
-            `Successfully parsed ${results.length} valid rows from CSV`
-          );
-          resolve(results);
-        })
-        .on("error", (error) => {
-          reject(new Error(`Failed to parse CSV: ${error.message}`));
-        });
+    const records = await loadRecords(filePath, "decode");
+    const results = records.filter((record) => {
+      // Links and Maps JavaScript API widgets have no iframe to capture
+      if (
+        record.detection_type &&
+        !IFRAME_DETECTION_TYPES.includes(record.detection_type)
+      ) {
+        console.log(
+          `Skipping ${record.detection_type} detection on ${record.url}, not an iframe`
+        );
+        return false;
+      }
+      if (!record.iframe_src) {
+        console.warn(`Skipping ${record.url}, it has no GBP_Iframe_Source`);
+        return false;
+      }
+      return true;
     });
+
+    console.log(`Successfully parsed ${results.length} valid rows from CSV`);
+    return results.map((record, index) => ({ ...record, index }));
   }
 
   /**
-   * Navigate to URL and find the specific iframe
+   * Navigate to URL on a device and find the specific iframe
    */
-  async processURL(urlData, retryCount = 0) {
-    const { url, gbpIframeSrc, index, city } = urlData;
+  async processURL(urlData, device, retryCount = 0) {
+    const { url, iframe_src: gbpIframeSrc, index } = urlData;
     let page = null;
+    let renderState = null;
+    let preparation = null;
+    let iframeMatch = null;
 
     try {
-      console.log(`Processing URL ${index + 1}: ${url}`);
+      console.log(`Processing URL ${index + 1} on ${device.name}: ${url}`);
 
-      // Create a fresh page for each URL to avoid state issues
-      page = await this.createNewPage();
+      // Create a fresh page for each URL and device to avoid state issues
+      page = await this.createNewPage(device);
 
       // Navigate with multiple strategies
       console.log("Navigating to URL...");
       await this.navigateToPage(page, url);
 
-      console.log("Page loaded, searching for iframe...");
+      if (this.pagePreparer) {
+        console.log("Page loaded, preparing it for the iframe search...");
+        preparation = await this.pagePreparer.prepare(page, { targetSrc: gbpIframeSrc });
+      }
+
+      console.log("Searching for iframe...");
 
-      // Find the iframe with matching src
-      const iframeInfo = await this.findTargetIframe(page, gbpIframeSrc);
+      // Find the iframe showing the same embed
+      const iframeInfo = await this.findTargetIframe(page, urlData);
+      iframeMatch = {
+        match_quality: iframeInfo ? iframeInfo.match_quality : "none",
+        match_detail: iframeInfo ? iframeInfo.match_detail : "",
+        iframe_candidates: iframeInfo ? iframeInfo.candidates : 0,
+      };
 
-      if (!iframeInfo) {
+      if (!iframeInfo || !iframeInfo.accepted) {
         throw new Error(
-          `Iframe with src containing "${gbpIframeSrc}" not found`
+          `Iframe matching "${gbpIframeSrc}" not found` +
+            (iframeInfo ? ` (best candidate: ${iframeInfo.match_quality})` : "")
         );
       }
 
       console.log(
-        `Found iframe at position x:${iframeInfo.position.x}, y:${iframeInfo.position.y}`
+        `Found iframe (${iframeInfo.match_quality} match) at position x:${iframeInfo.position.x}, y:${iframeInfo.position.y}`
       );
 
       // Scroll to iframe position
       await this.scrollToIframe(page, iframeInfo);
 
-      // Wait for scroll and iframe to stabilize
-      await this.sleep(3000);
+      // Wait for the map inside the embed to render rather than a fixed delay
+      renderState = await this.waitForMapRender(page);
+      if (!renderState.map_rendered) {
+        throw new Error(`map not rendered within ${this.renderTimeout}ms`);
+      }
+
+      // Tight crop of the iframe alone, before anything is drawn over it
+      let elementScreenshotPath = "";
+      if (this.elementCrop) {
+        elementScreenshotPath = await this.takeElementScreenshot(page, index, url, device);
+        // The crop may have scrolled the page, restore the viewport around the iframe
+        await this.scrollToIframe(page, iframeInfo);
+      }
+
+      if (this.highlight) {
+        await this.highlightIframe(page);
+      }
 
       // Take screenshot
-      const screenshotPath = await this.takeScreenshot(page, index, url);
-      
+      const screenshotPath = await this.takeScreenshot(page, index, url, device);
+
+      const fullPageScreenshotPath = this.fullPage
+        ? await this.takeScreenshot(page, index, url, device, { fullPage: true })
+        : "";
 
       console.log("Successfully processed URL");
 
-      return {
-        success: true,
-        url,
-        scrollPosition: iframeInfo.scrollPosition,
-        screenshotPath,
-        city,
-        iframeInfo: {
+      return createResultRecord("embed", {
+        ...this.businessFields(urlData),
+        ...this.deviceFields(device),
+        screenshot_path: screenshotPath,
+        element_screenshot_path: elementScreenshotPath,
+        full_page_screenshot_path: fullPageScreenshotPath,
+        highlighted: this.highlight,
+        ...preparation,
+        ...iframeMatch,
+        ...renderState,
+        screenshot_status: "success",
+        scroll_position: iframeInfo.scrollPosition,
+        iframe_info: {
           src: iframeInfo.src,
           dimensions: iframeInfo.dimensions,
           position: iframeInfo.position,
         },
-      };
+      });
     } catch (error) {
       console.error(`Error processing URL ${url}:`, error.message);
 
@@ -196,16 +295,19 @@ class GBPIframeProcessor {
           `Retry ${retryCount + 1}/${this.maxRetries} for URL: ${url}`
         );
         await this.sleep(this.delay * 2);
-        return this.processURL(urlData, retryCount + 1);
+        return this.processURL(urlData, device, retryCount + 1);
       }
 
-      return {
-        success: false,
-        url,
-        error: error.message,
-        scrollPosition: null,
-        screenshotPath: null,
-      };
+      return createResultRecord("embed", {
+        ...this.businessFields(urlData),
+        ...this.deviceFields(device),
+        screenshot_status: "error",
+        error_message: error.message,
+        ...preparation,
+        ...iframeMatch,
+        ...renderState,
+        scroll_position: null,
+      });
     } finally {
       // Always close the page to prevent memory leaks
       if (page && !page.isClosed()) {
@@ -218,6 +320,31 @@ class GBPIframeProcessor {
     }
   }
 
+  /**
+   * Business fields copied from the decode-stage record into each result
+   */
+  businessFields(record) {
+    return {
+      url: record.url,
+      business_name: record.business_name,
+      city: record.city,
+      cid: record.cid,
+      places_api_id: record.places_api_id,
+      iframe_src: record.iframe_src,
+    };
+  }
+
+  /**
+   * Device fields of each result, `device` being the key reports group by
+   */
+  deviceFields(device) {
+    return {
+      device: device.key,
+      device_name: device.name,
+      viewport: { width: device.viewport.width, height: device.viewport.height },
+    };
+  }
+
   /**
    * Navigate to page with multiple strategies
    */
@@ -269,49 +396,66 @@ class GBPIframeProcessor {
   }
 
   /**
-   * Find the target iframe on the page
+   * Find the iframe on the page that best matches a record's embed. Resolves
+   * to its position with match_quality, match_detail, candidates (iframes on
+   * the page) and accepted (good enough to capture), or null without iframes.
    */
-  async findTargetIframe(page, targetSrc) {
+  async findTargetIframe(page, record) {
     try {
       // Wait for potential iframes to load
       await this.sleep(2000);
 
-      const iframeInfo = await page.evaluate((targetSrc) => {
-        const iframes = Array.from(document.querySelectorAll("iframe"));
-        console.log(`Found ${iframes.length} iframes on page`);
-
-        for (let i = 0; i < iframes.length; i++) {
-          const iframe = iframes[i];
-          const src =
-            iframe.getAttribute("src") || iframe.getAttribute("data-src") || "";
-
-          console.log(`Iframe ${i + 1} src:`, src);
-
-          if (src.includes(targetSrc)) {
-            const rect = iframe.getBoundingClientRect();
-
-            return {
-              src: src,
-              position: {
-                x: rect.left + window.pageXOffset,
-                y: rect.top + window.pageYOffset,
-              },
-              dimensions: {
-                width: rect.width,
-                height: rect.height,
-              },
-              scrollPosition: {
-                x: Math.max(0, rect.left + window.pageXOffset - 100),
-                y: Math.max(0, rect.top + window.pageYOffset - 150),
-              },
-            };
-          }
-        }
-
-        return null;
-      }, targetSrc);
+      const candidates = await page.evaluate((candidateAttribute) => {
+        return Array.from(document.querySelectorAll("iframe")).map((iframe, i) => {
+          iframe.setAttribute(candidateAttribute, String(i));
+          const rect = iframe.getBoundingClientRect();
+
+          return {
+            id: String(i),
+            src: iframe.getAttribute("src") || iframe.getAttribute("data-src") || "",
+            position: {
+              x: rect.left + window.pageXOffset,
+              y: rect.top + window.pageYOffset,
+            },
+            dimensions: {
+              width: rect.width,
+              height: rect.height,
+            },
+            scrollPosition: {
+              x: Math.max(0, rect.left + window.pageXOffset - 100),
+              y: Math.max(0, rect.top + window.pageYOffset - 150),
+            },
+          };
+        });
+      }, CANDIDATE_ATTRIBUTE);
+      console.log(`Found ${candidates.length} iframes on page`);
+
+      const [best] = await this.iframeMatcher.rank(record, candidates);
+      if (!best) return null;
+
+      const accepted = this.iframeMatcher.accepts(best);
+      if (accepted) {
+        await page.evaluate(
+          (id, candidateAttribute, targetAttribute) => {
+            const iframe = document.querySelector(`iframe[${candidateAttribute}="${id}"]`);
+            if (iframe) iframe.setAttribute(targetAttribute, "");
+          },
+          best.id,
+          CANDIDATE_ATTRIBUTE,
+          TARGET_ATTRIBUTE
+        );
+      }
 
-      return iframeInfo;
+      return {
+        src: best.src,
+        position: best.position,
+        dimensions: best.dimensions,
+        scrollPosition: best.scrollPosition,
+        match_quality: best.match_quality,
+        match_detail: best.match_detail,
+        candidates: candidates.length,
+        accepted,
+      };
     } catch (error) {
       throw new Error(`Failed to find iframe: ${error.message}`);
     }
@@ -346,19 +490,82 @@ class GBPIframeProcessor {
   }
 
   /**
-   * Take screenshot of the iframe area
+   * The matched iframe's frame once it has navigated to its embed URL, null
+   * when it has not by the deadline (e.g. a lazy iframe that never loaded)
+   */
+  async waitForEmbedFrame(page, deadline) {
+    while (Date.now() < deadline) {
+      const iframe = await page.$(`iframe[${TARGET_ATTRIBUTE}]`);
+      const frame = iframe && (await iframe.contentFrame());
+      if (iframe) await iframe.dispose();
+      if (frame && /^https?:/.test(frame.url())) return frame;
+      await this.sleep(500);
+    }
+    return null;
+  }
+
+  /**
+   * Wait inside the (cross-origin) embed frame for the map to paint (see
+   * isMapPainted) and the place card to render, up to renderTimeout.
+   * Resolves to { map_rendered, place_card_rendered }.
+   */
+  async waitForMapRender(page) {
+    const deadline = Date.now() + this.renderTimeout;
+    const frame = await this.waitForEmbedFrame(page, deadline);
+    if (!frame) {
+      console.warn("Embed frame did not load");
+      return { map_rendered: false, place_card_rendered: false };
+    }
+
+    const timeout = () => Math.max(1, deadline - Date.now());
+    const placeCard = this.selectors
+      .waitFor(frame, "place_card", { timeout: timeout() })
+      .then(async (match) => {
+        if (match) await match.element.dispose();
+        return Boolean(match);
+      })
+      .catch(() => false); // Timed out, or the frame navigated away
+    // A map element exists before anything is drawn on it, so wait for paint
+    const mapSurface = frame
+      .waitForFunction(isMapPainted, { timeout: timeout(), polling: 250 }, this.selectors.css("map_surface"))
+      .then(async (handle) => {
+        await handle.dispose();
+        return true;
+      })
+      .catch(() => false);
+    const [mapRendered, placeCardRendered] = await Promise.all([mapSurface, placeCard]);
+
+    console.log(
+      `Map ${mapRendered ? "rendered" : "not rendered"}, place card ${
+        placeCardRendered ? "rendered" : "not rendered"
+      }`
+    );
+    if (mapRendered) {
+      // Tiles keep painting for a moment after the map surface appears
+      await this.sleep(1000);
+    }
+    return { map_rendered: mapRendered, place_card_rendered: placeCardRendered };
+  }
+
+  /**
+   * Screenshot file name: row number, site and device, plus a suffix per capture kind
+   */
+  screenshotFilename(index, url, device, suffix = "") {
+    return `screenshot_${index + 1}_${this.sanitizeFilename(url)}_${device.key}${suffix}.png`;
+  }
+
+  /**
+   * Take screenshot of the iframe area, or of the whole page with `fullPage`
    */
-  async takeScreenshot(page, index, url) {
+  async takeScreenshot(page, index, url, device, { fullPage = false } = {}) {
     try {
-      const filename = `screenshot_${index + 1}_${this.sanitizeFilename(
-        url
-      )}.png`;
+      const filename = this.screenshotFilename(index, url, device, fullPage ? "_full_page" : "");
       const screenshotPath = path.join('screenshots',this.outputDir, filename);
 
       await page.screenshot({
         path: screenshotPath,
         type: "png",
-        fullPage: false,
+        fullPage,
       });
 
       console.log(`Screenshot saved: ${screenshotPath}`);
@@ -368,6 +575,117 @@ class GBPIframeProcessor {
     }
   }
 
+  /**
+   * Take a screenshot cropped to the matched iframe
+   */
+  async takeElementScreenshot(page, index, url, device) {
+    try {
+      const iframe = await page.$(`iframe[${TARGET_ATTRIBUTE}]`);
+      if (!iframe) {
+        throw new Error("matched iframe is no longer on the page");
+      }
+      const filename = this.screenshotFilename(index, url, device, "_element");
+      const screenshotPath = path.join("screenshots", this.outputDir, filename);
+
+      await iframe.screenshot({ path: screenshotPath, type: "png" });
+      await iframe.dispose();
+
+      console.log(`Element screenshot saved: ${screenshotPath}`);
+      return screenshotPath;
+    } catch (error) {
+      throw new Error(`Failed to take element screenshot: ${error.message}`);
+    }
+  }
+
+  /**
+   * Draw an outline and a label around the matched iframe. The outline sits
+   * outside the iframe box so it never covers the embed itself.
+   */
+  async highlightIframe(page) {
+    const drawn = await page.evaluate(
+      (targetAttribute, highlightId, style) => {
+        const iframe = document.querySelector(`iframe[${targetAttribute}]`);
+        if (!iframe) return false;
+        document.getElementById(highlightId)?.remove();
+
+        const rect = iframe.getBoundingClientRect();
+        const highlight = document.createElement("div");
+        highlight.id = highlightId;
+        highlight.style.cssText = `
+          position: absolute;
+          left: ${rect.left + window.scrollX - style.width}px;
+          top: ${rect.top + window.scrollY - style.width}px;
+          width: ${rect.width + style.width * 2}px;
+          height: ${rect.height + style.width * 2}px;
+          border: ${style.width}px solid ${style.color};
+          box-sizing: border-box;
+          pointer-events: none;
+          z-index: 2147483647;
+        `;
+
+        if (style.label) {
+          const label = document.createElement("div");
+          label.textContent = style.label;
+          // Above the outline, or inside it when the iframe is at the top of the page
+          const outside = rect.top + window.scrollY > 32;
+          label.style.cssText = `
+            position: absolute;
+            left: -${style.width}px;
+            ${outside ? "bottom: 100%" : "top: 0"};
+            padding: 4px 10px;
+            background: ${style.color};
+            color: #fff;
+            font: 600 14px/1.4 Arial, sans-serif;
+            white-space: nowrap;
+          `;
+          highlight.appendChild(label);
+        }
+
+        // On <html> so positions are document coordinates, whatever the body's style
+        document.documentElement.appendChild(highlight);
+        return true;
+      },
+      TARGET_ATTRIBUTE,
+      HIGHLIGHT_ID,
+      this.highlightStyle
+    );
+
+    if (!drawn) {
+      throw new Error("Failed to highlight iframe: matched iframe is no longer on the page");
+    }
+    console.log(`Highlighted iframe with "${this.highlightStyle.label}"`);
+    // Let the overlay paint before capturing
+    await this.sleep(300);
+  }
+
+  /**
+   * Capture a URL on a device and checkpoint its result, skipping captures a resumed run already made
+   */
+  async processURLWithCheckpoint(urlData, device) {
+    if (!this.stateStore) {
+      return this.processURL(urlData, device);
+    }
+
+    const key = `${urlData.url}|${urlData.iframe_src}|${device.key}`;
+    const entry = this.stateStore.get(this.stateStage, key);
+    if (entry && entry.status === "success") {
+      console.log(
+        `⏩ Skipping ${urlData.url} (${device.name}), already captured in run ${this.stateStore.runId}`
+      );
+      return entry.data.result;
+    }
+
+    this.stateStore.record(this.stateStage, key, "started");
+    const result = await this.processURL(urlData, device);
+    this.stateStore.record(
+      this.stateStage,
+      key,
+      result.screenshot_status === "success" ? "success" : "error",
+      { result }
+    );
+    return result;
+  }
+
   /**
    * Sanitize filename for cross-platform compatibility
    */
@@ -403,12 +721,29 @@ class GBPIframeProcessor {
   const reportDir = path.resolve(__dirname, '..', 'screenshots', this.outputDir);
   const reportFile = path.join(reportDir, 'processing_report.json');
 
+  const counts = (deviceResults) => ({
+    totalProcessed: deviceResults.length,
+    successful: deviceResults.filter((r) => r.screenshot_status === "success").length,
+    failed: deviceResults.filter((r) => r.screenshot_status === "error").length,
+  });
+
+  // Results keyed by device, in the order the devices were selected
+  const devices = {};
+  this.devices.forEach((device) => {
+    const deviceResults = results.filter((r) => r.device === device.key);
+    devices[device.key] = {
+      name: device.name,
+      viewport: device.viewport,
+      userAgent: device.userAgent,
+      ...counts(deviceResults),
+      results: deviceResults,
+    };
+  });
+
   const summary = {
-    totalProcessed: results.length,
-    successful: results.filter((r) => r.success).length,
-    failed: results.filter((r) => !r.success).length,
+    ...counts(results),
     timestamp: new Date().toISOString(),
-    results: results,
+    devices,
   };
 
   await this.ensureDirectoryExists(this.outputDir); // Ensure dir exists
@@ -444,23 +779,29 @@ class GBPIframeProcessor {
         throw new Error("No valid URLs found in CSV file");
       }
 
-      console.log(`Starting processing of ${urlData.length} URLs...`);
+      console.log(
+        `Starting processing of ${urlData.length} URLs on ${this.devices
+          .map((device) => device.name)
+          .join(", ")}...`
+      );
       const results = [];
 
       for (let i = 0; i < urlData.length; i++) {
         console.log(`\n--- Processing ${i + 1}/${urlData.length} ---`);
 
-        const result = await this.processURL(urlData[i]);
-        results.push(result);
-
-        if (result.success) {
-          console.log(`✅ Success: ${result.url}`);
-          console.log(
-            `   Scroll Position: x=${result.scrollPosition.x}, y=${result.scrollPosition.y}`
-          );
-          console.log(`   Screenshot: ${result.screenshotPath}`);
-        } else {
-          console.log(`❌ Failed: ${result.url} - ${result.error}`);
+        for (const device of this.devices) {
+          const result = await this.processURLWithCheckpoint(urlData[i], device);
+          results.push(result);
+
+          if (result.screenshot_status === "success") {
+            console.log(`✅ Success: ${result.url} (${device.name})`);
+            console.log(
+              `   Scroll Position: x=${result.scroll_position.x}, y=${result.scroll_position.y}`
+            );
+            console.log(`   Screenshot: ${result.screenshot_path}`);
+          } else {
+            console.log(`❌ Failed: ${result.url} (${device.name}) - ${result.error_message}`);
+          }
         }
 
         // Add delay between requests
@@ -473,9 +814,16 @@ class GBPIframeProcessor {
       const summary = await this.generateReport(results);
 
       console.log("\n=== PROCESSING SUMMARY ===");
-      console.log(`Total URLs: ${summary.totalProcessed}`);
+      console.log(
+        `Total captures: ${summary.totalProcessed} (${urlData.length} URLs × ${this.devices.length} device(s))`
+      );
       console.log(`Successful: ${summary.successful}`);
       console.log(`Failed: ${summary.failed}`);
+      if (this.devices.length > 1) {
+        Object.values(summary.devices).forEach((device) => {
+          console.log(`  ${device.name}: ${device.successful}/${device.totalProcessed} successful`);
+        });
+      }
       console.log(
         `Success Rate: ${(
           (summary.successful / summary.totalProcessed) *
@@ -494,7 +842,7 @@ class GBPIframeProcessor {
 }
 
 // Usage function
-async function InitializeGBPIframeProcessor(fileToProcess) {
+async function InitializeGBPIframeProcessor(fileToProcess, options = {}) {
   // const csvFilePath = process.argv[2] || './urls.csv';
   const csvFilePath = fileToProcess;
 
@@ -513,7 +861,7 @@ async function InitializeGBPIframeProcessor(fileToProcess) {
       timeout: 45000,
       delay: 3000,
       maxRetries: 3,
-      viewport: { width: 1920, height: 1080 },
+      ...options,
     });
 
     const results = await gbpEmbedProcessor.process(csvFilePath);
@@ -526,7 +874,7 @@ async function InitializeGBPIframeProcessor(fileToProcess) {
     return results;
   } catch (error) {
     console.error("Script execution failed:", error.message);
-    process.exit(1);
+    throw error;
   }
 }
 
@@ -538,9 +886,12 @@ process.on("unhandledRejection", (reason, promise) => {
 
 if(require.main === module) {
   InitializeGBPIframeProcessor('./gbp_output_data/gbp_enhanced_records.csv')
+    .catch(() => process.exit(1));
 }
 
 module.exports = {
   GBPIframeProcessor,
   InitializeGBPIframeProcessor,
+  DEFAULT_HIGHLIGHT_STYLE,
+  isMapPainted,
 };
\ No newline at end of file
@@ -2,8 +2,20 @@
 
 const puppeteer = require("puppeteer");
 const fs = require("fs");
-const csv = require("csv-parser");
 const path = require("path");
+const {
+  TRAVEL_MODES,
+  buildDirectionsUrl,
+  readOriginsCsv,
+  resolveOrigins,
+  originSlug,
+} = require("./utils/directions_origins.js");
+const { CAPTURE_TARGETS, captureElement } = require("./utils/element_capture.js");
+const { loadSelectorProfile } = require("./utils/selector_profiles.js");
+const {
+  loadRecords,
+  createResultRecord,
+} = require("../pipeline/record_schema.js");
 
 class GoogleMapsDirectionsScreenshot {
   constructor(options = {}) {
@@ -19,15 +31,26 @@ class GoogleMapsDirectionsScreenshot {
       screenshotPath: options.screenshotPath || ".screenshots/gmaps_directions_screenshots/",
       questionsScreenshotPath: options.questionsScreenshotPath || ".screenshots/gmaps_questions_screenshots/",
       searchResultsScreenshotPath: options.searchResultsScreenshotPath || ".screenshots/gmaps_search_results_screenshots/", // NEW
-      startingPoint: options.startingPoint || "New York",
+      origins: options.origins || [], // Directions origins used for every business
+      originsFile: options.originsFile || "", // CSV with Origin and optional Business_Name columns
+      travelMode: options.travelMode || "driving",
       searchQuery: options.searchQuery || "car detailing portland", // NEW: Configurable search query
       showBoundingBox: options.showBoundingBox !== false,
       boundingBoxDelay: options.boundingBoxDelay || 5000
     };
+    if (!TRAVEL_MODES.includes(this.options.travelMode)) {
+      throw new Error(
+        `Unknown travel mode "${this.options.travelMode}". Valid modes: ${TRAVEL_MODES.join(", ")}`
+      );
+    }
+    this.selectors = loadSelectorProfile("google_maps"); // Selectors of the Google Maps UI
+    this.originsByBusiness = new Map();
     this.results = [];
     this.questionsResults = [];
     this.searchResults = []; // NEW: Array for search results
     this.errors = [];
+    this.stateStore = options.stateStore || null; // Optional JobStateStore for resumable runs
+    this.stateStage = options.stateStage || "directions";
   }
 
   /**
@@ -41,46 +64,21 @@ class GoogleMapsDirectionsScreenshot {
   }
 
   /**
-   * Read data from enhanced CSV file
+   * Read the decode-stage records that have a search URL
    */
   async readEnhancedCsv(csvFilePath) {
-    return new Promise((resolve, reject) => {
-      const records = [];
-
-      if (!fs.existsSync(csvFilePath)) {
-        reject(new Error(`CSV file not found: ${csvFilePath}`));
-        return;
-      }
-
-      fs.createReadStream(csvFilePath)
-        .pipe(csv())
-        .on("data", (row) => {
-          if (row.Search_URL && row.Search_URL.trim()) {
-            records.push({
-              url: row.URL || '',
-              city: row.City || '',
-              businessName: row.Business_Name || '',
-              searchUrl: row.Search_URL.trim(),
-              iframeSrc: row.GBP_Iframe_Source || '',
-              originalRow: row
-            });
-          }
-        })
-        .on("end", () => {
-          console.log(`📋 Loaded ${records.length} records with Search URLs from CSV`);
-          resolve(records);
-        })
-        .on("error", (error) => {
-          reject(error);
-        });
-    });
+    const records = (await loadRecords(csvFilePath, "decode")).filter(
+      (record) => record.search_url && record.search_url.trim()
+    );
+    console.log(`📋 Loaded ${records.length} records with Search URLs from CSV`);
+    return records;
   }
 
   /**
    * NEW: Capture search results screenshot
    */
   async captureSearchResultsScreenshot(record, page) {
-    const businessName = record.businessName || 'Unknown';
+    const businessName = record.business_name || 'Unknown';
     const sanitizedBusinessName = businessName.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const searchScreenshotPath = path.join(this.options.searchResultsScreenshotPath, `${sanitizedBusinessName}_${timestamp}_search.png`);
@@ -98,7 +96,7 @@ class GoogleMapsDirectionsScreenshot {
         });
 
         // Wait for the main view to be restored
-        await page.waitForSelector('#searchboxinput, .widget-pane', { 
+        await page.waitForSelector(this.selectors.css('main_view'), { 
           visible: true, 
           timeout: 15000 
         });
@@ -108,12 +106,12 @@ class GoogleMapsDirectionsScreenshot {
       } catch (backError) {
         console.log(`⚠️ Browser back failed, reloading original URL for: ${businessName}`);
         
-        await page.goto(record.searchUrl, {
+        await page.goto(record.search_url, {
           waitUntil: "networkidle2",
           timeout: 20000,
         });
         
-        await page.waitForSelector('#searchboxinput, .widget-pane', { 
+        await page.waitForSelector(this.selectors.css('main_view'), { 
           visible: true, 
           timeout: 15000 
         });
@@ -125,91 +123,41 @@ class GoogleMapsDirectionsScreenshot {
       // Find the main search input box
       console.log(`🔍 Looking for search input box for: ${businessName}`);
       
-      await page.waitForFunction(() => {
-        const selectors = [
-          '#searchboxinput',
-          'input[aria-label*="Search Google Maps"]',
-          'input[placeholder*="Search Google Maps"]',
-          '.searchbox input',
-          'input[jsaction*="search"]',
-          'input[name="q"]'
-        ];
-        
-        for (const selector of selectors) {
-          const element = document.querySelector(selector);
-          if (element && element.offsetParent !== null) {
-            return element;
-          }
-        }
-        return false;
-      }, { timeout: 15000 });
+      const searchInput = await this.selectors.waitFor(page, 'search_input', { timeout: 15000 });
+      if (!searchInput) {
+        throw new Error('Could not find or fill search input box');
+      }
 
       console.log(`⌨️ Replacing search query with: "${this.options.searchQuery}" for: ${businessName}`);
 
       // Clear the search box and enter new search query
-      const searchInputSuccess = await page.evaluate((searchQuery) => {
-        const selectors = [
-          '#searchboxinput',
-          'input[aria-label*="Search Google Maps"]',
-          'input[placeholder*="Search Google Maps"]',
-          '.searchbox input',
-          'input[jsaction*="search"]',
-          'input[name="q"]'
-        ];
-
-        for (const selector of selectors) {
-          const input = document.querySelector(selector);
-          if (input && input.offsetParent !== null) {
-            // Focus and clear the input
-            input.focus();
-            input.select();
-            input.value = '';
-            
-            // Set new value
-            input.value = searchQuery;
-            
-            // Trigger events
-            input.dispatchEvent(new Event('input', { bubbles: true }));
-            input.dispatchEvent(new Event('change', { bubbles: true }));
-            
-            return true;
-          }
-        }
-        return false;
+      await searchInput.element.evaluate((input, searchQuery) => {
+        // Focus and clear the input
+        input.focus();
+        input.select();
+        input.value = '';
+
+        // Set new value
+        input.value = searchQuery;
+
+        // Trigger events
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+        input.dispatchEvent(new Event('change', { bubbles: true }));
       }, this.options.searchQuery);
 
-      if (!searchInputSuccess) {
-        throw new Error('Could not find or fill search input box');
-      }
-
       // Press Enter to perform the search
       await page.keyboard.press('Enter');
       
       console.log(`⏳ Waiting for search results to load for query: "${this.options.searchQuery}"`);
 
       // Wait for search results to load
-      await page.waitForFunction(() => {
-        const resultSelectors = [
-          '.section-result',
-          '.section-result-content',
-          '.place-result',
-          '.widget-pane-content',
-          '[data-result-index]',
-          '.section-listbox',
-          '.section-scrollbox'
-        ];
-        
-        return resultSelectors.some(selector => {
-          const elements = document.querySelectorAll(selector);
-          return elements.length > 0 && Array.from(elements).some(el => el.offsetParent !== null);
-        });
-      }, { timeout: 15000 }).catch(() => {
+      await this.selectors.waitFor(page, 'search_results', { timeout: 15000 }).catch(() => {
         console.log(`⚠️ Search results may not have loaded completely for query: "${this.options.searchQuery}"`);
       });
 
       // Wait for loading indicators to disappear
       try {
-        await page.waitForSelector('.loading, .spinner, [aria-label*="Loading"]', { 
+        await page.waitForSelector(this.selectors.css('loading_indicator'), { 
           hidden: true, 
           timeout: 10000 
         }).catch(() => console.log('Loading indicator handling completed'));
@@ -233,34 +181,26 @@ class GoogleMapsDirectionsScreenshot {
       console.log(`📸 Taking search results screenshot for query: "${this.options.searchQuery}"`);
 
       // Take screenshot of search results
-      const screenshotArea = {
-        x: 72,
-        y: 60,
-        width: 408,
-        height: 1065 * 0.5
-      };
-
-      await page.screenshot({
-        path: searchScreenshotPath,
-        fullPage: false,
-        clip: screenshotArea,
-        type: 'png'
-      });
+      const capture = await captureElement(page, CAPTURE_TARGETS.search_results, searchScreenshotPath);
 
       console.log(`✅ Search results screenshot saved: ${searchScreenshotPath}`);
 
       // Record successful search result
-      this.searchResults.push({
+      this.searchResults.push(createResultRecord("search_results", {
         url: record.url,
         business_name: businessName,
-        original_search_url: record.searchUrl,
+        original_search_url: record.search_url,
         search_query: this.options.searchQuery,
         screenshot_path: searchScreenshotPath,
+        capture_method: capture.capture_method,
+        capture_selector: capture.capture_selector,
         city: record.city,
+        cid: record.cid,
+        places_api_id: record.places_api_id,
         screenshot_status: 'success',
         processed_at: new Date().toISOString(),
         error_message: ''
-      });
+      }));
 
       return { 
         success: true, 
@@ -272,17 +212,19 @@ class GoogleMapsDirectionsScreenshot {
       console.error(`❌ Error capturing search results screenshot for ${businessName}: ${error.message}`);
       
       // Record search error result
-      this.searchResults.push({
+      this.searchResults.push(createResultRecord("search_results", {
         url: record.url,
         business_name: businessName,
-        original_search_url: record.searchUrl,
+        original_search_url: record.search_url,
         search_query: this.options.searchQuery,
         screenshot_path: '',
         city: record.city,
+        cid: record.cid,
+        places_api_id: record.places_api_id,
         screenshot_status: 'error',
         processed_at: new Date().toISOString(),
         error_message: error.message
-      });
+      }));
 
       return { 
         success: false, 
@@ -296,7 +238,7 @@ class GoogleMapsDirectionsScreenshot {
    * Capture "More questions" screenshot
    */
   async captureQuestionsScreenshot(record, page) {
-    const businessName = record.businessName || 'Unknown';
+    const businessName = record.business_name || 'Unknown';
     const sanitizedBusinessName = businessName.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const questionsScreenshotPath = path.join(this.options.questionsScreenshotPath, `${sanitizedBusinessName}_${timestamp}_questions.png`);
@@ -304,46 +246,12 @@ class GoogleMapsDirectionsScreenshot {
     try {
       console.log(`❓ Looking for "More questions" button for: ${businessName}`);
 
-      await page.waitForSelector('#searchboxinput, .widget-pane', { 
+      await page.waitForSelector(this.selectors.css('main_view'), { 
         visible: true, 
         timeout: 20000 
       });
 
-      const moreQuestionsFound = await page.waitForFunction(() => {
-        const selectors = [
-          'button[aria-label*="More questions" i]',
-          'button[data-value*="questions" i]',
-          'button:has-text("More questions")',
-          '[jsaction*="questions"]',
-          'button[data-tab-index]:has-text("Questions")',
-          '.widget-pane button:has-text("Questions")',
-          'button[aria-label*="Questions" i]'
-        ];
-        
-        for (const selector of selectors) {
-          try {
-            const element = document.querySelector(selector);
-            if (element && element.offsetParent !== null && 
-                (element.textContent.toLowerCase().includes('question') || 
-                 element.getAttribute('aria-label')?.toLowerCase().includes('question'))) {
-              return element;
-            }
-          } catch (e) {
-            // Continue to next selector
-          }
-        }
-
-        const buttons = Array.from(document.querySelectorAll('button'));
-        for (const button of buttons) {
-          if (button.offsetParent !== null && 
-              (button.textContent.toLowerCase().includes('question') || 
-               button.getAttribute('aria-label')?.toLowerCase().includes('question'))) {
-            return button;
-          }
-        }
-        
-        return false;
-      }, { timeout: 10000 }).catch(() => {
+      const moreQuestionsFound = await this.selectors.waitFor(page, 'more_questions_button', { timeout: 10000 }).catch(() => {
         console.log(`⚠️ "More questions" button not found for ${businessName}`);
         return false;
       });
@@ -353,48 +261,12 @@ class GoogleMapsDirectionsScreenshot {
         return { success: false, reason: 'More questions button not found' };
       }
 
-      const clickSuccess = await page.evaluate(() => {
-        const selectors = [
-          'button[aria-label*="More questions" i]',
-          // 'button[data-value*="questions" i]',
-          // 'button[aria-label*="Questions" i]'
-        ];
-        
-        let targetButton = null;
-        
-        for (const selector of selectors) {
-          try {
-            const element = document.querySelector(selector);
-            if (element && element.offsetParent !== null) {
-              targetButton = element;
-              break;
-            }
-          } catch (e) {
-            continue;
-          }
-        }
-
-        if (!targetButton) {
-          const buttons = Array.from(document.querySelectorAll('button'));
-          for (const button of buttons) {
-            if (button.offsetParent !== null && 
-                (button.textContent.toLowerCase().includes('question') || 
-                 button.getAttribute('aria-label')?.toLowerCase().includes('question'))) {
-              targetButton = button;
-              break;
-            }
-          }
-        }
-
-        if (targetButton) {
-          targetButton.scrollIntoView({ behavior: 'smooth', block: 'center' });
-          targetButton.click();
-          targetButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
-          return true;
-        }
-        
-        return false;
-      });
+      const clickSuccess = await moreQuestionsFound.element.evaluate((targetButton) => {
+        targetButton.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        targetButton.click();
+        targetButton.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+        return true;
+      }).catch(() => false);
 
       if (!clickSuccess) {
         console.log(`❌ Failed to click "More questions" button for ${businessName}`);
@@ -405,25 +277,7 @@ class GoogleMapsDirectionsScreenshot {
 
       await new Promise(resolve => setTimeout(resolve, 2000));
 
-      await page.waitForFunction(() => {
-        const questionSelectors = [
-          '.section-question',
-          '.question-item',
-          '[data-question-id]',
-          '.widget-pane [role="button"]:has-text("?")',
-          '.questions-container',
-          '.qa-section'
-        ];
-        
-        return questionSelectors.some(selector => {
-          try {
-            const elements = document.querySelectorAll(selector);
-            return elements.length > 0 && Array.from(elements).some(el => el.offsetParent !== null);
-          } catch (e) {
-            return false;
-          }
-        });
-      }, { timeout: 8000 }).catch(() => {
+      await this.selectors.waitFor(page, 'questions_list', { timeout: 8000 }).catch(() => {
         console.log(`⚠️ Questions content may not have loaded completely for ${businessName}`);
       });
 
@@ -435,32 +289,24 @@ class GoogleMapsDirectionsScreenshot {
 
       console.log(`📸 Taking questions screenshot for: ${businessName}`);
 
-      const screenshotArea = {
-        x: 72,
-        y: 60,
-        width: 408,
-        height: 1065 * 0.5
-      };
-
-      await page.screenshot({
-        path: questionsScreenshotPath,
-        fullPage: false,
-        clip: screenshotArea,
-        type: 'png'
-      });
+      const capture = await captureElement(page, CAPTURE_TARGETS.questions, questionsScreenshotPath);
 
       console.log(`✅ Questions screenshot saved: ${questionsScreenshotPath}`);
 
-      this.questionsResults.push({
+      this.questionsResults.push(createResultRecord("questions", {
         url: record.url,
         business_name: businessName,
-        search_url: record.searchUrl,
+        search_url: record.search_url,
         screenshot_path: questionsScreenshotPath,
+        capture_method: capture.capture_method,
+        capture_selector: capture.capture_selector,
         city: record.city,
+        cid: record.cid,
+        places_api_id: record.places_api_id,
         screenshot_status: 'success',
         processed_at: new Date().toISOString(),
         error_message: ''
-      });
+      }));
 
       console.log(`🔙 Using browser back navigation to return to main view for: ${businessName}`);
 
@@ -474,7 +320,7 @@ class GoogleMapsDirectionsScreenshot {
 
         console.log(`✅ Successfully navigated back using browser back for: ${businessName}`);
         
-        await page.waitForSelector('#searchboxinput, [data-value="Directions"], .widget-pane', { 
+        await page.waitForSelector(this.selectors.css('main_view'), { 
           visible: true, 
           timeout: 15000 
         });
@@ -492,12 +338,12 @@ class GoogleMapsDirectionsScreenshot {
         console.log(`🔄 Attempting to reload the original URL...`);
         
         try {
-          await page.goto(record.searchUrl, {
+          await page.goto(record.search_url, {
             waitUntil: "networkidle2",
             timeout: 20000,
           });
           
-          await page.waitForSelector('#searchboxinput, [data-value="Directions"], .widget-pane', { 
+          await page.waitForSelector(this.selectors.css('main_view'), { 
             visible: true, 
             timeout: 15000 
           });
@@ -520,16 +366,18 @@ class GoogleMapsDirectionsScreenshot {
     } catch (error) {
       console.error(`❌ Error capturing questions screenshot for ${businessName}: ${error.message}`);
       
-      this.questionsResults.push({
+      this.questionsResults.push(createResultRecord("questions", {
         url: record.url,
         business_name: businessName,
-        search_url: record.searchUrl,
+        search_url: record.search_url,
         screenshot_path: '',
         city: record.city,
+        cid: record.cid,
+        places_api_id: record.places_api_id,
         screenshot_status: 'error',
         processed_at: new Date().toISOString(),
         error_message: error.message
-      });
+      }));
 
       return { 
         success: false, 
@@ -555,8 +403,7 @@ class GoogleMapsDirectionsScreenshot {
    */
   async captureDirectionsScreenshot(record, browser) {
     const page = await browser.newPage();
-    let screenshotPath = '';
-    let gmapsDirectionsResult = { success: false, screenshot_path: '', reason: 'Not attempted' };
+    let directionsResults = [];
     let questionsResult = { success: false, screenshot_path: '', reason: 'Not attempted' };
     let searchResult = { success: false, screenshot_path: '', reason: 'Not attempted' }; // NEW
     
@@ -580,20 +427,17 @@ class GoogleMapsDirectionsScreenshot {
         }
       });
 
-      const businessName = record.businessName || 'Unknown';
-      const sanitizedBusinessName = businessName.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      screenshotPath = path.join(this.options.screenshotPath, `${sanitizedBusinessName}_${timestamp}_directions.png`);
+      const businessName = record.business_name || 'Unknown';
 
       console.log(`🗺️ Processing directions for: ${businessName}`);
-      console.log(`📍 Navigating to: ${record.searchUrl}`);
+      console.log(`📍 Navigating to: ${record.search_url}`);
 
-      await page.goto(record.searchUrl, {
+      await page.goto(record.search_url, {
         waitUntil: "networkidle0",
         timeout: this.options.timeout,
       });
 
-      await page.waitForSelector('#searchboxinput, [data-value="Directions"], .widget-pane', { 
+      await page.waitForSelector(this.selectors.css('main_view'), { 
         visible: true, 
         timeout: 20000 
       });
@@ -612,7 +456,7 @@ class GoogleMapsDirectionsScreenshot {
         
         await new Promise(resolve => setTimeout(resolve, 1000));
         
-        const mainViewReady = await page.$('#searchboxinput, [data-value="Directions"], .widget-pane');
+        const mainViewReady = await page.$(this.selectors.css('main_view'));
         if (!mainViewReady) {
           console.log(`⚠️ Main view not ready, attempting to restore for: ${businessName}`);
           await new Promise(resolve => setTimeout(resolve, 2000));
@@ -623,17 +467,21 @@ class GoogleMapsDirectionsScreenshot {
       console.log(`🔍 Starting search results capture for: ${businessName}`);
       searchResult = await this.captureSearchResultsScreenshot(record, page);
 
-      //Capture Gmaps Directions results
-      gmapsDirectionsResult = await this.captureGmapsScreenshot(page,record);
+      // Capture one Gmaps directions screenshot per origin
+      for (const origin of record.origins) {
+        directionsResults.push(
+          await this.captureGmapsScreenshot(page, record, origin)
+        );
+      }
 
       await new Promise(resolve => setTimeout(resolve,3000))
 
-      // Record successful result with all screenshot info
-      this.results.push({
+      // Business summary; the screenshots are in the per-origin results
+      this.results.push(createResultRecord("directions", {
         url: record.url,
         business_name: businessName,
-        search_url: record.searchUrl,
-        screenshot_path: screenshotPath,
+        search_url: record.search_url,
+        screenshot_path: '',
         questions_screenshot_path: questionsResult.screenshot_path,
         questions_screenshot_status: questionsResult.success ? 'success' : 'error',
         questions_error_message: questionsResult.success ? '' : questionsResult.reason,
@@ -642,19 +490,21 @@ class GoogleMapsDirectionsScreenshot {
         search_error_message: searchResult.success ? '' : searchResult.reason, // NEW
         search_query: this.options.searchQuery, // NEW
         city: record.city,
-        screenshot_status: 'success',
+        cid: record.cid,
+        places_api_id: record.places_api_id,
         processed_at: new Date().toISOString(),
-        starting_point: this.options.startingPoint,
-        error_message: ''
-      });
+        origins: record.origins.map((origin) => origin.address).join('; '),
+        travel_mode: this.options.travelMode,
+        ...this.summarizeDirections(directionsResults)
+      }));
 
     } catch (error) {
-      console.error(`❌ Error processing ${record.businessName || 'Unknown'}: ${error.message}`);
+      console.error(`❌ Error processing ${record.business_name || 'Unknown'}: ${error.message}`);
       
-      this.results.push({
+      this.results.push(createResultRecord("directions", {
         url: record.url,
-        business_name: record.businessName || 'Unknown',
-        search_url: record.searchUrl,
+        business_name: record.business_name || 'Unknown',
+        search_url: record.search_url,
         screenshot_path: '',
         questions_screenshot_path: questionsResult.screenshot_path,
         questions_screenshot_status: questionsResult.success ? 'success' : 'error',
@@ -664,15 +514,19 @@ class GoogleMapsDirectionsScreenshot {
         search_error_message: searchResult.success ? '' : searchResult.reason, // NEW
         search_query: this.options.searchQuery, // NEW
         city: record.city,
+        cid: record.cid,
+        places_api_id: record.places_api_id,
         screenshot_status: 'error',
         processed_at: new Date().toISOString(),
-        starting_point: this.options.startingPoint,
+        origins: record.origins.map((origin) => origin.address).join('; '),
+        directions_screenshots: directionsResults.filter((r) => r.success).length,
+        travel_mode: this.options.travelMode,
         error_message: error.message
-      });
+      }));
 
       this.errors.push({
-        business_name: record.businessName || 'Unknown',
-        search_url: record.searchUrl,
+        business_name: record.business_name || 'Unknown',
+        search_url: record.search_url,
         error: error.message,
         timestamp: new Date().toISOString(),
       });
@@ -682,43 +536,110 @@ class GoogleMapsDirectionsScreenshot {
     }
   }
 
-  async captureGmapsScreenshot(page, record) {
-      const businessName = record.businessName || 'Unknown';
+  /**
+   * Status of a business from its per-origin directions captures: success when
+   * any origin was captured, error when all failed, skipped without origins
+   */
+  summarizeDirections(directionsResults) {
+    const succeeded = directionsResults.filter((r) => r.success).length;
+    let screenshot_status = 'success';
+    let error_message = '';
+    if (directionsResults.length === 0) {
+      screenshot_status = 'skipped';
+      error_message = 'No directions origin';
+    } else if (succeeded === 0) {
+      screenshot_status = 'error';
+      error_message = `No directions screenshot succeeded: ${directionsResults
+        .map((r) => r.reason)
+        .join('; ')}`;
+    }
+    return { screenshot_status, directions_screenshots: succeeded, error_message };
+  }
+
+  /**
+   * Capture a business and checkpoint its results, skipping businesses a resumed run already captured
+   */
+  async captureDirectionsScreenshotWithCheckpoint(record, browser) {
+    if (!this.stateStore) {
+      return this.captureDirectionsScreenshot(record, browser);
+    }
+
+    const key = `${record.url}|${record.destination}`;
+    const entry = this.stateStore.get(this.stateStage, key);
+    if (entry && entry.status === "success") {
+      console.log(
+        `⏩ Skipping ${record.business_name || record.url}, already captured in run ${this.stateStore.runId}`
+      );
+      this.results.push(...entry.data.results);
+      this.questionsResults.push(...entry.data.questionsResults);
+      this.searchResults.push(...entry.data.searchResults);
+      return;
+    }
+
+    this.stateStore.record(this.stateStage, key, "started");
+    const counts = [this.results, this.questionsResults, this.searchResults].map(
+      (rows) => rows.length
+    );
+
+    await this.captureDirectionsScreenshot(record, browser);
+
+    const [results, questionsResults, searchResults] = [
+      this.results,
+      this.questionsResults,
+      this.searchResults,
+    ].map((rows, i) => rows.slice(counts[i]));
+    const failed = results.some((r) => r.screenshot_status === 'error');
+    this.stateStore.record(this.stateStage, key, failed ? "error" : "success", {
+      results,
+      questionsResults,
+      searchResults,
+    });
+  }
+
+  /**
+   * Take the directions screenshot from one origin to the business
+   */
+  async captureGmapsScreenshot(page, record, origin) {
+      const businessName = record.business_name || 'Unknown';
       const sanitizedBusinessName = businessName.replace(/[^a-zA-Z0-9\s]/g, '').replace(/\s+/g, '_');
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const directionsScreenshotPath = path.join(this.options.screenshotPath, `${sanitizedBusinessName}_${timestamp}_questions.png`);
+      const directionsScreenshotPath = path.join(this.options.screenshotPath, `${sanitizedBusinessName}_${originSlug(origin)}_${timestamp}_directions.png`);
+      const directionsUrl = buildDirectionsUrl(origin.address, record.destination, {
+        destinationPlaceId: record.places_api_id,
+        travelMode: this.options.travelMode,
+      });
+      const originFields = {
+        origin: origin.address,
+        origin_name: origin.name || '',
+        origin_source: origin.source,
+        travel_mode: this.options.travelMode,
+      };
   
       try {
-        await page.goto(record['originalRow']['Gmaps_Search_URL']);
+        console.log(`📍 Directions from ${origin.address} (${origin.source}, ${this.options.travelMode})`);
+        await page.goto(directionsUrl);
         await new Promise(resolve => setTimeout(resolve,1500));
         console.log(`📸 Taking Gmaps directions screenshot for: ${businessName}`);
         
-        const screenshotArea = {
-          x: 72,
-          y: 60,
-          width: 408,
-          height: 1065 * 0.55
-        };
-  
-        await page.screenshot({
-          path: directionsScreenshotPath,
-          fullPage: false,
-          clip: screenshotArea,
-          type: 'png'
-        });
+        const capture = await captureElement(page, CAPTURE_TARGETS.directions, directionsScreenshotPath);
   
         console.log(`✅ Gmaps directions screenshot saved: ${directionsScreenshotPath}`);
         await new Promise(resolve => setTimeout(resolve,1500));
-        this.results.push({
+        this.results.push(createResultRecord("directions", {
           url: record.url,
           business_name: businessName,
-          search_url: record['originalRow']['Gmaps_Search_URL'],
+          search_url: directionsUrl,
           screenshot_path: directionsScreenshotPath,
+          capture_method: capture.capture_method,
+          capture_selector: capture.capture_selector,
+          ...originFields,
           city: record.city,
+          cid: record.cid,
+          places_api_id: record.places_api_id,
           screenshot_status: 'success',
           processed_at: new Date().toISOString(),
           error_message: ''
-        });
+        }));
   
         console.log(`🔙 Using browser back navigation to return to main view for: ${businessName}`);
   
@@ -732,7 +653,7 @@ class GoogleMapsDirectionsScreenshot {
   
           console.log(`✅ Successfully navigated back using browser back for: ${businessName}`);
           
-          await page.waitForSelector('#searchboxinput, [data-value="Directions"], .widget-pane', { 
+          await page.waitForSelector(this.selectors.css('main_view'), { 
             visible: true, 
             timeout: 15000 
           });
@@ -750,12 +671,12 @@ class GoogleMapsDirectionsScreenshot {
           console.log(`🔄 Attempting to reload the original URL...`);
           
           try {
-            await page.goto(record['originalRow']['Gmaps_Search_URL'], {
+            await page.goto(directionsUrl, {
               waitUntil: "networkidle2",
               timeout: 20000,
             });
             
-            await page.waitForSelector('#searchboxinput, [data-value="Directions"], .widget-pane', { 
+            await page.waitForSelector(this.selectors.css('main_view'), { 
               visible: true, 
               timeout: 15000 
             });
@@ -772,22 +693,25 @@ class GoogleMapsDirectionsScreenshot {
         return { 
           success: true, 
           screenshot_path: directionsScreenshotPath,
-          reason: 'Questions screenshot captured successfully'
+          reason: 'Directions screenshot captured successfully'
         };
   
       } catch (error) {
-        console.error(`❌ Error capturing questions screenshot for ${businessName}: ${error.message}`);
+        console.error(`❌ Error capturing directions screenshot for ${businessName}: ${error.message}`);
         
-        this.results.push({
+        this.results.push(createResultRecord("directions", {
           url: record.url,
           business_name: businessName,
-          search_url: record['originalRow']['Gmaps_Search_URL'],
+          search_url: directionsUrl,
           screenshot_path: '',
+          ...originFields,
           city: record.city,
+          cid: record.cid,
+          places_api_id: record.places_api_id,
           screenshot_status: 'error',
           processed_at: new Date().toISOString(),
           error_message: error.message
-        });
+        }));
   
         return { 
           success: false, 
@@ -858,8 +782,30 @@ class GoogleMapsDirectionsScreenshot {
         throw new Error("No records with Search URLs found in the CSV file");
       }
 
+      if (this.options.originsFile) {
+        this.originsByBusiness = await readOriginsCsv(this.options.originsFile);
+      }
+      records.forEach((record) => {
+        record.destination = record.name_and_address || record.business_name;
+        record.origins = resolveOrigins(record, {
+          originsByBusiness: this.originsByBusiness,
+          origins: this.options.origins,
+        });
+        if (record.origins.length === 0) {
+          console.log(`⚠️ No directions origin for ${record.business_name || record.url}`);
+        }
+      });
+
       console.log(`🚀 Starting screenshot process for ${records.length} business(es)...`);
-      console.log(`📍 Starting point: ${this.options.startingPoint}`);
+      console.log(
+        `📍 Origins: ${
+          this.options.originsFile
+            ? `from ${this.options.originsFile}`
+            : this.options.origins.length > 0
+            ? this.options.origins.join("; ")
+            : "discovered nearby places"
+        } (${this.options.travelMode})`
+      );
       console.log(`🔍 Search query: ${this.options.searchQuery}`); // NEW
       console.log(`🖥️  Headless mode: ${this.options.headless ? 'Enabled' : 'Disabled'}`);
       console.log(`📂 Directions screenshots: ${this.options.screenshotPath}`);
@@ -884,9 +830,9 @@ class GoogleMapsDirectionsScreenshot {
         for (let i = 0; i < records.length; i++) {
           const record = records[i];
           console.log("Whole Record:::",record)
-          console.log(`\n📊 Processing ${i + 1}/${records.length}: ${record.businessName || 'Unknown'}`);
+          console.log(`\n📊 Processing ${i + 1}/${records.length}: ${record.business_name || 'Unknown'}`);
           
-          await this.captureDirectionsScreenshot(record, browser);
+          await this.captureDirectionsScreenshotWithCheckpoint(record, browser);
           
           // Add delay between requests to be respectful to Google Maps
           if (i < records.length - 1) {
@@ -948,9 +894,13 @@ async function InitializeGoogleMapsDirectionsScreenshot(csvFilePath, options = {
     screenshotPath: options.screenshotPath || "./screenshots/gmaps_directions_screenshots/",
     questionsScreenshotPath: options.questionsScreenshotPath || "./screenshots/gmaps_questions_screenshots/",
     searchResultsScreenshotPath: options.searchResultsScreenshotPath || "./screenshots/gmaps_search_results_screenshots/", // NEW
-    startingPoint: options.startingPoint || "New York",
+    origins: options.origins,
+    originsFile: options.originsFile,
+    travelMode: options.travelMode,
     searchQuery: options.searchQuery || "car detailing portland", // NEW
     showBoundingBox: options.showBoundingBox !== false,
+    stateStore: options.stateStore,
+    stateStage: options.stateStage,
   });
 
   const outputPath = "./screenshots/gmaps_directions_screenshots/processing_report.json";
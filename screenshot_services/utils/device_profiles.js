@@ -0,0 +1,103 @@
+// device_profiles.js
+
+const { KnownDevices } = require("puppeteer");
+
+const DESKTOP_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+
+/**
+ * Devices Puppeteer does not ship, in KnownDevices format. "phone" and
+ * "tablet" are shorthands for a current model of each.
+ */
+const CUSTOM_DEVICES = {
+  desktop: {
+    name: "Desktop",
+    userAgent: DESKTOP_USER_AGENT,
+    viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  },
+  laptop: {
+    name: "Laptop",
+    userAgent: DESKTOP_USER_AGENT,
+    viewport: { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  },
+  phone: { ...KnownDevices["iPhone 13"], name: "Phone (iPhone 13)" },
+  tablet: { ...KnownDevices["iPad (gen 7)"], name: "Tablet (iPad gen 7)" },
+};
+
+const DEFAULT_DEVICES = ["desktop"];
+
+/**
+ * Key used in reports and file names: "iPhone 13 Pro" → "iphone-13-pro"
+ */
+function deviceKey(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+/**
+ * Named devices to emulate: the custom ones above plus every Puppeteer
+ * KnownDevices entry. Names are matched by key, so "iPhone 13" and
+ * "iphone-13" are the same device.
+ */
+class DeviceProfileRegistry {
+  constructor(customDevices = {}) {
+    this.devices = new Map();
+    Object.values(KnownDevices).forEach((device) => this.register(device.name, device));
+    Object.entries({ ...CUSTOM_DEVICES, ...customDevices }).forEach(([name, device]) =>
+      this.register(name, device)
+    );
+  }
+
+  /**
+   * Add a device, or replace the one with the same key
+   */
+  register(name, device) {
+    const viewport = device && device.viewport;
+    if (!viewport || !(viewport.width > 0) || !(viewport.height > 0)) {
+      throw new Error(`Device "${name}" needs a viewport with a width and a height`);
+    }
+    const key = deviceKey(name);
+    this.devices.set(key, {
+      key,
+      name: device.name || name,
+      userAgent: device.userAgent || DESKTOP_USER_AGENT,
+      viewport: { deviceScaleFactor: 1, isMobile: false, hasTouch: false, ...viewport },
+    });
+    return this;
+  }
+
+  /**
+   * Look a device up by name or key
+   */
+  resolve(name) {
+    const device = this.devices.get(deviceKey(name));
+    if (!device) {
+      throw new Error(
+        `Unknown device "${name}", expected one of ${Object.keys(CUSTOM_DEVICES).join(", ")} ` +
+          `or a Puppeteer KnownDevices name such as "iPhone 13" or "Pixel 5"`
+      );
+    }
+    return device;
+  }
+
+  /**
+   * Look up a list of device names, dropping repeats
+   */
+  resolveAll(names = DEFAULT_DEVICES) {
+    const devices = new Map();
+    (names.length > 0 ? names : DEFAULT_DEVICES).forEach((name) => {
+      const device = this.resolve(name);
+      devices.set(device.key, device);
+    });
+    return [...devices.values()];
+  }
+}
+
+module.exports = {
+  CUSTOM_DEVICES,
+  DEFAULT_DEVICES,
+  DeviceProfileRegistry,
+  deviceKey,
+};
@@ -0,0 +1,118 @@
+// directions_origins.js
+
+const fs = require("fs");
+const csv = require("csv-parser");
+
+const TRAVEL_MODES = ["driving", "walking", "transit", "bicycling"];
+
+/**
+ * Google Maps directions URL from an origin to a destination
+ */
+function buildDirectionsUrl(origin, destination, options = {}) {
+  const url = new URL("https://www.google.com/maps/dir/");
+  url.searchParams.set("api", "1");
+  url.searchParams.set("origin", origin);
+  url.searchParams.set("destination", destination);
+  if (options.destinationPlaceId) {
+    url.searchParams.set("destination_place_id", options.destinationPlaceId);
+  }
+  if (options.travelMode) {
+    url.searchParams.set("travelmode", options.travelMode);
+  }
+  return url.toString();
+}
+
+/**
+ * Read an origins CSV with an "Origin" column and an optional "Business_Name"
+ * column. Rows without a business name apply to every business.
+ * Returns Map<business name (lowercase) | "*", origin[]>.
+ */
+async function readOriginsCsv(csvFilePath) {
+  return new Promise((resolve, reject) => {
+    const originsByBusiness = new Map();
+
+    if (!fs.existsSync(csvFilePath)) {
+      reject(new Error(`Origins CSV file not found: ${csvFilePath}`));
+      return;
+    }
+
+    fs.createReadStream(csvFilePath)
+      .pipe(csv())
+      .on("data", (row) => {
+        const origin = (row.Origin || "").trim();
+        if (!origin) return;
+        const key = (row.Business_Name || "").trim().toLowerCase() || "*";
+        if (!originsByBusiness.has(key)) originsByBusiness.set(key, []);
+        originsByBusiness.get(key).push({ address: origin, source: "csv" });
+      })
+      .on("end", () => resolve(originsByBusiness))
+      .on("error", reject);
+  });
+}
+
+/**
+ * Origins discovered by the decoder: the directions_origins JSON field, or
+ * the single nearby place
+ */
+function discoveredOrigins(record) {
+  if (record.directions_origins) {
+    try {
+      return JSON.parse(record.directions_origins)
+        .filter((origin) => origin.address)
+        .map((origin) => ({
+          address: origin.address,
+          name: origin.name || "",
+          source: origin.source === "fallback" ? "fallback" : "nearby",
+        }));
+    } catch {
+      // Fall through to the nearby place columns
+    }
+  }
+  if (record.nearby_place_address) {
+    return [
+      {
+        address: record.nearby_place_address,
+        name: record.nearby_place_name || "",
+        source: "nearby",
+      },
+    ];
+  }
+  return [];
+}
+
+/**
+ * Origins for one decode-stage business record: CSV entries for the business,
+ * then CSV entries for every business, then configured origins, then the
+ * decoder's discoveries
+ */
+function resolveOrigins(record, { originsByBusiness = new Map(), origins = [] } = {}) {
+  const businessKey = (record.business_name || "").trim().toLowerCase();
+  const fromCsv =
+    originsByBusiness.get(businessKey) || originsByBusiness.get("*") || [];
+  if (fromCsv.length > 0) return fromCsv;
+
+  if (origins.length > 0) {
+    return origins.map((address) => ({ address, source: "config" }));
+  }
+
+  return discoveredOrigins(record);
+}
+
+/**
+ * Short file-name-safe label for an origin
+ */
+function originSlug(origin) {
+  return (origin.name || origin.address)
+    .replace(/[^a-zA-Z0-9\s]/g, "")
+    .trim()
+    .replace(/\s+/g, "_")
+    .substring(0, 40);
+}
+
+module.exports = {
+  TRAVEL_MODES,
+  buildDirectionsUrl,
+  readOriginsCsv,
+  resolveOrigins,
+  originSlug,
+};
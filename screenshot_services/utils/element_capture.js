@@ -0,0 +1,140 @@
+// element_capture.js
+
+const { loadSelectorProfile } = require("./selector_profiles.js");
+
+/**
+ * Elements the screenshot stages capture, named by selector profile and
+ * element. `fallbackClip` is the fixed rectangle used when none of the
+ * element's selectors matches. Selectors the profile lists as `containers`
+ * still give a clip, recorded as capture_method "container".
+ */
+const CAPTURE_TARGETS = {
+  reviews: {
+    profile: "google_serp",
+    element: "reviews_block",
+    padding: 15,
+    maxHeight: 280,
+    fallbackClip: { x: 950, y: 150, width: 510, height: 280 },
+  },
+  directions: {
+    profile: "google_maps",
+    element: "directions_panel",
+    padding: 0,
+    maxHeight: 1065 * 0.55,
+    fallbackClip: { x: 72, y: 60, width: 408, height: 1065 * 0.55 },
+  },
+  questions: {
+    profile: "google_maps",
+    element: "questions_panel",
+    padding: 0,
+    maxHeight: 1065 * 0.5,
+    fallbackClip: { x: 72, y: 60, width: 408, height: 1065 * 0.5 },
+  },
+  search_results: {
+    profile: "google_maps",
+    element: "search_results_panel",
+    padding: 0,
+    maxHeight: 1065 * 0.5,
+    fallbackClip: { x: 72, y: 60, width: 408, height: 1065 * 0.5 },
+  },
+};
+
+/**
+ * Clip around an element box (page coordinates), padded and kept inside the page.
+ * Returns null when nothing of the box is left to capture.
+ */
+function paddedClip(box, options = {}, bounds = {}) {
+  const padding = options.padding || 0;
+  const maxWidth = bounds.width || Infinity;
+  const maxHeight = bounds.height || Infinity;
+
+  const x = Math.max(0, box.x - padding);
+  const y = Math.max(0, box.y - padding);
+  let width = Math.min(box.x + box.width + padding, maxWidth) - x;
+  let height = Math.min(box.y + box.height + padding, maxHeight) - y;
+  if (options.maxHeight) height = Math.min(height, options.maxHeight);
+  if (options.maxWidth) width = Math.min(width, options.maxWidth);
+
+  if (!(width > 0 && height > 0)) return null;
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    width: Math.round(width),
+    height: Math.round(height),
+  };
+}
+
+/**
+ * Find the first visible element of a target, scroll it into view and compute
+ * its clip. Falls back to the target's fixed clip when no element is found.
+ * Resolves to { clip, capture_method, capture_selector }, capture_method being
+ * "element", "container" or "fallback_clip".
+ */
+async function locateClip(page, target) {
+  const profile = loadSelectorProfile(target.profile);
+  let found = null;
+  try {
+    const match = await profile.find(page, target.element);
+    if (match) {
+      const geometry = await match.element.evaluate((element) => {
+        element.scrollIntoView({ behavior: "instant", block: "start", inline: "nearest" });
+        const rect = element.getBoundingClientRect();
+        return {
+          box: {
+            x: rect.left + window.scrollX,
+            y: rect.top + window.scrollY,
+            width: rect.width,
+            height: rect.height,
+          },
+          bounds: {
+            width: document.documentElement.scrollWidth,
+            height: document.documentElement.scrollHeight,
+          },
+        };
+      });
+      await match.element.dispose();
+      found = { selector: match.selector, container: match.container, ...geometry };
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not locate ${target.element}: ${error.message}`);
+  }
+
+  const clip = found && paddedClip(found.box, target, found.bounds);
+  if (clip) {
+    if (found.container) {
+      console.log(
+        `⚠️ No ${target.element} element found, capturing the ${found.selector} container (${clip.width}x${clip.height})`
+      );
+      return { clip, capture_method: "container", capture_selector: found.selector };
+    }
+    console.log(`🎯 Capturing ${found.selector} (${clip.width}x${clip.height})`);
+    return { clip, capture_method: "element", capture_selector: found.selector };
+  }
+
+  if (!target.fallbackClip) {
+    throw new Error(`No ${target.element} element found and no fallback clip`);
+  }
+  console.log(`⚠️ No ${target.element} element found, using the fixed clip`);
+  return { clip: target.fallbackClip, capture_method: "fallback_clip", capture_selector: "" };
+}
+
+/**
+ * Screenshot a target element to `filepath`, see locateClip
+ */
+async function captureElement(page, target, filepath) {
+  const capture = await locateClip(page, target);
+  await page.screenshot({
+    path: filepath,
+    fullPage: false,
+    clip: capture.clip,
+    type: "png",
+  });
+  return capture;
+}
+
+module.exports = {
+  CAPTURE_TARGETS,
+  paddedClip,
+  locateClip,
+  captureElement,
+};
@@ -0,0 +1,222 @@
+// iframe_matcher.js
+
+const { EnhancedGBPUrlDecoder } = require("../../scraper/utils/gbp_url_decoder.js");
+const { nameSimilarity } = require("../../scraper/utils/place_matcher.js");
+const { distanceMeters } = require("../../scraper/utils/place_providers/index.js");
+const {
+  decodeHtmlEntities,
+  normalizeEmbedSrc,
+} = require("../../scraper/utils/gbp_embed_detectors.js");
+
+/**
+ * How a page iframe matched the decoded embed, best first:
+ * - exact: its src contains the decoded src verbatim
+ * - normalized_src: same URL once entities, host aliases and parameter order are ignored
+ * - feature_id: it embeds the same feature ID or CID
+ * - name_coordinates: similar business name, pin within distanceThreshold
+ * - coordinates: pin within coordinateThreshold, no usable name
+ * - name: similar business name only
+ */
+const MATCH_QUALITIES = [
+  "exact",
+  "normalized_src",
+  "feature_id",
+  "name_coordinates",
+  "coordinates",
+  "name",
+  "none",
+];
+
+const DEFAULT_IFRAME_MATCH_OPTIONS = {
+  minQuality: "coordinates", // A name alone may be another branch of the same chain
+  nameThreshold: 0.8,
+  distanceThreshold: 150, // Meters, with a matching name
+  coordinateThreshold: 50, // Meters, without one
+};
+
+/**
+ * Whether a src looks like a Google Maps embed worth decoding
+ */
+function isMapsSrc(normalized) {
+  return Boolean(
+    normalized &&
+      normalized.host === "google" &&
+      (normalized.path.startsWith("/maps") || normalized.params.has("cid"))
+  );
+}
+
+/**
+ * Picks the page iframe showing the embed a decode-stage record was built
+ * from, by comparing decoded identities (feature ID, CID, name and pin)
+ * rather than src strings
+ */
+class EmbedIframeMatcher {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_IFRAME_MATCH_OPTIONS, ...options };
+    if (!MATCH_QUALITIES.includes(this.options.minQuality)) {
+      throw new Error(
+        `Unknown match quality "${this.options.minQuality}", expected one of ${MATCH_QUALITIES.join(", ")}`
+      );
+    }
+    // Offline: iframe srcs are only parsed, never looked up
+    this.decoder =
+      options.decoder ||
+      new EnhancedGBPUrlDecoder({
+        decodeMode: "offline",
+        placeCache: false,
+        shortLinkCachePath: "",
+      });
+    this.identities = new Map(); // src → identity, pages often repeat an embed
+  }
+
+  /**
+   * Decoded identity of an embed src: { featureId, cid, name, latitude, longitude },
+   * null when it does not decode
+   */
+  async identify(src) {
+    if (this.identities.has(src)) return this.identities.get(src);
+
+    let identity = null;
+    const decoded = await this.decoder.decodeGBPUrl(decodeHtmlEntities(src));
+    if (!decoded.error) {
+      identity = {
+        featureId: (decoded.featureId || "").toLowerCase(),
+        cid: decoded.cid || "",
+        name: decoded.businessName || "",
+        latitude: decoded.coordinates?.lat ?? "",
+        longitude: decoded.coordinates?.lng ?? "",
+      };
+    }
+    this.identities.set(src, identity);
+    return identity;
+  }
+
+  /**
+   * Identity of the embed a record stands for: its decoded src, with blanks
+   * filled in from the record's decoded columns
+   */
+  async targetIdentity(record) {
+    const decoded = (record.iframe_src && (await this.identify(record.iframe_src))) || {};
+    return {
+      featureId: decoded.featureId || String(record.feature_id || "").toLowerCase(),
+      cid: decoded.cid || String(record.cid || ""),
+      name: decoded.name || record.business_name || "",
+      latitude: decoded.latitude || record.latitude || "",
+      longitude: decoded.longitude || record.longitude || "",
+    };
+  }
+
+  /**
+   * Compare two identities, returning { quality, detail }
+   */
+  compareIdentities(target, candidate) {
+    if (
+      (target.featureId && target.featureId === candidate.featureId) ||
+      (target.cid && target.cid === candidate.cid)
+    ) {
+      const sameFeature = target.featureId && target.featureId === candidate.featureId;
+      return {
+        quality: "feature_id",
+        detail: sameFeature ? `feature ID ${target.featureId}` : `CID ${target.cid}`,
+      };
+    }
+
+    const similarity =
+      target.name && candidate.name ? nameSimilarity(target.name, candidate.name) : null;
+    const hasCoordinates = (identity) =>
+      [identity.latitude, identity.longitude].every(
+        (value) => value !== "" && Number.isFinite(Number(value))
+      );
+    const distance =
+      hasCoordinates(target) && hasCoordinates(candidate)
+        ? Math.round(distanceMeters(target, candidate))
+        : null;
+
+    const nameMatches = similarity !== null && similarity >= this.options.nameThreshold;
+    const details = [
+      similarity !== null && `name ${similarity.toFixed(2)}`,
+      distance !== null && `${distance} m apart`,
+    ].filter(Boolean);
+    const detail = details.join(", ");
+
+    if (nameMatches && distance !== null && distance <= this.options.distanceThreshold) {
+      return { quality: "name_coordinates", detail };
+    }
+    if (similarity === null && distance !== null && distance <= this.options.coordinateThreshold) {
+      return { quality: "coordinates", detail };
+    }
+    if (nameMatches && distance === null) {
+      return { quality: "name", detail };
+    }
+    return { quality: "none", detail };
+  }
+
+  /**
+   * Rank the page iframes ({ src, dimensions, ... }) against a record.
+   * Resolves to the candidates with match_quality and match_detail, best first.
+   */
+  async rank(record, candidates) {
+    const targetSrc = record.iframe_src || "";
+    const normalizedTarget = normalizeEmbedSrc(targetSrc);
+    let target = null;
+
+    const ranked = [];
+    for (const [order, candidate] of candidates.entries()) {
+      let match = { quality: "none", detail: "" };
+      const normalized = normalizeEmbedSrc(candidate.src);
+
+      if (targetSrc && candidate.src.includes(targetSrc)) {
+        match = { quality: "exact", detail: "same src" };
+      } else if (
+        normalizedTarget &&
+        normalized &&
+        normalized.host === normalizedTarget.host &&
+        normalized.path === normalizedTarget.path &&
+        normalizedTarget.params.size > 0 &&
+        [...normalizedTarget.params].every(([key, value]) => normalized.params.get(key) === value)
+      ) {
+        match = { quality: "normalized_src", detail: "same src after normalization" };
+      } else if (isMapsSrc(normalized)) {
+        const identity = await this.identify(candidate.src);
+        if (identity) {
+          target = target || (await this.targetIdentity(record));
+          match = this.compareIdentities(target, identity);
+        }
+      }
+
+      ranked.push({
+        ...candidate,
+        order,
+        match_quality: match.quality,
+        match_detail: match.detail,
+      });
+    }
+
+    // Best quality first; among equals the larger iframe, then page order
+    const area = (candidate) =>
+      (candidate.dimensions?.width || 0) * (candidate.dimensions?.height || 0);
+    return ranked.sort(
+      (a, b) =>
+        MATCH_QUALITIES.indexOf(a.match_quality) - MATCH_QUALITIES.indexOf(b.match_quality) ||
+        area(b) - area(a) ||
+        a.order - b.order
+    );
+  }
+
+  /**
+   * Whether a ranked candidate matches well enough to be captured
+   */
+  accepts(candidate) {
+    return (
+      MATCH_QUALITIES.indexOf(candidate.match_quality) <=
+      MATCH_QUALITIES.indexOf(this.options.minQuality)
+    );
+  }
+}
+
+module.exports = {
+  MATCH_QUALITIES,
+  DEFAULT_IFRAME_MATCH_OPTIONS,
+  EmbedIframeMatcher,
+  normalizeEmbedSrc,
+};
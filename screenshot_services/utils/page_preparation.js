@@ -0,0 +1,342 @@
+// page_preparation.js
+
+const fs = require("fs");
+const path = require("path");
+const { selectInPage, findFirst } = require("./selector_profiles.js");
+
+/**
+ * Consent-management platforms. `detect` finds the platform's banner, `click`
+ * lists the accept buttons in the order they are tried; only buttons inside a
+ * detected banner are clicked. Selectors are CSS strings or { css, text }
+ * (see selector_profiles.js).
+ */
+const DEFAULT_CONSENT_RULES = [
+  {
+    name: "cookieyes",
+    detect: [".cky-consent-container", "#cookie-law-info-bar"],
+    click: [".cky-btn-accept", "#cookie_action_close_header", "#wt-cli-accept-all-btn"],
+  },
+  {
+    name: "onetrust",
+    detect: ["#onetrust-banner-sdk", "#onetrust-consent-sdk"],
+    click: ["#onetrust-accept-btn-handler", "#accept-recommended-btn-handler"],
+  },
+  {
+    name: "complianz",
+    detect: ["#cmplz-cookiebanner-container", ".cmplz-cookiebanner"],
+    click: [".cmplz-btn.cmplz-accept", ".cmplz-accept"],
+  },
+  {
+    name: "cookiebot",
+    detect: ["#CybotCookiebotDialog"],
+    click: [
+      "#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll",
+      "#CybotCookiebotDialogBodyButtonAccept",
+    ],
+  },
+  {
+    name: "borlabs",
+    detect: ["#BorlabsCookieBox"],
+    click: ["._brlbs-btn-accept-all", "#CookieBoxSaveButton"],
+  },
+  {
+    name: "iubenda",
+    detect: ["#iubenda-cs-banner"],
+    click: [".iubenda-cs-accept-btn"],
+  },
+  {
+    name: "generic",
+    detect: [
+      "[id*=\"cookie\" i][role=\"dialog\"]",
+      "[class*=\"cookie-banner\" i]",
+      "[class*=\"cookie-notice\" i]",
+      "[id*=\"cookie-banner\" i]",
+      "[id*=\"cookie-notice\" i]",
+    ],
+    click: [
+      { css: "button, a[role=\"button\"]", text: "Accept all" },
+      { css: "button, a[role=\"button\"]", text: "Accept cookies" },
+      { css: "button, a[role=\"button\"]", text: "Allow all" },
+      { css: "button, a[role=\"button\"]", text: "Accept" },
+      { css: "button, a[role=\"button\"]", text: "I agree" },
+    ],
+  },
+];
+
+/**
+ * "Click to load" placeholders that stand in for a blocked map: `detect`
+ * finds the placeholder, `click` its load button inside it. Generic rules
+ * stick to buttons (a link could navigate away).
+ */
+const DEFAULT_PLACEHOLDER_RULES = [
+  {
+    name: "complianz",
+    detect: [".cmplz-blocked-content-notice", ".cmplz-placeholder-element"],
+    click: [
+      ".cmplz-blocked-content-notice .cmplz-accept-service",
+      ".cmplz-blocked-content-notice button",
+      ".cmplz-blocked-content-notice",
+    ],
+  },
+  {
+    name: "borlabs",
+    detect: ["._brlbs-content-blocker"],
+    click: ["._brlbs-content-blocker ._brlbs-btn", "._brlbs-content-blocker a[data-borlabs-cookie-unblock]"],
+  },
+  {
+    name: "load-map",
+    detect: [
+      "[class*=\"map-placeholder\" i]",
+      "[id*=\"map-placeholder\" i]",
+      "[class*=\"maps-placeholder\" i]",
+      "[class*=\"map-preview\" i]",
+      "[id*=\"map-preview\" i]",
+      "[class*=\"map-consent\" i]",
+      "[class*=\"maps-consent\" i]",
+      "[class*=\"map-blocker\" i]",
+      "[class*=\"content-blocker\" i]",
+    ],
+    click: [
+      { css: "button, [role=\"button\"]", text: "Load map" },
+      { css: "button, [role=\"button\"]", text: "Show map" },
+      { css: "button, [role=\"button\"]", text: "Load Google Maps" },
+      { css: "button, [role=\"button\"]", text: "Click to load" },
+      { css: "button, [role=\"button\"]", text: "Karte laden" },
+      { css: "button, [role=\"button\"]", text: "Google Maps laden" },
+    ],
+  },
+];
+
+/**
+ * Whether the page holds an iframe whose src or data-src contains `src`.
+ * Only the exact match stops scrolling early, rewritten srcs are left to
+ * findTargetIframe once the whole page has been scrolled.
+ */
+function hasIframe(page, src) {
+  return page.evaluate(
+    (src) =>
+      Array.from(document.querySelectorAll("iframe")).some((iframe) =>
+        (iframe.getAttribute("src") || iframe.getAttribute("data-src") || "").includes(src)
+      ),
+    src
+  );
+}
+
+/**
+ * Ordered set of click rules: { name, detect, click }. Registering a rule
+ * with an existing name replaces it in place.
+ */
+class ClickRuleRegistry {
+  constructor(rules = []) {
+    this.rules = [];
+    rules.forEach((rule) => this.register(rule));
+  }
+
+  register(rule) {
+    if (
+      !rule ||
+      !rule.name ||
+      !Array.isArray(rule.detect) ||
+      rule.detect.length === 0 ||
+      !Array.isArray(rule.click) ||
+      rule.click.length === 0
+    ) {
+      throw new Error(
+        `Click rule ${rule?.name || "(unnamed)"} needs a name and non-empty detect and click selector lists`
+      );
+    }
+    const existing = this.rules.findIndex((r) => r.name === rule.name);
+    if (existing >= 0) {
+      this.rules[existing] = rule;
+    } else {
+      this.rules.push(rule);
+    }
+    return this;
+  }
+}
+
+/**
+ * Gets a client page ready for the iframe search: dismisses consent banners,
+ * scrolls through the page to trigger lazy loading and clicks "click to load
+ * map" placeholders
+ */
+class PagePreparer {
+  constructor(options = {}) {
+    this.consentRules = options.consentRules || new ClickRuleRegistry(DEFAULT_CONSENT_RULES);
+    this.placeholderRules =
+      options.placeholderRules || new ClickRuleRegistry(DEFAULT_PLACEHOLDER_RULES);
+    this.scrollStep = options.scrollStep || 0.8; // Fraction of the viewport per scroll
+    this.scrollDelay = options.scrollDelay || 400;
+    this.maxScrolls = options.maxScrolls || 40;
+    this.maxClicksPerRule = options.maxClicksPerRule || 5; // Pages may hold several placeholders
+    this.settleDelay = options.settleDelay || 1000;
+  }
+
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Apply a rule: when its banner or placeholder is present, click the first
+   * visible match of its click selectors inside it. Resolves to the selector
+   * clicked, or null.
+   */
+  async applyRule(page, rule) {
+    const counts = await page.evaluate(selectInPage, rule.detect, { mode: "counts" });
+    if (!counts.some((count) => count > 0)) return null;
+
+    const target = await findFirst(page, rule.click, { visible: true, within: rule.detect });
+    if (!target) return null;
+    try {
+      await target.element.click();
+    } catch (error) {
+      // Covered or animating elements refuse a mouse click, a DOM click still works
+      await target.element.evaluate((element) => element.click());
+    } finally {
+      await target.element.dispose();
+    }
+    return target.selector;
+  }
+
+  /**
+   * Apply every rule of a registry, each up to maxClicksPerRule times.
+   * Resolves to the names of the rules that clicked something.
+   */
+  async applyRules(page, registry, kind) {
+    const applied = [];
+    for (const rule of registry.rules) {
+      for (let i = 0; i < this.maxClicksPerRule; i++) {
+        const selector = await this.applyRule(page, rule).catch(() => null);
+        if (!selector) break;
+        console.log(`🖱️ ${kind}: clicked ${selector} (${rule.name})`);
+        if (!applied.includes(rule.name)) applied.push(rule.name);
+        await this.sleep(this.settleDelay);
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * Scroll down a step at a time so lazy-loaded content appears, until the
+   * bottom of the page, maxScrolls, or until `isDone` resolves true.
+   * Resolves to the number of scroll steps taken.
+   */
+  async progressiveScroll(page, isDone = async () => false) {
+    let steps = 0;
+    while (steps < this.maxScrolls) {
+      if (await isDone()) break;
+      const atBottom = await page.evaluate((fraction) => {
+        window.scrollBy(0, Math.round(window.innerHeight * fraction));
+        return window.scrollY + window.innerHeight >= document.documentElement.scrollHeight - 2;
+      }, this.scrollStep);
+      steps++;
+      await this.sleep(this.scrollDelay);
+      if (atBottom) break;
+    }
+    return steps;
+  }
+
+  /**
+   * Prepare a page for the iframe search. With `targetSrc`, scrolling stops
+   * as soon as an iframe whose src or data-src contains it is on the page.
+   * Resolves to { consent_dismissed, placeholders_clicked, scroll_steps }.
+   */
+  async prepare(page, { targetSrc = "" } = {}) {
+    const iframePresent = async () =>
+      Boolean(targetSrc) && hasIframe(page, targetSrc).catch(() => false);
+
+    const consent = await this.applyRules(page, this.consentRules, "Consent");
+    const scrollSteps = await this.progressiveScroll(page, iframePresent);
+    const placeholders = await this.applyRules(page, this.placeholderRules, "Placeholder");
+
+    // Unblocking a placeholder may open a consent banner of its own
+    if (placeholders.length > 0) {
+      consent.push(
+        ...(await this.applyRules(page, this.consentRules, "Consent")).filter(
+          (name) => !consent.includes(name)
+        )
+      );
+    }
+
+    await page.evaluate(() => window.scrollTo(0, 0));
+    return {
+      consent_dismissed: consent.join(", "),
+      placeholders_clicked: placeholders.join(", "),
+      scroll_steps: scrollSteps,
+    };
+  }
+}
+
+// Fixture pages: local copies of client-site patterns, each naming the iframe
+// it should end up showing in <meta name="gbp-expected-iframe" content="...">
+const FIXTURE_DIR = path.join(__dirname, "..", "fixtures", "client_sites");
+
+/**
+ * Run the preparer against the fixture pages and report, per page, whether
+ * the expected iframe is there afterwards. Resolves to true when all pass.
+ */
+async function checkPreparationFixtures(files = [], options = {}) {
+  const puppeteer = require("puppeteer");
+  const fixtures =
+    files.length > 0
+      ? files.map((file) => path.resolve(file))
+      : fs
+          .readdirSync(FIXTURE_DIR)
+          .filter((file) => file.endsWith(".html"))
+          .sort()
+          .map((file) => path.join(FIXTURE_DIR, file));
+
+  const preparer = new PagePreparer({ settleDelay: 300, scrollDelay: 200, ...options });
+  const browser = await puppeteer.launch({
+    headless: options.headless !== false,
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+  let passed = 0;
+  try {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1280, height: 800 });
+    // Fixtures are local, keep the embedded maps from loading
+    await page.setRequestInterception(true);
+    page.on("request", (req) => (req.url().startsWith("file:") ? req.continue() : req.abort()));
+
+    for (const fixture of fixtures) {
+      const html = fs.readFileSync(fixture, "utf8");
+      const expected = (html.match(/<meta name="gbp-expected-iframe" content="([^"]+)"/) || [])[1];
+      if (!expected) {
+        console.log(`⚠️ ${path.basename(fixture)}: no gbp-expected-iframe meta tag, skipped`);
+        continue;
+      }
+
+      await page.goto(`file://${fixture}`, { waitUntil: "domcontentloaded" });
+      const result = await preparer.prepare(page, { targetSrc: expected });
+      const found = await hasIframe(page, expected);
+      if (found) passed++;
+      console.log(
+        `${found ? "✅" : "❌"} ${path.basename(fixture)}: consent [${result.consent_dismissed}], ` +
+          `placeholders [${result.placeholders_clicked}], ${result.scroll_steps} scroll step(s)`
+      );
+    }
+  } finally {
+    await browser.close();
+  }
+
+  console.log(`📊 ${passed}/${fixtures.length} fixture page(s) show their map after preparation`);
+  return passed === fixtures.length;
+}
+
+if (require.main === module) {
+  checkPreparationFixtures(process.argv.slice(2))
+    .then((passed) => process.exit(passed ? 0 : 1))
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  DEFAULT_CONSENT_RULES,
+  DEFAULT_PLACEHOLDER_RULES,
+  ClickRuleRegistry,
+  PagePreparer,
+  checkPreparationFixtures,
+};
@@ -0,0 +1,286 @@
+// selector_profile_check.js
+
+const fs = require("fs");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const {
+  DEFAULT_PROFILE_DIR,
+  describeEntry,
+  selectInPage,
+  listProfileFiles,
+  readProfileFile,
+} = require("./selector_profiles.js");
+
+// First line of a fixture written by captureFixture; pages without it are not checked
+const CAPTURE_HEADER_PATTERN = /^\s*(?:<!DOCTYPE html>\s*)?<!-- Captured from (\S+) on (\d{4}-\d{2}-\d{2})/i;
+
+/**
+ * Where and when a fixture page was captured, null for a page without a capture header
+ */
+function fixtureProvenance(html) {
+  const match = String(html).match(CAPTURE_HEADER_PATTERN);
+  return match ? { url: match[1], capturedAt: match[2] } : null;
+}
+
+/**
+ * Trim a live page down to what selectors can match: scripts, styles and
+ * other resources are removed, inline images and SVG paths emptied. Runs in
+ * the browser through page.evaluate.
+ */
+function trimPageHtml() {
+  document
+    .querySelectorAll("script, style, noscript, link, meta, template, iframe")
+    .forEach((el) => el.remove());
+  document.querySelectorAll("svg").forEach((el) => el.replaceChildren());
+  document.querySelectorAll("img[src^='data:']").forEach((el) => el.setAttribute("src", ""));
+  const walker = document.createTreeWalker(document.documentElement, NodeFilter.SHOW_COMMENT);
+  const comments = [];
+  while (walker.nextNode()) comments.push(walker.currentNode);
+  comments.forEach((comment) => comment.remove());
+  return document.documentElement.outerHTML;
+}
+
+/**
+ * Runs every selector profile against pages captured from Google
+ * (fixtures/<profile name>/*.html) and reports which selectors still match
+ */
+class SelectorProfileChecker {
+  constructor(options = {}) {
+    const profileDir =
+      options.profileDir || process.env.GBP_SELECTOR_PROFILE_DIR || DEFAULT_PROFILE_DIR;
+    this.options = {
+      profileDir,
+      fixturesDir: options.fixturesDir || path.join(profileDir, "fixtures"),
+      headless: options.headless !== false,
+    };
+  }
+
+  /**
+   * Saved pages of a profile, sorted by file name
+   */
+  fixtureFiles(profileName) {
+    const dir = path.join(this.options.fixturesDir, profileName);
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((file) => file.endsWith(".html"))
+      .sort()
+      .map((file) => path.join(dir, file));
+  }
+
+  /**
+   * Match every element of a profile in each of its fixtures.
+   * An element is "ok" when its first selector matches in some fixture,
+   * "fallback" when only later selectors do and "broken" when none does.
+   */
+  async checkProfile(page, profile) {
+    // Hand-written pages only prove a selector matches itself
+    const uncaptured = [];
+    const fixtures = this.fixtureFiles(profile.name).filter((fixture) => {
+      if (fixtureProvenance(fs.readFileSync(fixture, "utf8"))) return true;
+      uncaptured.push(path.basename(fixture));
+      return false;
+    });
+    const elements = Object.keys(profile.elements).map((element) => ({
+      element,
+      selectors: profile.selectors(element),
+      containers: profile.elements[element].containers || [],
+      matches: {}, // fixture → index of the first matching selector, -1 for none
+      invalid: new Set(),
+    }));
+
+    for (const fixture of fixtures) {
+      const name = path.basename(fixture);
+      await page.setContent(fs.readFileSync(fixture, "utf8"), {
+        waitUntil: "domcontentloaded",
+      });
+      for (const result of elements) {
+        const counts = await page.evaluate(selectInPage, result.selectors, { mode: "counts" });
+        counts.forEach((count, i) => {
+          if (count < 0) result.invalid.add(describeEntry(result.selectors[i]));
+        });
+        result.matches[name] = counts.findIndex((count) => count > 0);
+      }
+    }
+
+    elements.forEach((result) => {
+      const indexes = Object.values(result.matches).filter((index) => index >= 0);
+      result.status =
+        fixtures.length === 0
+          ? "unchecked"
+          : indexes.length === 0
+          ? "broken"
+          : indexes.includes(0)
+          ? "ok"
+          : "fallback";
+      result.invalid = [...result.invalid];
+    });
+
+    return {
+      name: profile.name,
+      profile: profile.label,
+      source: profile.source,
+      fixtures: fixtures.map((fixture) => {
+        const { url, capturedAt } = fixtureProvenance(fs.readFileSync(fixture, "utf8"));
+        return { file: path.basename(fixture), url, capturedAt };
+      }),
+      uncaptured,
+      elements,
+    };
+  }
+
+  /**
+   * Check every profile file (all versions) in the profile directory
+   */
+  async check() {
+    const profiles = listProfileFiles(this.options.profileDir).map(({ file }) =>
+      readProfileFile(file)
+    );
+    if (profiles.length === 0) {
+      throw new Error(`No selector profiles found in ${this.options.profileDir}`);
+    }
+
+    const browser = await puppeteer.launch({
+      headless: this.options.headless,
+      args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    });
+    try {
+      const page = await browser.newPage();
+      // Saved pages must not run their scripts or load anything from Google
+      await page.setJavaScriptEnabled(false);
+      await page.setRequestInterception(true);
+      page.on("request", (req) => (req.url().startsWith("data:") ? req.continue() : req.abort()));
+
+      const results = [];
+      for (const profile of profiles) {
+        results.push(await this.checkProfile(page, profile));
+      }
+      return results;
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Print which selector of each element matched in which fixture
+   */
+  printReport(results) {
+    const icons = { ok: "✅", fallback: "⚠️", broken: "❌", unchecked: "➖" };
+    const totals = { ok: 0, fallback: 0, broken: 0, unchecked: 0 };
+
+    results.forEach(({ name, profile, fixtures, uncaptured, elements }) => {
+      console.log(`\n🧩 ${profile} (${fixtures.length} fixture(s))`);
+      fixtures.forEach(({ file, url, capturedAt }) => {
+        console.log(`   📄 ${file}: captured ${capturedAt} from ${url}`);
+      });
+      if (uncaptured.length > 0) {
+        console.log(`   ⚠️ Ignoring ${uncaptured.join(", ")}: no capture header, use "gbp selectors capture"`);
+      }
+      if (fixtures.length === 0) {
+        console.log(`   ❌ No captured fixtures in ${path.join(this.options.fixturesDir, name)}`);
+      }
+
+      elements.forEach((result) => {
+        totals[result.status]++;
+        const bySelector = new Map();
+        Object.entries(result.matches).forEach(([fixture, index]) => {
+          if (index < 0) return;
+          if (!bySelector.has(index)) bySelector.set(index, []);
+          bySelector.get(index).push(fixture);
+        });
+        const matched = [...bySelector.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(
+            ([index, files]) =>
+              `${describeEntry(result.selectors[index])}${index > 0 ? ` (fallback #${index + 1})` : ""}` +
+              `${result.containers.includes(result.selectors[index]) ? " (container)" : ""} in ${files.join(", ")}`
+          );
+
+        const detail =
+          result.status === "broken"
+            ? "no selector matches any fixture"
+            : result.status === "unchecked"
+            ? "not checked"
+            : matched.join("; ");
+        console.log(`   ${icons[result.status]} ${result.element}: ${detail}`);
+        if (result.invalid.length > 0) {
+          console.log(`      ❌ Invalid selector(s): ${result.invalid.join(", ")}`);
+        }
+      });
+    });
+
+    console.log(
+      `\n📊 ${totals.ok} element(s) match their first selector, ${totals.fallback} only a fallback, ` +
+        `${totals.broken} broken, ${totals.unchecked} without fixtures`
+    );
+  }
+}
+
+/**
+ * Check every selector profile against its fixtures and print the result.
+ * Resolves to true when every profile has captured fixtures and no element is broken.
+ */
+async function InitializeSelectorCheck(options = {}) {
+  const checker = new SelectorProfileChecker(options);
+  const results = await checker.check();
+  checker.printReport(results);
+  return results.every(
+    ({ fixtures, elements }) =>
+      fixtures.length > 0 &&
+      elements.every((result) => result.status !== "broken" && result.invalid.length === 0)
+  );
+}
+
+/**
+ * Save a live Google page as a fixture of a profile: load `url`, trim it
+ * (see trimPageHtml) and write fixtures/<profile>/<name>.html with a capture
+ * header. With headless false the page stays open until Enter is pressed, to
+ * get it into the state to capture (consent banner, opened panel, ...).
+ */
+async function InitializeFixtureCapture(profileName, name, url, options = {}) {
+  const checker = new SelectorProfileChecker(options);
+  if (!listProfileFiles(checker.options.profileDir).some((p) => p.name === profileName)) {
+    throw new Error(`No selector profile "${profileName}" in ${checker.options.profileDir}`);
+  }
+  if (!/^[a-z0-9_]+$/.test(name || "")) {
+    throw new Error(`Fixture name must be lowercase letters, digits and underscores, got "${name || ""}"`);
+  }
+
+  const browser = await puppeteer.launch({
+    headless: options.headless !== false,
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+  });
+  try {
+    const page = await browser.newPage();
+    await page.setViewport({ width: 1920, height: 1080 });
+    await page.goto(url, { waitUntil: "networkidle2", timeout: 60000 });
+    if (options.headless === false) {
+      const readline = require("readline");
+      const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+      await new Promise((resolve) =>
+        prompt.question("👉 Bring the page into the state to capture, then press Enter ", resolve)
+      );
+      prompt.close();
+    }
+
+    const html = await page.evaluate(trimPageHtml);
+    const capturedAt = new Date().toISOString().slice(0, 10);
+    const target = path.join(checker.options.fixturesDir, profileName, `${name}.html`);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(
+      target,
+      `<!DOCTYPE html>\n<!-- Captured from ${page.url()} on ${capturedAt} with "gbp selectors capture", trimmed -->\n${html}\n`
+    );
+    console.log(`💾 Saved ${target}`);
+    return target;
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = {
+  SelectorProfileChecker,
+  InitializeSelectorCheck,
+  InitializeFixtureCapture,
+  fixtureProvenance,
+};
@@ -0,0 +1,286 @@
+// selector_profiles.js
+
+const fs = require("fs");
+const path = require("path");
+
+// Profiles are <name>.v<version>.json files; a UI change is fixed by adding the next version
+const DEFAULT_PROFILE_DIR = path.join(__dirname, "..", "selector_profiles");
+const PROFILE_FILE_PATTERN = /^([a-z0-9_]+)\.v(\d+)\.json$/;
+
+/**
+ * Readable form of a selector entry, used in logs and reports
+ */
+function describeEntry(entry) {
+  return typeof entry === "string" ? entry : `${entry.css}:text("${entry.text}")`;
+}
+
+/**
+ * Match selector entries in the page. Runs in the browser through
+ * page.evaluate, so it must not use anything outside its own body.
+ * An entry is a CSS selector, or { css, text } for elements whose text or
+ * aria-label contains `text` (case-insensitive).
+ * mode "first" returns { element, index } of the first entry that matches,
+ * "counts" the number of matches per entry (-1 for an invalid selector).
+ * With `within` (a list of entries) only elements inside, or equal to, an
+ * element matching one of them count.
+ */
+function selectInPage(entries, options = {}) {
+  const isVisible = (el) =>
+    el.getClientRects().length > 0 && getComputedStyle(el).visibility !== "hidden";
+
+  const queryAll = (entry) => {
+    const { css, text } = typeof entry === "string" ? { css: entry } : entry;
+    let elements;
+    try {
+      elements = Array.from(document.querySelectorAll(css));
+    } catch (e) {
+      return null; // Invalid selector for this browser
+    }
+    if (text) {
+      const needle = text.toLowerCase();
+      elements = elements.filter(
+        (el) =>
+          (el.textContent || "").toLowerCase().includes(needle) ||
+          (el.getAttribute("aria-label") || "").toLowerCase().includes(needle)
+      );
+    }
+    return elements;
+  };
+  const containers = options.within
+    ? options.within.flatMap((entry) => queryAll(entry) || [])
+    : null;
+  const query = (entry) => {
+    let elements = queryAll(entry);
+    if (!elements) return null;
+    if (containers) {
+      elements = elements.filter((el) => containers.some((container) => container.contains(el)));
+    }
+    return options.visible ? elements.filter(isVisible) : elements;
+  };
+
+  if (options.mode === "counts") {
+    return entries.map((entry) => {
+      const elements = query(entry);
+      return elements ? elements.length : -1;
+    });
+  }
+  for (let index = 0; index < entries.length; index++) {
+    const elements = query(entries[index]);
+    if (elements && elements.length > 0) {
+      return { element: elements[0], index };
+    }
+  }
+  return null;
+}
+
+/**
+ * First element (page or frame) matching a list of selector entries, trying
+ * them in order, optionally only inside elements matching `within` (see
+ * selectInPage). Resolves to { element: ElementHandle, index, selector } or null.
+ */
+async function findFirst(page, entries, { visible = true, within } = {}) {
+  const match = await page.evaluateHandle(selectInPage, entries, { visible, within, mode: "first" });
+  const index = await match.evaluate((m) => (m ? m.index : -1));
+  if (index < 0) {
+    await match.dispose();
+    return null;
+  }
+  const element = (await match.getProperty("element")).asElement();
+  await match.dispose();
+  return { element, index, selector: describeEntry(entries[index]) };
+}
+
+/**
+ * Problems with a profile definition, empty when it is valid
+ */
+function validateProfile(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== "object") return ["not a JSON object"];
+  if (!definition.profile) errors.push("profile name is missing");
+  if (!Number.isInteger(definition.version)) errors.push("version must be an integer");
+  const elements = definition.elements;
+  if (!elements || typeof elements !== "object" || Object.keys(elements).length === 0) {
+    errors.push("elements must list at least one UI element");
+    return errors;
+  }
+  Object.entries(elements).forEach(([name, element]) => {
+    const selectors = element && element.selectors;
+    if (!Array.isArray(selectors) || selectors.length === 0) {
+      errors.push(`${name}: selectors must be a non-empty list`);
+      return;
+    }
+    selectors.forEach((entry, i) => {
+      const valid =
+        (typeof entry === "string" && entry.trim()) ||
+        (entry && typeof entry.css === "string" && entry.css.trim() && typeof entry.text === "string");
+      if (!valid) {
+        errors.push(`${name}: selector ${i + 1} must be a CSS string or { css, text }`);
+      }
+    });
+    const containers = element.containers;
+    if (containers !== undefined) {
+      if (!Array.isArray(containers)) {
+        errors.push(`${name}: containers must be a list of the element's selectors`);
+      } else {
+        containers
+          .filter((container) => !selectors.includes(container))
+          .forEach((container) => errors.push(`${name}: container "${container}" is not one of its selectors`));
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * The UI elements of one Google page family, each with its selectors in
+ * fallback order
+ */
+class SelectorProfile {
+  constructor(definition, source = "") {
+    const errors = validateProfile(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid selector profile ${source || definition.profile}: ${errors.join("; ")}`);
+    }
+    this.name = definition.profile;
+    this.version = definition.version;
+    this.description = definition.description || "";
+    this.elements = definition.elements;
+    this.source = source;
+  }
+
+  get label() {
+    return `${this.name} v${this.version}`;
+  }
+
+  /**
+   * Selector entries of an element, in fallback order
+   */
+  selectors(element) {
+    if (!this.elements[element]) {
+      throw new Error(`Selector profile ${this.label} has no "${element}" element`);
+    }
+    return this.elements[element].selectors;
+  }
+
+  /**
+   * Whether a selector entry of an element only finds a generic page
+   * container (the side panel, the results column) around the element.
+   * Profiles list those in the element's `containers`.
+   */
+  isContainer(element, entry) {
+    return (this.elements[element].containers || []).includes(entry);
+  }
+
+  /**
+   * The plain CSS selectors of an element joined into one selector list, for
+   * waitForSelector and page.$ (text entries are left out)
+   */
+  css(element) {
+    return this.selectors(element)
+      .filter((entry) => typeof entry === "string")
+      .join(", ");
+  }
+
+  /**
+   * First element matching an element's selectors, trying them in order.
+   * Resolves to { element: ElementHandle, index, selector, container } or
+   * null, `container` telling whether only a generic container matched.
+   */
+  async find(page, element, { visible = true } = {}) {
+    const selectors = this.selectors(element);
+    const match = await findFirst(page, selectors, { visible });
+    return match && { ...match, container: this.isContainer(element, selectors[match.index]) };
+  }
+
+  /**
+   * Wait until one of an element's selectors matches, then find it.
+   * Rejects with puppeteer's TimeoutError when none does in time.
+   */
+  async waitFor(page, element, { visible = true, timeout = 30000 } = {}) {
+    const match = await page.waitForFunction(
+      selectInPage,
+      { timeout },
+      this.selectors(element),
+      { visible, mode: "first" }
+    );
+    await match.dispose();
+    return this.find(page, element, { visible });
+  }
+}
+
+/**
+ * Profile files in a directory: [{ name, version, file }], newest version first
+ */
+function listProfileFiles(profileDir = DEFAULT_PROFILE_DIR) {
+  if (!fs.existsSync(profileDir)) {
+    throw new Error(`Selector profile directory not found: ${profileDir}`);
+  }
+  return fs
+    .readdirSync(profileDir)
+    .map((file) => file.match(PROFILE_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, name, version]) => ({
+      name,
+      version: Number(version),
+      file: path.join(profileDir, file),
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name) || b.version - a.version);
+}
+
+/**
+ * Read and validate one profile file
+ */
+function readProfileFile(file) {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read selector profile ${file}: ${error.message}`);
+  }
+  return new SelectorProfile(definition, file);
+}
+
+const profileCache = new Map();
+
+/**
+ * Load a selector profile, by default the newest version in the profile
+ * directory (GBP_SELECTOR_PROFILE_DIR overrides the bundled one)
+ */
+function loadSelectorProfile(name, options = {}) {
+  const profileDir =
+    options.profileDir || process.env.GBP_SELECTOR_PROFILE_DIR || DEFAULT_PROFILE_DIR;
+  const cacheKey = `${profileDir}|${name}|${options.version || "latest"}`;
+  if (profileCache.has(cacheKey)) return profileCache.get(cacheKey);
+
+  const candidates = listProfileFiles(profileDir).filter((p) => p.name === name);
+  const match = options.version
+    ? candidates.find((p) => p.version === Number(options.version))
+    : candidates[0];
+  if (!match) {
+    throw new Error(
+      `No selector profile "${name}"${options.version ? ` v${options.version}` : ""} in ${profileDir}`
+    );
+  }
+
+  const profile = readProfileFile(match.file);
+  if (profile.name !== name || profile.version !== match.version) {
+    throw new Error(
+      `Selector profile ${match.file} declares ${profile.label}, expected ${name} v${match.version}`
+    );
+  }
+  console.log(`🧩 Using selector profile ${profile.label}`);
+  profileCache.set(cacheKey, profile);
+  return profile;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_DIR,
+  SelectorProfile,
+  describeEntry,
+  selectInPage,
+  findFirst,
+  validateProfile,
+  listProfileFiles,
+  readProfileFile,
+  loadSelectorProfile,
+};
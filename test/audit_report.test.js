@@ -0,0 +1,165 @@
+// audit_report.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const { AuditReportBuilder } = require("../pipeline/audit_report.js");
+const { createRecordCsvWriter } = require("../pipeline/record_schema.js");
+
+const record = (fields) => ({
+  url: "https://example.com",
+  business_name: "Joe's Pizza",
+  cid: "",
+  ...fields,
+});
+
+test("records with different CIDs never share a business", () => {
+  const { businesses, byKey } = new AuditReportBuilder().groupBusinesses([
+    record({ url: "https://joes.example/portland", cid: "111", city: "Portland" }),
+    record({ url: "https://joes.example/seattle", cid: "222", city: "Seattle" }),
+    record({ url: "https://joes.example/portland", cid: "111" }),
+  ]);
+
+  assert.deepStrictEqual(
+    businesses.map((business) => [business.cid, business.city, business.sourcePages]),
+    [
+      ["111", "Portland", ["https://joes.example/portland"]],
+      ["222", "Seattle", ["https://joes.example/seattle"]],
+    ]
+  );
+  assert.strictEqual(byKey.get("cid:222").city, "Seattle");
+});
+
+test("a record without a CID joins by name, and a later CID fills it in", () => {
+  const { businesses, byKey } = new AuditReportBuilder().groupBusinesses([
+    record({ url: "https://a.example" }),
+    record({ url: "https://b.example", cid: "111" }),
+    record({ url: "https://c.example", business_name: "JOE'S PIZZA" }),
+  ]);
+
+  assert.strictEqual(businesses.length, 1);
+  assert.strictEqual(businesses[0].cid, "111");
+  assert.deepStrictEqual(businesses[0].sourcePages, [
+    "https://a.example",
+    "https://b.example",
+    "https://c.example",
+  ]);
+  assert.strictEqual(byKey.get("cid:111"), businesses[0]);
+});
+
+/**
+ * Decode-stage records for two businesses, an embed report with one
+ * screenshot and a scraping error log, in a temp dir
+ */
+async function writeAuditInputs(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  await createRecordCsvWriter("decode", path.join(dir, "records.csv")).writeRecords([
+    { url: "https://joes.example/", business_name: "Joe's Pizza", cid: "111", decoding_status: "Success" },
+    { url: "https://bakery.example/", business_name: "Crumb & Co", cid: "222", decoding_status: "Success" },
+  ]);
+
+  const shotPath = "screenshots/gbp_embed_screenshots/joes.png";
+  fs.mkdirSync(path.join(dir, path.dirname(shotPath)), { recursive: true });
+  fs.writeFileSync(path.join(dir, shotPath), "png");
+  fs.writeFileSync(
+    path.join(dir, "screenshots/gbp_embed_screenshots/processing_report.json"),
+    JSON.stringify({
+      devices: {
+        desktop: {
+          results: [
+            {
+              schema_version: 1,
+              stage: "embed",
+              url: "https://joes.example/",
+              cid: "111",
+              screenshot_path: shotPath,
+              screenshot_status: "success",
+              processed_at: "2026-10-01T12:00:00.000Z",
+            },
+          ],
+        },
+      },
+    })
+  );
+
+  fs.mkdirSync(path.join(dir, "gbp_logs"));
+  fs.writeFileSync(
+    path.join(dir, "gbp_logs/errors.csv"),
+    "URL,Error,Timestamp\nhttps://broken.example/,Navigation timeout <30s>,2026-10-01T12:05:00.000Z\n"
+  );
+
+  return new AuditReportBuilder({
+    baseDir: dir,
+    recordsPath: "records.csv",
+    errorsPath: "gbp_logs/errors.csv",
+    title: "Test audit",
+  });
+}
+
+test("the print report has a section per business and lists the scraping errors", async (t) => {
+  const builder = await writeAuditInputs(t);
+  const data = await builder.collect();
+  const html = builder.renderPrintHtml(data, await builder.readScrapingErrors(), {
+    "business-1": 3,
+    "business-2": 5,
+    errors: 6,
+  });
+
+  assert.match(html, /Prepared for joes\.example, bakery\.example/);
+  assert.deepStrictEqual(
+    [...html.matchAll(/<section class="([a-z]+)" id="([^"]+)"/g)].map((m) => `${m[1]}#${m[2]}`),
+    ["cover#cover", "toc#contents", "business#business-1", "business#business-2", "appendix#errors"]
+  );
+  assert.match(html, /<a href="#business-1"><span>Joe's Pizza<\/span><span>3<\/span><\/a>/);
+  assert.match(html, /<a href="#business-2"><span>Crumb &amp; Co<\/span><span>5<\/span><\/a>/);
+  assert.match(html, /<a href="#errors"><span>Appendix: scraping errors<\/span><span>6<\/span><\/a>/);
+  // The screenshot is inlined under its business
+  assert.match(html, /id="business-1">[\s\S]*src="data:image\/png;base64,cG5n"[\s\S]*id="business-2"/);
+  assert.match(
+    html,
+    /<tr><td>https:\/\/broken\.example\/<\/td><td>Navigation timeout &lt;30s&gt;<\/td>/
+  );
+});
+
+test("the PDF contents list the page each section starts on", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const builder = await writeAuditInputs(t);
+  // Businesses print on two pages, everything else on one
+  const pagesPerSection = { "business-1": 2, "business-2": 2 };
+  let html = "";
+  let visible = "";
+  const page = {
+    setContent: async (content) => {
+      html = content;
+    },
+    evaluate: async (fn, id) => {
+      visible = id;
+    },
+    pdf: async (options) => {
+      if (options.path) {
+        fs.writeFileSync(options.path, html);
+        return Buffer.from("");
+      }
+      return Buffer.from(
+        "/Type /Pages\n" + "/Type /Page\n".repeat(pagesPerSection[visible] || 1)
+      );
+    },
+  };
+  t.mock.method(puppeteer, "launch", async () => ({ newPage: async () => page, close: async () => {} }));
+
+  const target = await builder.writePdf();
+  const printed = fs.readFileSync(target, "utf8");
+  const tocPages = [...printed.matchAll(/<a href="#([^"]+)"><span>[^<]*<\/span><span>(\d+)<\/span>/g)].map(
+    (m) => [m[1], m[2]]
+  );
+  assert.deepStrictEqual(tocPages, [
+    ["business-1", "3"],
+    ["business-2", "5"],
+    ["errors", "7"],
+  ]);
+});
@@ -0,0 +1,84 @@
+// device_profiles.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { KnownDevices } = require("puppeteer");
+const {
+  DeviceProfileRegistry,
+  deviceKey,
+} = require("../screenshot_services/utils/device_profiles.js");
+const { GBPIframeProcessor } = require("../screenshot_services/gbp_embed_screenshot.js");
+
+test("device names are matched by key", () => {
+  assert.strictEqual(deviceKey("iPhone 13 Pro"), "iphone-13-pro");
+  assert.strictEqual(deviceKey(" iPad (gen 7) "), "ipad-gen-7");
+
+  const registry = new DeviceProfileRegistry();
+  assert.strictEqual(registry.resolve("iPhone 13"), registry.resolve("IPHONE-13"));
+  assert.deepStrictEqual(registry.resolve("Pixel 5").viewport, KnownDevices["Pixel 5"].viewport);
+});
+
+test("resolveAll defaults to desktop and drops repeats, keeping the first order", () => {
+  const registry = new DeviceProfileRegistry();
+  assert.deepStrictEqual(registry.resolveAll().map((device) => device.key), ["desktop"]);
+  assert.deepStrictEqual(registry.resolveAll([]).map((device) => device.key), ["desktop"]);
+  assert.deepStrictEqual(
+    registry.resolveAll(["phone", "desktop", "Phone", "tablet"]).map((device) => device.key),
+    ["phone", "desktop", "tablet"]
+  );
+
+  const [phone] = registry.resolveAll(["phone"]);
+  assert.strictEqual(phone.name, "Phone (iPhone 13)");
+  assert.strictEqual(phone.userAgent, KnownDevices["iPhone 13"].userAgent);
+  assert.strictEqual(phone.viewport.isMobile, true);
+});
+
+test("custom devices get desktop defaults and may replace a built-in one", () => {
+  const registry = new DeviceProfileRegistry({
+    kiosk: { viewport: { width: 1080, height: 1920 } },
+    laptop: { name: "Small laptop", viewport: { width: 1280, height: 720 } },
+  });
+
+  const [kiosk, laptop] = registry.resolveAll(["kiosk", "laptop"]);
+  assert.deepStrictEqual(kiosk.viewport, {
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    width: 1080,
+    height: 1920,
+  });
+  assert.match(kiosk.userAgent, /Windows NT 10\.0/);
+  assert.strictEqual(laptop.name, "Small laptop");
+  assert.strictEqual(laptop.viewport.width, 1280);
+
+  assert.throws(
+    () => new DeviceProfileRegistry({ watch: { viewport: { width: 0, height: 200 } } }),
+    /Device "watch" needs a viewport with a width and a height/
+  );
+});
+
+test("an unknown device names the valid ones", () => {
+  assert.throws(
+    () => new DeviceProfileRegistry().resolveAll(["desktop", "Nokia 3310"]),
+    /Unknown device "Nokia 3310", expected one of desktop, laptop, phone, tablet or a Puppeteer KnownDevices name/
+  );
+});
+
+test("the embed stage's viewport option resizes desktop only", () => {
+  const processor = new GBPIframeProcessor({
+    viewport: { width: 1280, height: 800 },
+    devices: ["desktop", "phone"],
+  });
+  const [desktop, phone] = processor.devices;
+  assert.strictEqual(desktop.name, "Desktop");
+  assert.deepStrictEqual(
+    [desktop.viewport.width, desktop.viewport.height, desktop.viewport.isMobile],
+    [1280, 800, false]
+  );
+  assert.deepStrictEqual(phone.viewport, new DeviceProfileRegistry().resolve("phone").viewport);
+  assert.deepStrictEqual(processor.deviceFields(desktop), {
+    device: "desktop",
+    device_name: "Desktop",
+    viewport: { width: 1280, height: 800 },
+  });
+});
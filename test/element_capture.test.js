@@ -0,0 +1,63 @@
+// element_capture.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { CAPTURE_TARGETS, locateClip } = require("../screenshot_services/utils/element_capture.js");
+const { loadSelectorProfile, validateProfile } = require("../screenshot_services/utils/selector_profiles.js");
+
+/**
+ * Page stand-in whose selector lookup matches the selector at `index`
+ * (-1 for none) with an element at `box`
+ */
+function fakePage(index, box = { x: 72, y: 60, width: 408, height: 900 }) {
+  const element = {
+    evaluate: async () => ({ box, bounds: { width: 1920, height: 1080 } }),
+    dispose: async () => {},
+  };
+  return {
+    evaluateHandle: async () => ({
+      evaluate: async (fn) => fn(index < 0 ? null : { index }),
+      getProperty: async () => ({ asElement: () => element }),
+      dispose: async () => {},
+    }),
+  };
+}
+
+test("a generic container match is recorded as container, not element", async () => {
+  const target = CAPTURE_TARGETS.directions;
+  const selectors = loadSelectorProfile(target.profile).selectors(target.element);
+
+  const specific = await locateClip(fakePage(0), target);
+  assert.strictEqual(specific.capture_method, "element");
+  assert.strictEqual(specific.capture_selector, selectors[0]);
+
+  const container = await locateClip(fakePage(selectors.indexOf(".widget-pane")), target);
+  assert.strictEqual(container.capture_method, "container");
+  assert.strictEqual(container.capture_selector, ".widget-pane");
+
+  const none = await locateClip(fakePage(-1), target);
+  assert.strictEqual(none.capture_method, "fallback_clip");
+  assert.deepStrictEqual(none.clip, target.fallbackClip);
+});
+
+test("the generic fallbacks of the capture targets are listed as containers", () => {
+  const generic = ["#rhs", 'div[role="main"]', ".widget-pane"];
+  Object.values(CAPTURE_TARGETS).forEach((target) => {
+    const profile = loadSelectorProfile(target.profile);
+    profile
+      .selectors(target.element)
+      .filter((entry) => generic.includes(entry))
+      .forEach((entry) =>
+        assert.ok(profile.isContainer(target.element, entry), `${target.element}: ${entry}`)
+      );
+  });
+});
+
+test("containers must be selectors of their element", () => {
+  const errors = validateProfile({
+    profile: "test",
+    version: 1,
+    elements: { panel: { selectors: ["#panel"], containers: [".widget-pane"] } },
+  });
+  assert.deepStrictEqual(errors, ['panel: container ".widget-pane" is not one of its selectors']);
+});
@@ -0,0 +1,100 @@
+// gbp_embed_detectors.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  GBPEmbedDetectorRegistry,
+  decodeHtmlEntities,
+  embedSrcKey,
+} = require("../scraper/utils/gbp_embed_detectors.js");
+const { EnhancedGBPIframeScraper } = require("../scraper/scraper.js");
+
+const EMBED_SRC = "https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d2795.4&hl=en";
+
+const snapshot = (fields = {}) => ({
+  iframes: [],
+  links: [],
+  scripts: [],
+  jsMapContainers: 0,
+  ...fields,
+});
+
+test("each built-in detector reports its own embed type", () => {
+  const detections = new GBPEmbedDetectorRegistry().detect(
+    snapshot({
+      iframes: [
+        { src: EMBED_SRC, dataSrc: "", dataLazySrc: "" },
+        { src: "about:blank", dataSrc: "https://maps.google.com/maps?q=pizza&output=embed", dataLazySrc: "" },
+        { src: "https://www.youtube.com/embed/abc", dataSrc: "", dataLazySrc: "" },
+      ],
+      links: [
+        { href: "https://www.google.com/maps/place/Joe's+Pizza/", text: "Find us" },
+        { href: "https://maps.google.com/?cid=11266537318574964545", text: "Map" },
+        { href: "https://maps.app.goo.gl/AbC123", text: "Directions" },
+        { href: "https://example.com/contact", text: "Contact" },
+      ],
+      scripts: ["https://maps.googleapis.com/maps/api/js?key=SECRET&callback=init"],
+      jsMapContainers: 1,
+    })
+  );
+
+  assert.deepStrictEqual(
+    detections.map((d) => [d.type, d.source]),
+    [
+      ["embed_iframe", EMBED_SRC],
+      ["lazy_iframe", "https://maps.google.com/maps?q=pizza&output=embed"],
+      ["maps_link", "https://www.google.com/maps/place/Joe's+Pizza/"],
+      ["maps_link", "https://maps.google.com/?cid=11266537318574964545"],
+      ["short_link", "https://maps.app.goo.gl/AbC123"],
+      ["js_api_map", ""],
+    ]
+  );
+  // The API key is not written to the report
+  assert.strictEqual(
+    detections[5].evidence,
+    "script[src]=https://maps.googleapis.com/maps/api/js?key=…&callback=init; 1 .gm-style container(s)"
+  );
+});
+
+test("a page without maps has no detections, and duplicates are reported once", () => {
+  const registry = new GBPEmbedDetectorRegistry();
+  assert.deepStrictEqual(registry.detect(snapshot()), []);
+
+  const iframe = { src: EMBED_SRC, dataSrc: "", dataLazySrc: "" };
+  assert.strictEqual(registry.detect(snapshot({ iframes: [iframe, iframe] })).length, 1);
+});
+
+test("a registered detector replaces the built-in one of the same type", () => {
+  const registry = new GBPEmbedDetectorRegistry().register({
+    type: "embed_iframe",
+    detect: (page) => page.iframes.map((iframe) => ({ source: iframe.src, evidence: "custom" })),
+  });
+  const detections = registry.detect(
+    snapshot({ iframes: [{ src: "https://maps.example/embed", dataSrc: "", dataLazySrc: "" }] })
+  );
+  assert.deepStrictEqual(detections, [
+    { type: "embed_iframe", source: "https://maps.example/embed", evidence: "custom" },
+  ]);
+
+  assert.throws(() => registry.register({ type: "broken" }), /needs a type and a detect/);
+});
+
+test("decodeHtmlEntities decodes named and numeric entities", () => {
+  assert.strictEqual(
+    decodeHtmlEntities("pb=!1m18&amp;hl=en&#38;q=Joe&#x27;s&nbsp;"),
+    "pb=!1m18&hl=en&q=Joe's&nbsp;"
+  );
+});
+
+test("embedSrcKey treats entity encoding, host aliases and parameter order as the same embed", () => {
+  const key = embedSrcKey(EMBED_SRC);
+  assert.strictEqual(embedSrcKey("https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d2795.4&amp;hl=en"), key);
+  assert.strictEqual(embedSrcKey("https://maps.google.com/maps/embed?hl=en&pb=!1m18!1m12!1m3!1d2795.4"), key);
+  assert.notStrictEqual(embedSrcKey("https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d9999.9&hl=en"), key);
+});
+
+test("static iframe sources are entity-decoded", () => {
+  const scraper = new EnhancedGBPIframeScraper();
+  const html = `<noscript><iframe src="${EMBED_SRC.replace("&", "&amp;")}"></iframe></noscript>`;
+  assert.deepStrictEqual(scraper.extractIframeSources(html), [EMBED_SRC]);
+});
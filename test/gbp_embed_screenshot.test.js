@@ -0,0 +1,207 @@
+// gbp_embed_screenshot.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  GBPIframeProcessor,
+  DEFAULT_HIGHLIGHT_STYLE,
+  isMapPainted,
+} = require("../screenshot_services/gbp_embed_screenshot.js");
+
+/**
+ * Minimal frame document: querySelectorAll returns `elements`, sampled
+ * canvases read back `pixels` (RGBA values), or throw when it is an Error
+ */
+function withDocument(elements, pixels, fn) {
+  const previous = global.document;
+  global.document = {
+    querySelectorAll: () => elements,
+    createElement: () => ({
+      getContext: () => ({
+        drawImage: () => {},
+        getImageData: () => {
+          if (pixels instanceof Error) throw pixels;
+          return { data: pixels };
+        },
+      }),
+    }),
+  };
+  try {
+    return fn();
+  } finally {
+    global.document = previous;
+  }
+}
+
+const tile = (fields) => ({ tagName: "IMG", complete: true, naturalWidth: 256, ...fields });
+const canvas = { tagName: "CANVAS", width: 640, height: 480 };
+const background = [229, 227, 223, 255];
+
+test("a tile counts once it has loaded", () => {
+  assert.strictEqual(withDocument([tile({ complete: false })], [], () => isMapPainted("img")), false);
+  assert.strictEqual(withDocument([tile({ naturalWidth: 0 })], [], () => isMapPainted("img")), false);
+  assert.strictEqual(withDocument([tile({ naturalWidth: 0 }), tile()], [], () => isMapPainted("img")), true);
+});
+
+test("a canvas counts once it shows more than its background", () => {
+  const blank = Array(16 * 16).fill(background).flat();
+  const painted = [...blank.slice(0, -4), 66, 133, 244, 255];
+  assert.strictEqual(withDocument([canvas], blank, () => isMapPainted("canvas")), false);
+  assert.strictEqual(withDocument([canvas], painted, () => isMapPainted("canvas")), true);
+  assert.strictEqual(
+    withDocument([{ ...canvas, width: 0 }], painted, () => isMapPainted("canvas")),
+    false
+  );
+  assert.strictEqual(
+    withDocument([canvas], new Error("tainted"), () => isMapPainted("canvas")),
+    false
+  );
+});
+
+test("no map element is not painted", () => {
+  assert.strictEqual(withDocument([], [], () => isMapPainted(".gm-style canvas")), false);
+});
+
+/**
+ * Page document holding the matched iframe at `rect`, scrolled by `scrollY`;
+ * appended elements are collected in `appended`
+ */
+function withPageDocument(rect, scrollY, fn) {
+  const previous = { document: global.document, window: global.window };
+  const appended = [];
+  const element = () => ({
+    style: {},
+    children: [],
+    appendChild(child) {
+      this.children.push(child);
+    },
+  });
+  global.window = { scrollX: 0, scrollY };
+  global.document = {
+    querySelector: (css) =>
+      rect && css === "iframe[data-gbp-embed-target]" ? { getBoundingClientRect: () => rect } : null,
+    getElementById: () => null,
+    createElement: element,
+    documentElement: { appendChild: (child) => appended.push(child) },
+  };
+  return Promise.resolve(fn(appended)).finally(() => {
+    global.document = previous.document;
+    global.window = previous.window;
+  });
+}
+
+/**
+ * Page whose evaluate runs in the current global document, recording each capture
+ */
+function fakePage(captures) {
+  return {
+    evaluate: async (fn, ...args) => fn(...args),
+    screenshot: async (options) => captures.push(`page${options.fullPage ? " full" : ""}: ${options.path}`),
+    $: async (css) =>
+      global.document.querySelector(css) && {
+        screenshot: async (options) => captures.push(`element: ${options.path}`),
+        dispose: async () => {},
+      },
+    isClosed: () => false,
+    close: async () => {},
+  };
+}
+
+/**
+ * Processor that finds and renders the embed without a browser
+ */
+function proofProcessor(t, options, page) {
+  t.mock.method(console, "log", () => {});
+  const processor = new GBPIframeProcessor({ preparePage: false, maxRetries: 0, ...options });
+  const iframeInfo = {
+    accepted: true,
+    match_quality: "exact",
+    match_detail: "",
+    candidates: 1,
+    src: "https://www.google.com/maps/embed?pb=x",
+    position: { x: 0, y: 200 },
+    dimensions: { width: 400, height: 300 },
+    scrollPosition: 100,
+  };
+  t.mock.method(processor, "createNewPage", async () => page);
+  t.mock.method(processor, "navigateToPage", async () => {});
+  t.mock.method(processor, "findTargetIframe", async () => iframeInfo);
+  t.mock.method(processor, "scrollToIframe", async () => {});
+  t.mock.method(processor, "waitForMapRender", async () => ({ map_rendered: true, place_card_rendered: true }));
+  t.mock.method(processor, "sleep", async () => {});
+  return processor;
+}
+
+const urlData = { url: "https://joes.example/contact", iframe_src: "https://www.google.com/maps/embed?pb=x", index: 0 };
+
+test("the proof captures crop the iframe before the outline is drawn, then the page and the whole page", async (t) => {
+  await withPageDocument({ left: 100, top: 150, width: 400, height: 300 }, 50, async (appended) => {
+    const captures = [];
+    const page = fakePage(captures);
+    const processor = proofProcessor(t, { highlight: true, elementCrop: true, fullPage: true }, page);
+    const evaluate = t.mock.method(page, "evaluate");
+
+    const result = await processor.processURL(urlData, processor.devices[0]);
+    assert.strictEqual(result.screenshot_status, "success");
+    assert.strictEqual(result.highlighted, true);
+    assert.strictEqual(result.element_screenshot_path, "screenshots/gbp_embed_screenshots/screenshot_1_joes_example_desktop_element.png");
+    assert.strictEqual(result.screenshot_path, "screenshots/gbp_embed_screenshots/screenshot_1_joes_example_desktop.png");
+    assert.strictEqual(result.full_page_screenshot_path, "screenshots/gbp_embed_screenshots/screenshot_1_joes_example_desktop_full_page.png");
+    assert.deepStrictEqual(captures, [
+      `element: ${result.element_screenshot_path}`,
+      `page: ${result.screenshot_path}`,
+      `page full: ${result.full_page_screenshot_path}`,
+    ]);
+    // The outline was drawn once, after the crop
+    assert.strictEqual(evaluate.mock.callCount(), 1);
+    assert.strictEqual(appended.length, 1);
+  });
+});
+
+test("without proof options only the viewport is captured", async (t) => {
+  await withPageDocument({ left: 0, top: 0, width: 400, height: 300 }, 0, async (appended) => {
+    const captures = [];
+    const processor = proofProcessor(t, {}, fakePage(captures));
+    const result = await processor.processURL(urlData, processor.devices[0]);
+    assert.deepStrictEqual(captures, [`page: ${result.screenshot_path}`]);
+    assert.strictEqual(result.element_screenshot_path, "");
+    assert.strictEqual(result.full_page_screenshot_path, "");
+    assert.strictEqual(result.highlighted, false);
+    assert.deepStrictEqual(appended, []);
+  });
+});
+
+test("the highlight outlines the iframe from outside, labelled above it", async (t) => {
+  await withPageDocument({ left: 100, top: 150, width: 400, height: 300 }, 50, async (appended) => {
+    const processor = proofProcessor(t, { highlight: true }, fakePage([]));
+    await processor.highlightIframe(fakePage([]));
+
+    const [outline] = appended;
+    const css = outline.style.cssText.replace(/\s+/g, " ");
+    assert.strictEqual(outline.id, "gbp-embed-highlight");
+    assert.match(css, /left: 96px; top: 196px; width: 408px; height: 308px;/);
+    assert.match(css, /border: 4px solid #ff1744;/);
+    const [label] = outline.children;
+    assert.strictEqual(label.textContent, DEFAULT_HIGHLIGHT_STYLE.label);
+    assert.match(label.style.cssText, /bottom: 100%/);
+  });
+});
+
+test("a custom highlight style keeps the defaults it does not set, and an iframe at the top is labelled inside", async (t) => {
+  await withPageDocument({ left: 0, top: 10, width: 400, height: 300 }, 0, async (appended) => {
+    const processor = proofProcessor(t, { highlight: true, highlightStyle: { label: "Map on site" } }, fakePage([]));
+    assert.deepStrictEqual(processor.highlightStyle, { ...DEFAULT_HIGHLIGHT_STYLE, label: "Map on site" });
+    await processor.highlightIframe(fakePage([]));
+
+    const [label] = appended[0].children;
+    assert.strictEqual(label.textContent, "Map on site");
+    assert.match(label.style.cssText, /top: 0;/);
+  });
+});
+
+test("highlighting fails when the matched iframe is gone", async (t) => {
+  await withPageDocument(null, 0, async () => {
+    const processor = proofProcessor(t, { highlight: true }, fakePage([]));
+    await assert.rejects(processor.highlightIframe(fakePage([])), /matched iframe is no longer on the page/);
+  });
+});
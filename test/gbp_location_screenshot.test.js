@@ -0,0 +1,27 @@
+// gbp_location_screenshot.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { GoogleMapsDirectionsScreenshot } = require("../screenshot_services/gbp_location_screenshot.js");
+
+test("the business summary takes its status from the per-origin captures", () => {
+  const screenshotter = new GoogleMapsDirectionsScreenshot();
+  const captured = { success: true, screenshot_path: "a.png", reason: "" };
+  const failed = (reason) => ({ success: false, screenshot_path: "", reason });
+
+  assert.deepStrictEqual(screenshotter.summarizeDirections([failed("timeout"), captured]), {
+    screenshot_status: "success",
+    directions_screenshots: 1,
+    error_message: "",
+  });
+  assert.deepStrictEqual(screenshotter.summarizeDirections([failed("timeout"), failed("no route")]), {
+    screenshot_status: "error",
+    directions_screenshots: 0,
+    error_message: "No directions screenshot succeeded: timeout; no route",
+  });
+  assert.deepStrictEqual(screenshotter.summarizeDirections([]), {
+    screenshot_status: "skipped",
+    directions_screenshots: 0,
+    error_message: "No directions origin",
+  });
+});
@@ -0,0 +1,45 @@
+// gbp_pipeline.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { GBPPipeline } = require("../pipeline/gbp_pipeline.js");
+const { JobStateStore } = require("../pipeline/job_state_store.js");
+
+function createStore(t) {
+  const runsDir = fs.mkdtempSync(path.join(os.tmpdir(), "runs-"));
+  t.after(() => fs.rmSync(runsDir, { recursive: true, force: true }));
+  return new JobStateStore({ runsDir, runId: "test-run" });
+}
+
+test("a stage with failed items is run again on resume, skipping the items that succeeded", async (t) => {
+  const store = createStore(t);
+  const attempts = [];
+  const runner = (journal, failing) => async () => {
+    ["a", "b"].forEach((key) => {
+      if (journal.isComplete("embed", key)) return;
+      attempts.push(key);
+      journal.record("embed", key, failing.includes(key) ? "error" : "success");
+    });
+    return {};
+  };
+
+  const first = new GBPPipeline({ stateStore: store });
+  await first.runStage("embed", runner(store, ["b"]));
+  assert.strictEqual(first.stageResults[0].status, "partial");
+  assert.strictEqual(first.stageResults[0].unfinished, 1);
+
+  const resumedStore = JobStateStore.resume("test-run", { runsDir: store.runsDir });
+  const resumed = new GBPPipeline({ stateStore: resumedStore });
+  await resumed.runStage("embed", runner(resumedStore, []));
+  assert.strictEqual(resumed.stageResults[0].status, "success");
+  assert.deepStrictEqual(attempts, ["a", "b", "b"]);
+
+  const done = new GBPPipeline({
+    stateStore: JobStateStore.resume("test-run", { runsDir: store.runsDir }),
+  });
+  await done.runStage("embed", () => assert.fail("a completed stage was run again"));
+  assert.strictEqual(done.stageResults[0].status, "resumed");
+});
@@ -0,0 +1,71 @@
+// gbp_short_link_resolver.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { GBPShortLinkResolver } = require("../scraper/utils/gbp_short_link_resolver.js");
+
+const PLACE_URL = "https://www.google.com/maps/place/Squeegee+Car+Detailing/@45.52,-122.68,17z";
+
+// Local redirect stub: /a → /b → /c → the place URL, /loop redirects to itself
+const REDIRECTS = { "/a": "/b", "/b": "/c", "/c": PLACE_URL, "/loop": "/loop" };
+
+test("GBPShortLinkResolver against a local redirect stub", async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const location = REDIRECTS[req.url];
+    res.writeHead(location ? 302 : 200, location ? { Location: location } : {});
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "short-links-"));
+  t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  const createResolver = (options = {}) =>
+    new GBPShortLinkResolver({ shortLinkHosts: ["127.0.0.1"], maxHops: 5, ...options });
+
+  await t.test("follows the redirect chain to the place URL", async () => {
+    const resolved = await createResolver().resolve(`${base}/a`);
+    assert.deepStrictEqual(resolved, { url: PLACE_URL, hops: 3, cached: false });
+  });
+
+  await t.test("stops at the hop limit", async () => {
+    await assert.rejects(createResolver({ maxHops: 3 }).resolve(`${base}/loop`), /exceeded 3 redirects/);
+    await assert.rejects(createResolver().resolve(`${base}/missing`), /answered 200/);
+  });
+
+  await t.test("answers a repeated link from the cache", async () => {
+    const cachePath = path.join(tmpDir, "cache.json");
+    await createResolver({ cachePath }).resolve(`${base}/a`);
+    requests.length = 0;
+
+    // A new resolver reads the disk cache without a request
+    const resolved = await createResolver({ cachePath }).resolve(`${base}/a`);
+    assert.deepStrictEqual(resolved, { url: PLACE_URL, hops: 0, cached: true });
+    assert.deepStrictEqual(requests, []);
+  });
+
+  await t.test("fetches expired and undated cache entries again", async () => {
+    const cachePath = path.join(tmpDir, "expired.json");
+    const monthAgo = Date.now() - 31 * 24 * 60 * 60 * 1000;
+    fs.writeFileSync(
+      cachePath,
+      JSON.stringify({
+        [`${base}/a`]: { url: "https://www.google.com/maps/place/Old", resolvedAt: monthAgo },
+        [`${base}/b`]: "https://www.google.com/maps/place/Old",
+      })
+    );
+    requests.length = 0;
+
+    const resolver = createResolver({ cachePath, ttlDays: 30 });
+    assert.strictEqual((await resolver.resolve(`${base}/a`)).url, PLACE_URL);
+    assert.strictEqual((await resolver.resolve(`${base}/b`)).url, PLACE_URL);
+    assert.deepStrictEqual(requests, ["/a", "/b", "/c", "/b", "/c"]);
+  });
+});
@@ -0,0 +1,309 @@
+// gbp_url_decoder.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { EnhancedGBPUrlDecoder } = require("../scraper/utils/gbp_url_decoder.js");
+const { FixturePlacesProvider } = require("../scraper/utils/place_providers/index.js");
+const { GBPShortLinkResolver } = require("../scraper/utils/gbp_short_link_resolver.js");
+const { createRecordCsvWriter, loadRecords } = require("../pipeline/record_schema.js");
+
+// Powell's City of Books, pinned in Portland
+const EMBED_URL =
+  "https://www.google.com/maps/embed?pb=!1m14!1m8!1m3!1d11183.21!3d45.5230900!4d-122.6819300!3m2!1i1024!2i768!4f13.1!3m3!1m2!1s0x54950a05a3b8f3bd%3A0x9c5c0c9d1e2a3f41!2sPowell%27s%20City%20of%20Books!5e0!3m2!1sen!2sus!4v1712345678901";
+
+const place = (fields) => ({
+  types: ["book_store"],
+  website: "",
+  ...fields,
+});
+
+function createDecoder(t, textSearch, { places = [], ...options } = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "decoder-"));
+  t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  const fixturePath = path.join(tmpDir, "places.json");
+  fs.writeFileSync(fixturePath, JSON.stringify({ textSearch, places }));
+
+  return new EnhancedGBPUrlDecoder({
+    decodeMode: "verify",
+    placeProvider: new FixturePlacesProvider({ fixturePath }),
+    placeCache: false,
+    shortLinkCachePath: "",
+    ...options,
+  });
+}
+
+const POWELLS = place({
+  id: "powells",
+  name: "Powell's City of Books",
+  formattedAddress: "1005 W Burnside St, Portland, OR 97209",
+  city: "Portland",
+  location: { latitude: 45.52309, longitude: -122.68193 },
+});
+
+// About 1.2 km north-west of Powell's
+const UNION_STATION = place({
+  id: "union-station",
+  name: "Portland Union Station",
+  formattedAddress: "800 NW 6th Ave, Portland, OR 97209",
+  types: ["train_station"],
+  location: { latitude: 45.52893, longitude: -122.67666 },
+});
+
+test("a needs_review match stays in the candidate columns", async (t) => {
+  const decoder = createDecoder(t, {
+    "Powell's City of Books": [
+      place({
+        id: "far-away",
+        name: "Powell Street Books",
+        formattedAddress: "1 Powell St, San Francisco, CA",
+        city: "San Francisco",
+        location: { latitude: 37.785, longitude: -122.408 },
+      }),
+    ],
+  });
+
+  const decoded = await decoder.decodeGBPUrl(EMBED_URL);
+  assert.strictEqual(decoded.enrichmentStatus, "needs_review");
+
+  const row = decoder.buildEnhancedRow({ url: "https://example.com" }, decoded);
+  assert.strictEqual(row.match_status, "needs_review");
+  assert.strictEqual(row.places_api_id, "");
+  assert.strictEqual(row.city, "");
+  assert.strictEqual(row.latitude, "45.5230900");
+  assert.strictEqual(row.name_and_address, "Powell's City of Books, ");
+  assert.strictEqual(row.candidate_name, "Powell Street Books");
+  assert.strictEqual(row.candidate_places_api_id, "far-away");
+  assert.strictEqual(row.candidate_city, "San Francisco");
+  assert.strictEqual(row.candidate_latitude, 37.785);
+});
+
+test("a matched place replaces the decoded fields", async (t) => {
+  const decoder = createDecoder(t, {
+    "Powell's City of Books": [
+      place({
+        id: "powells",
+        name: "Powell's City of Books",
+        formattedAddress: "1005 W Burnside St, Portland, OR 97209",
+        city: "Portland",
+        location: { latitude: 45.52309, longitude: -122.68193 },
+      }),
+    ],
+  });
+
+  const decoded = await decoder.decodeGBPUrl(EMBED_URL);
+  assert.strictEqual(decoded.enrichmentStatus, "verified");
+
+  const row = decoder.buildEnhancedRow({ url: "https://example.com" }, decoded);
+  assert.strictEqual(row.match_status, "matched");
+  assert.strictEqual(row.places_api_id, "powells");
+  assert.strictEqual(row.city, "Portland");
+  assert.strictEqual(row.candidate_name, "");
+  assert.strictEqual(row.candidate_places_api_id, "");
+});
+
+test("a place URL without pb data is enriched like an embed", async (t) => {
+  const decoder = createDecoder(t, {
+    "Powell's City of Books": [
+      place({
+        id: "powells",
+        name: "Powell's City of Books",
+        formattedAddress: "1005 W Burnside St, Portland, OR 97209",
+        city: "Portland",
+        location: { latitude: 45.52309, longitude: -122.68193 },
+      }),
+    ],
+  });
+
+  const decoded = await decoder.decodeGBPUrl(
+    "https://www.google.com/maps/place/Powell's+City+of+Books/@45.5230900,-122.6819300,17z"
+  );
+  assert.strictEqual(decoded.enrichmentStatus, "verified");
+
+  const row = decoder.buildEnhancedRow({ url: "https://example.com" }, decoded);
+  assert.strictEqual(row.match_status, "matched");
+  assert.strictEqual(row.places_api_id, "powells");
+  assert.strictEqual(row.city, "Portland");
+  assert.match(row.search_url, /&query_place_id=powells$/);
+});
+
+test("feature ID, CID and Places API ID are kept in their own columns", async (t) => {
+  const decoder = createDecoder(t, {
+    "Powell's City of Books": [
+      place({
+        id: "ChIJpowells",
+        name: "Powell's City of Books",
+        formattedAddress: "1005 W Burnside St, Portland, OR 97209",
+        city: "Portland",
+        location: { latitude: 45.52309, longitude: -122.68193 },
+      }),
+    ],
+  });
+
+  const row = decoder.buildEnhancedRow(
+    { url: "https://example.com" },
+    await decoder.decodeGBPUrl(EMBED_URL)
+  );
+  assert.strictEqual(row.feature_id, "0x54950a05a3b8f3bd:0x9c5c0c9d1e2a3f41");
+  assert.strictEqual(row.cid, "11266894236729622337");
+  assert.strictEqual(row.cid_url, "https://maps.google.com/?cid=11266894236729622337");
+  assert.strictEqual(row.places_api_id, "ChIJpowells");
+  assert.match(row.search_url, /&query_place_id=ChIJpowells$/);
+});
+
+test("a ?cid= link keeps its CID and canonical URL without a feature ID", async (t) => {
+  const decoder = createDecoder(t, {});
+  const decoded = await decoder.decodeGBPUrl("https://maps.google.com/?cid=11266894236729622337");
+  assert.strictEqual(decoded.featureId, "");
+  assert.strictEqual(decoded.cid, "11266894236729622337");
+  assert.strictEqual(decoded.cidUrl, "https://maps.google.com/?cid=11266894236729622337");
+  assert.strictEqual(decoder.generateCidUrl(""), "");
+});
+
+test("only a decimal ?cid= is kept as the CID", async (t) => {
+  const decoder = createDecoder(t, {});
+  assert.strictEqual(
+    decoder.parsePlaceUrl("https://maps.google.com/?cid=9c5c0c9d1e2a3f41").cid,
+    ""
+  );
+  assert.strictEqual(
+    decoder.parsePlaceUrl("https://maps.google.com/?cid=11266537318574964545").cid,
+    "11266537318574964545"
+  );
+});
+
+test("a resolved short link gets a verified place and a nearby origin", async (t) => {
+  // Local stand-in for maps.app.goo.gl redirecting to the place URL
+  const server = http.createServer((req, res) => {
+    res.writeHead(302, {
+      Location: "https://www.google.com/maps/place/Powell's+City+of+Books/@45.5230900,-122.6819300,17z",
+    });
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+
+  const decoder = createDecoder(
+    t,
+    { "Powell's City of Books": [POWELLS] },
+    {
+      decodeMode: "full",
+      places: [UNION_STATION],
+      shortLinkResolver: new GBPShortLinkResolver({ shortLinkHosts: ["127.0.0.1"] }),
+    }
+  );
+
+  const shortLink = `http://127.0.0.1:${server.address().port}/AbC123`;
+  const decoded = await decoder.decodeGBPUrl(shortLink);
+  assert.strictEqual(decoded.enrichmentStatus, "enriched");
+  assert.match(decoded.resolvedUrl, /\/maps\/place\/Powell's/);
+
+  const row = decoder.buildEnhancedRow({ url: "https://example.com" }, decoded);
+  assert.strictEqual(row.places_api_id, "powells");
+  assert.strictEqual(row.nearby_place_name, "Portland Union Station");
+  assert.strictEqual(JSON.parse(row.directions_origins)[0].address, "800 NW 6th Ave, Portland, OR 97209");
+  assert.match(row.gmaps_search_url, /origin=800%20NW%206th%20Ave/);
+});
+
+test("coordinates without a name still get a nearby origin in full mode", async (t) => {
+  const decoder = createDecoder(t, {}, { decodeMode: "full", places: [UNION_STATION] });
+  const enrichment = await decoder.enrichResult({
+    businessName: "",
+    coordinates: { lat: "45.5230900", lng: "-122.6819300" },
+  });
+  assert.strictEqual(enrichment.status, "enriched");
+  assert.strictEqual(enrichment.nearbyPlace.name, "Portland Union Station");
+
+  const verifyOnly = createDecoder(t, {}, { places: [UNION_STATION] });
+  const skipped = await verifyOnly.enrichResult({
+    businessName: "",
+    coordinates: { lat: "45.5230900", lng: "-122.6819300" },
+  });
+  assert.deepStrictEqual([skipped.status, skipped.error], ["skipped", "No business name to look up"]);
+});
+
+/**
+ * Scrape-stage CSV with one embed row per source, in a temp dir
+ */
+async function writeScrapeCsv(t, sources) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "decode-csv-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inputPath = path.join(dir, "scrape.csv");
+  await createRecordCsvWriter("scrape", inputPath).writeRecords(
+    sources.map((src, i) => ({
+      url: `https://site${i}.example/`,
+      iframe_src: src,
+      detection_type: "embed_iframe",
+      status: "success",
+    }))
+  );
+  return { inputPath, outputPath: path.join(dir, "decoded.csv") };
+}
+
+test("CSV rows are decoded in input order, a batch of `concurrency` at a time, each batch written before the next is read", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const sources = [0, 1, 2, 3, 4].map((i) => `https://www.google.com/maps/embed?pb=business-${i}`);
+  const { inputPath, outputPath } = await writeScrapeCsv(t, sources);
+  const decoder = createDecoder(t, {}, { decodeMode: "offline" });
+
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const rowsWrittenAtStart = [];
+  t.mock.method(decoder, "decodeGBPUrl", async (src) => {
+    const i = Number(src.split("-").pop());
+    rowsWrittenAtStart[i] = fs.existsSync(outputPath)
+      ? fs.readFileSync(outputPath, "utf8").trim().split("\n").length - 1
+      : 0;
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    // Later rows finish first
+    await new Promise((resolve) => setTimeout(resolve, (5 - i) * 5));
+    inFlight--;
+    return { businessName: `Business ${i}`, coordinates: { lat: "", lng: "" }, error: "" };
+  });
+
+  const results = await decoder.processCSVFile(inputPath, outputPath, { concurrency: 2 });
+  assert.strictEqual(maxInFlight, 2);
+  assert.deepStrictEqual(rowsWrittenAtStart, [0, 0, 2, 2, 4]);
+  assert.deepStrictEqual(
+    results.map((row) => row.business_name),
+    ["Business 0", "Business 1", "Business 2", "Business 3", "Business 4"]
+  );
+
+  const written = await loadRecords(outputPath, "decode");
+  assert.deepStrictEqual(written.map((row) => row.iframe_src), sources);
+});
+
+test("an invalid decode concurrency is rejected", async (t) => {
+  const { inputPath, outputPath } = await writeScrapeCsv(t, ["https://www.google.com/maps/embed?pb=x"]);
+  await assert.rejects(
+    createDecoder(t, {}).processCSVFile(inputPath, outputPath, { concurrency: 0 }),
+    /Invalid decode concurrency: 0/
+  );
+});
+
+test("a ?cid= link with no name or coordinates is written as a row, searched by its CID", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const cidLink = "https://maps.google.com/?cid=11266537318574964545";
+  const { inputPath, outputPath } = await writeScrapeCsv(t, [cidLink]);
+  const errorsPath = path.join(path.dirname(outputPath), "errors.csv");
+
+  await createDecoder(t, {}, { decodeMode: "offline" }).processCSVFile(inputPath, outputPath, { errorsPath });
+  assert.strictEqual(fs.existsSync(errorsPath), false);
+
+  const [row] = await loadRecords(outputPath, "decode");
+  assert.strictEqual(row.iframe_src, cidLink);
+  assert.strictEqual(row.decoding_status, "Success");
+  assert.strictEqual(row.cid, "11266537318574964545");
+  assert.strictEqual(row.search_url, "https://maps.google.com/?cid=11266537318574964545");
+  assert.strictEqual(row.gmaps_search_url, "");
+});
+
+test("a decoded result with nothing to search for has an empty search URL", (t) => {
+  const decoder = createDecoder(t, {});
+  assert.strictEqual(decoder.generateSearchUrl("", "", { lat: "", lng: "" }, ""), "");
+  assert.strictEqual(decoder.generateGmapsUrl("", "Powell's City of Books"), "");
+});
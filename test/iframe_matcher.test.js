@@ -0,0 +1,88 @@
+// iframe_matcher.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { EmbedIframeMatcher } = require("../screenshot_services/utils/iframe_matcher.js");
+
+const FEATURE_ID = "0x54950b0b7da97427:0x9c5c0c9d1e2a3f41";
+const EMBED_SRC = `https://www.google.com/maps/embed?pb=!1m18!1m12!1m3!1d2795.4!4m2!3m1!1s${FEATURE_ID}&hl=en`;
+const placeSrc = (name, featureId, lat, lng) =>
+  `https://www.google.com/maps/place/${name}/data=!4m6!3m5!1s${featureId}!8m2!3d${lat}!4d${lng}`;
+
+const identity = (fields) => ({ featureId: "", cid: "", name: "", latitude: "", longitude: "", ...fields });
+const iframe = (src, width = 600, height = 450) => ({ src, dimensions: { width, height } });
+
+test("page iframes are ranked by how they match the embed, best first", async () => {
+  const matcher = new EmbedIframeMatcher();
+  const record = { iframe_src: `${placeSrc("Joe's+Pizza", FEATURE_ID, 45.52309, -122.68193)}?hl=en` };
+
+  const ranked = await matcher.rank(record, [
+    iframe("https://www.youtube.com/embed/abc"),
+    iframe(placeSrc("Joe's+Pizza+Portland", FEATURE_ID, 45.5231, -122.6819)),
+    iframe(record.iframe_src.replace("www.google.com", "maps.google.com")),
+    iframe(`${record.iframe_src}&z=15`),
+  ]);
+  assert.deepStrictEqual(
+    ranked.map((candidate) => [candidate.order, candidate.match_quality]),
+    [
+      [3, "exact"],
+      [2, "normalized_src"],
+      [1, "feature_id"],
+      [0, "none"],
+    ]
+  );
+  assert.strictEqual(ranked[2].match_detail, `feature ID ${FEATURE_ID}`);
+});
+
+test("an entity-encoded src with its parameters reordered is the same embed", async () => {
+  const ranked = await new EmbedIframeMatcher().rank({ iframe_src: EMBED_SRC }, [
+    iframe(`https://www.google.com/maps/embed?hl=en&amp;pb=${EMBED_SRC.split("pb=")[1].split("&")[0]}`),
+  ]);
+  assert.strictEqual(ranked[0].match_quality, "normalized_src");
+});
+
+test("identities match by feature ID or CID before name and pin", () => {
+  const matcher = new EmbedIframeMatcher();
+  const joes = identity({ name: "Joe's Pizza", latitude: "45.52309", longitude: "-122.68193" });
+
+  assert.deepStrictEqual(
+    matcher.compareIdentities(identity({ cid: "111" }), identity({ cid: "111", name: "Other" })),
+    { quality: "feature_id", detail: "CID 111" }
+  );
+  assert.strictEqual(
+    matcher.compareIdentities(joes, { ...joes, name: "Joes Pizza", latitude: "45.52359" }).quality,
+    "name_coordinates"
+  );
+  // Another branch of the chain across town
+  assert.strictEqual(
+    matcher.compareIdentities(joes, { ...joes, latitude: "45.53309" }).quality,
+    "none"
+  );
+  assert.deepStrictEqual(
+    matcher.compareIdentities(joes, identity({ latitude: "45.52339", longitude: "-122.68193" })),
+    { quality: "coordinates", detail: "33 m apart" }
+  );
+  assert.strictEqual(
+    matcher.compareIdentities(joes, identity({ latitude: "45.52399", longitude: "-122.68193" })).quality,
+    "none"
+  );
+  assert.strictEqual(matcher.compareIdentities(joes, identity({ name: "Joe's Pizza" })).quality, "name");
+});
+
+test("a name-only match is not captured unless minQuality allows it", () => {
+  assert.strictEqual(new EmbedIframeMatcher().accepts({ match_quality: "coordinates" }), true);
+  assert.strictEqual(new EmbedIframeMatcher().accepts({ match_quality: "name" }), false);
+  assert.strictEqual(new EmbedIframeMatcher({ minQuality: "name" }).accepts({ match_quality: "name" }), true);
+  assert.throws(() => new EmbedIframeMatcher({ minQuality: "close" }), /Unknown match quality "close"/);
+});
+
+test("among equal matches the larger iframe wins, then page order, and each src is decoded once", async (t) => {
+  const matcher = new EmbedIframeMatcher();
+  const decode = t.mock.method(matcher.decoder, "decodeGBPUrl");
+  const record = { iframe_src: placeSrc("Joe's+Pizza", FEATURE_ID, 45.52309, -122.68193) };
+  const other = placeSrc("Joe's+Pizza+Portland", FEATURE_ID, 45.5231, -122.6819);
+
+  const ranked = await matcher.rank(record, [iframe(other, 300, 200), iframe(other), iframe(other)]);
+  assert.deepStrictEqual(ranked.map((candidate) => candidate.order), [1, 2, 0]);
+  assert.strictEqual(decode.mock.callCount(), 2);
+});
@@ -0,0 +1,63 @@
+// origin_strategy.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DirectionsOriginStrategy,
+  DEFAULT_ORIGIN_OPTIONS,
+} = require("../scraper/utils/origin_strategy.js");
+
+const BUSINESS = {
+  coordinates: { latitude: 45.5231, longitude: -122.6819 },
+  city: "Portland",
+  placeId: "business",
+};
+
+const place = (id, types, latitude, longitude) => ({
+  id,
+  name: id,
+  formattedAddress: `${id}, Portland, OR`,
+  types,
+  location: { latitude, longitude },
+});
+
+test("missing coordinates fall back without a nearby search", async () => {
+  const strategy = new DirectionsOriginStrategy();
+  const provider = {
+    async nearbySearch() {
+      throw new Error("searched around a missing point");
+    },
+  };
+
+  for (const value of ["", null, undefined, " "]) {
+    const origins = await strategy.selectOrigins(provider, {
+      ...BUSINESS,
+      coordinates: { latitude: value, longitude: value },
+    });
+    assert.deepStrictEqual(
+      origins.map((origin) => origin.source),
+      ["fallback"],
+      `coordinates ${JSON.stringify(value)}`
+    );
+  }
+});
+
+test("the default types search landmarks, which are preferred", async () => {
+  const strategy = new DirectionsOriginStrategy();
+  let searchedTypes = null;
+  const provider = {
+    async nearbySearch(coordinates, options) {
+      searchedTypes = options.types;
+      return [
+        place("Pizza Place", ["restaurant"], 45.53, -122.68),
+        place("Union Station", ["train_station"], 45.5289, -122.6767),
+      ];
+    },
+  };
+
+  const origins = await strategy.selectOrigins(provider, BUSINESS);
+  assert.deepStrictEqual(searchedTypes, DEFAULT_ORIGIN_OPTIONS.types);
+  assert.ok(searchedTypes.some((type) => DEFAULT_ORIGIN_OPTIONS.landmarkTypes.includes(type)));
+  assert.strictEqual(origins[0].name, "Union Station");
+  assert.match(origins[0].reason, /^landmark/);
+});
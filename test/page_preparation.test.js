@@ -0,0 +1,50 @@
+// page_preparation.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  DEFAULT_CONSENT_RULES,
+  DEFAULT_PLACEHOLDER_RULES,
+  ClickRuleRegistry,
+} = require("../screenshot_services/utils/page_preparation.js");
+const { selectInPage } = require("../screenshot_services/utils/selector_profiles.js");
+
+test("every rule needs detect selectors", () => {
+  assert.doesNotThrow(() => new ClickRuleRegistry([...DEFAULT_CONSENT_RULES, ...DEFAULT_PLACEHOLDER_RULES]));
+  assert.throws(
+    () => new ClickRuleRegistry([{ name: "load-map", click: [{ css: "button", text: "Load map" }] }]),
+    /load-map needs a name and non-empty detect and click selector lists/
+  );
+});
+
+test("click selectors only match inside a detected container", () => {
+  // Minimal DOM: a quote form and a cookie notice, each with an "Accept" button
+  const element = (text, parent = null) => ({
+    textContent: text,
+    parent,
+    getAttribute: () => null,
+    contains(other) {
+      for (let node = other; node; node = node.parent) if (node === this) return true;
+      return false;
+    },
+  });
+  const form = element("Accept");
+  const notice = element("This site uses cookies. Accept");
+  const quoteButton = element("Accept", form);
+  const noticeButton = element("Accept", notice);
+  const bySelector = { button: [quoteButton, noticeButton], ".cookie-notice": [notice] };
+
+  const previous = global.document;
+  global.document = { querySelectorAll: (css) => bySelector[css] || [] };
+  try {
+    const click = [{ css: "button", text: "Accept" }];
+    assert.strictEqual(selectInPage(click, { mode: "first" }).element, quoteButton);
+    assert.strictEqual(
+      selectInPage(click, { mode: "first", within: [".cookie-notice"] }).element,
+      noticeButton
+    );
+    assert.strictEqual(selectInPage(click, { mode: "first", within: [".map-placeholder"] }), null);
+  } finally {
+    global.document = previous;
+  }
+});
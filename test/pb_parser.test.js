@@ -0,0 +1,68 @@
+// pb_parser.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { PbEmbed, featureIdToCid } = require("../scraper/utils/pb_parser.js");
+const { EnhancedGBPUrlDecoder } = require("../scraper/utils/gbp_url_decoder.js");
+
+// Corpus files: { description, source, url, expected }. `expected` lists the
+// fields read off the URL by hand (the cid is the second feature ID half in
+// decimal); only those fields are compared. Fix the parser, not the corpus.
+const CORPUS_DIR = path.join(__dirname, "fixtures", "pb_embeds");
+
+const decoder = new EnhancedGBPUrlDecoder({
+  decodeMode: "offline",
+  placeCache: false,
+  shortLinkCachePath: "",
+});
+
+/**
+ * The fields of `actual` that `expected` lists
+ */
+function pick(actual, expected) {
+  return Object.fromEntries(Object.keys(expected).map((key) => [key, actual[key] ?? null]));
+}
+
+const files = fs
+  .readdirSync(CORPUS_DIR)
+  .filter((file) => file.endsWith(".json"))
+  .sort();
+
+test("pb embed corpus", async (t) => {
+  assert.ok(files.length > 0, `no corpus files in ${CORPUS_DIR}`);
+
+  for (const file of files) {
+    await t.test(file, async () => {
+      const { url, expected } = JSON.parse(fs.readFileSync(path.join(CORPUS_DIR, file), "utf8"));
+      const pb = new URL(url).searchParams.get("pb");
+
+      // null: the nesting counts do not add up and the decoder's segment scan takes over
+      let embed = null;
+      try {
+        embed = PbEmbed.fromPb(pb).toJSON();
+      } catch {
+        embed = null;
+      }
+      if (expected.embed === null) {
+        assert.strictEqual(embed, null);
+      } else {
+        assert.ok(embed, "the pb tree did not parse");
+        assert.deepStrictEqual(pick(embed, expected.embed), expected.embed);
+      }
+
+      const decoded = await decoder.decodeGBPUrl(url);
+      assert.strictEqual(decoded.error, "");
+      assert.deepStrictEqual(pick(decoded, expected.decoded), expected.decoded);
+    });
+  }
+});
+
+test("featureIdToCid converts the second half of a feature ID without losing precision", () => {
+  // Above Number.MAX_SAFE_INTEGER, a float conversion would round it
+  assert.strictEqual(featureIdToCid("0x54950a05a3b8f3bd:0x9c5c0c9d1e2a3f41"), "11266894236729622337");
+  assert.strictEqual(featureIdToCid("0x882b34d68bf33a9b:0x15EDD8C4DE1C7581"), "1580157384328508801");
+  assert.strictEqual(featureIdToCid("ChIJN1t_tDeuEmsRUsoyG83frY4"), "");
+  assert.strictEqual(featureIdToCid(""), "");
+});
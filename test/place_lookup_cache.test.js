@@ -0,0 +1,56 @@
+// place_lookup_cache.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  PlaceLookupCache,
+  CachedPlaceProvider,
+} = require("../scraper/utils/place_providers/place_lookup_cache.js");
+const { PlaceProvider } = require("../scraper/utils/place_providers/place_provider.js");
+
+class CountingProvider extends PlaceProvider {
+  constructor() {
+    super({});
+    this.name = "counting";
+    this.calls = 0;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async textSearch(query) {
+    this.calls++;
+    // Yield so concurrent lookups interleave
+    await new Promise((resolve) => setImmediate(resolve));
+    return [{ name: query }];
+  }
+}
+
+test("PlaceLookupCache writes once per flush", async (t) => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "place-cache-"));
+  t.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+  const cachePath = path.join(tmpDir, "place_cache.json");
+
+  const cache = new PlaceLookupCache({ cachePath });
+  const provider = new CountingProvider();
+  const cached = new CachedPlaceProvider(provider, cache);
+
+  const queries = ["Joe's Pizza", "Squeegee Car Detailing", "Powell's Books", "Voodoo Doughnut"];
+  await Promise.all(queries.map((query) => cached.textSearch(query)));
+  assert.strictEqual(provider.calls, queries.length);
+  assert.ok(!fs.existsSync(cachePath), "set() must not write the file");
+
+  cache.flush();
+  const stored = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  assert.strictEqual(Object.keys(stored).length, queries.length);
+  assert.ok(!fs.existsSync(`${cachePath}.tmp`));
+
+  // A second run is answered from disk without calling the provider
+  const reloaded = new CachedPlaceProvider(provider, new PlaceLookupCache({ cachePath }));
+  assert.deepStrictEqual(await reloaded.textSearch("Voodoo Doughnut"), [{ name: "Voodoo Doughnut" }]);
+  assert.strictEqual(provider.calls, queries.length);
+});
@@ -0,0 +1,140 @@
+// place_providers.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createPlaceProvider,
+  FixturePlacesProvider,
+  GooglePlacesProvider,
+  OsmPlacesProvider,
+} = require("../scraper/utils/place_providers/index.js");
+const { resolveDecodeMode } = require("../scraper/utils/gbp_url_decoder.js");
+
+const PLACES = {
+  textSearch: {
+    "Powell's City of Books": [
+      { id: "powells", name: "Powell's City of Books", location: { latitude: 45.52309, longitude: -122.68193 } },
+      { id: "powells-2", name: "Powell's Books at PDX", location: { latitude: 45.58872, longitude: -122.5975 } },
+    ],
+  },
+  places: [
+    { id: "pioneer", name: "Pioneer Courthouse Square", types: ["tourist_attraction"], location: { latitude: 45.51897, longitude: -122.67925 } },
+    { id: "union-station", name: "Portland Union Station", types: ["train_station"], location: { latitude: 45.52893, longitude: -122.67666 } },
+    { id: "pdx", name: "Portland International Airport", types: ["airport"], location: { latitude: 45.58872, longitude: -122.5975 } },
+  ],
+};
+
+function fixtureProvider(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "places-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const fixturePath = path.join(dir, "places.json");
+  fs.writeFileSync(fixturePath, JSON.stringify(PLACES));
+  return new FixturePlacesProvider({ fixturePath });
+}
+
+test("createPlaceProvider picks the provider by name", (t) => {
+  assert.ok(createPlaceProvider("OSM") instanceof OsmPlacesProvider);
+  assert.ok(createPlaceProvider({ name: "google", apiKey: "key" }).isConfigured());
+
+  const provider = new FixturePlacesProvider();
+  assert.strictEqual(createPlaceProvider(provider), provider);
+
+  const previous = process.env.GBP_PLACE_PROVIDER;
+  t.after(() => {
+    if (previous === undefined) delete process.env.GBP_PLACE_PROVIDER;
+    else process.env.GBP_PLACE_PROVIDER = previous;
+  });
+  process.env.GBP_PLACE_PROVIDER = "fixture";
+  assert.ok(createPlaceProvider() instanceof FixturePlacesProvider);
+
+  assert.throws(() => createPlaceProvider("bing"), /Unknown place provider "bing". Valid providers: google, google-legacy, osm, fixture/);
+});
+
+test("the fixture provider matches text queries regardless of case and punctuation", async (t) => {
+  const provider = fixtureProvider(t);
+  const places = await provider.textSearch("powell’s city of books!");
+  assert.deepStrictEqual(places.map((place) => place.id), ["powells", "powells-2"]);
+  assert.deepStrictEqual(places[0], {
+    id: "powells",
+    name: "Powell's City of Books",
+    formattedAddress: "",
+    city: "",
+    location: { latitude: 45.52309, longitude: -122.68193 },
+    types: [],
+    website: "",
+  });
+
+  assert.strictEqual((await provider.textSearch("Powell's City of Books", { maxResults: 1 })).length, 1);
+  assert.deepStrictEqual(await provider.textSearch("Unknown Bakery"), []);
+});
+
+test("the fixture provider filters nearby places by radius and type, nearest first", async (t) => {
+  const provider = fixtureProvider(t);
+  const powells = { latitude: 45.52309, longitude: -122.68193 };
+
+  const nearby = await provider.nearbySearch(powells, { radius: 2000 });
+  assert.deepStrictEqual(nearby.map((place) => place.id), ["pioneer", "union-station"]);
+
+  const stations = await provider.nearbySearch(powells, { radius: 20000, types: ["train_station", "airport"] });
+  assert.deepStrictEqual(stations.map((place) => place.id), ["union-station", "pdx"]);
+});
+
+test("an unconfigured provider makes the decoder fall back to offline", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const missing = new FixturePlacesProvider({ fixturePath: path.join(os.tmpdir(), "no-such-places.json") });
+  assert.strictEqual(missing.isConfigured(), false);
+  assert.strictEqual(resolveDecodeMode("full", missing), "offline");
+  assert.match(console.warn.mock.calls[0].arguments[0], /"fixture" is not configured \(create .*no-such-places\.json\)/);
+
+  assert.strictEqual(resolveDecodeMode("verify", fixtureProvider(t)), "verify");
+});
+
+test("the Google provider sends a field mask per lookup and maps places to the common shape", async (t) => {
+  const requests = [];
+  t.mock.method(global, "fetch", async (url, init) => {
+    requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+    return {
+      ok: true,
+      json: async () => ({
+        places: [
+          {
+            id: "ChIJpowells",
+            displayName: { text: "Powell's City of Books" },
+            formattedAddress: "1005 W Burnside St, Portland, OR 97209",
+            addressComponents: [{ types: ["locality", "political"], shortText: "Portland" }],
+            location: { latitude: 45.52309, longitude: -122.68193 },
+            types: ["book_store"],
+            websiteUri: "https://www.powells.com/",
+          },
+        ],
+      }),
+    };
+  });
+  const provider = new GooglePlacesProvider({ apiKey: "test-key" });
+
+  const [place] = await provider.textSearch("Powell's City of Books", { maxResults: 5 });
+  assert.deepStrictEqual(place, {
+    id: "ChIJpowells",
+    name: "Powell's City of Books",
+    formattedAddress: "1005 W Burnside St, Portland, OR 97209",
+    city: "Portland",
+    location: { latitude: 45.52309, longitude: -122.68193 },
+    types: ["book_store"],
+    website: "https://www.powells.com/",
+  });
+  await provider.nearbySearch({ latitude: 45.52309, longitude: -122.68193 }, { types: ["park"], radius: 3000 });
+
+  const [text, nearby] = requests;
+  assert.strictEqual(text.url, "https://places.googleapis.com/v1/places:searchText");
+  assert.strictEqual(text.headers["X-Goog-Api-Key"], "test-key");
+  assert.deepStrictEqual(text.body, { textQuery: "Powell's City of Books", pageSize: 5 });
+  assert.match(text.headers["X-Goog-FieldMask"], /places\.websiteUri/);
+
+  assert.strictEqual(nearby.url, "https://places.googleapis.com/v1/places:searchNearby");
+  assert.doesNotMatch(nearby.headers["X-Goog-FieldMask"], /websiteUri/);
+  assert.deepStrictEqual(nearby.body.includedTypes, ["park"]);
+  assert.strictEqual(nearby.body.locationRestriction.circle.radius, 3000);
+});
@@ -0,0 +1,100 @@
+// polite_worker_pool.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { PoliteWorkerPool } = require("../scraper/utils/polite_worker_pool.js");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Worker that records how many tasks run at once, overall and per host
+ */
+function trackingWorker(pool, durations = {}) {
+  const active = new Map();
+  const stats = { maxActive: 0, maxPerHost: {}, started: [], finished: [] };
+  let running = 0;
+
+  const worker = async (url) => {
+    const host = pool.getHost(url);
+    running++;
+    active.set(host, (active.get(host) || 0) + 1);
+    stats.maxActive = Math.max(stats.maxActive, running);
+    stats.maxPerHost[host] = Math.max(stats.maxPerHost[host] || 0, active.get(host));
+    stats.started.push({ url, at: Date.now() });
+
+    await sleep(durations[host] ?? 20);
+
+    running--;
+    active.set(host, active.get(host) - 1);
+    stats.finished.push(url);
+  };
+  return { worker, stats };
+}
+
+test("never runs more than the pool concurrency and finishes every URL", async () => {
+  const pool = new PoliteWorkerPool({ concurrency: 2, perHostDelay: 0 });
+  const urls = ["a", "b", "c", "d", "e"].map((host) => `https://${host}.example/`);
+  const { worker, stats } = trackingWorker(pool);
+
+  await pool.run(urls, worker);
+  assert.strictEqual(stats.maxActive, 2);
+  assert.deepStrictEqual([...stats.finished].sort(), [...urls].sort());
+});
+
+test("a busy host does not hold up URLs of other hosts", async () => {
+  const pool = new PoliteWorkerPool({ concurrency: 3, maxPerHost: 1, perHostDelay: 0 });
+  const urls = [
+    "https://slow.example/1",
+    "https://slow.example/2",
+    "https://slow.example/3",
+    "https://fast.example/1",
+  ];
+  const { worker, stats } = trackingWorker(pool, { "slow.example": 60, "fast.example": 5 });
+
+  await pool.run(urls, worker);
+  assert.strictEqual(stats.maxPerHost["slow.example"], 1);
+  // The fast host starts second, ahead of the queued slow.example URLs
+  assert.deepStrictEqual(
+    stats.started.slice(0, 2).map((start) => start.url),
+    ["https://slow.example/1", "https://fast.example/1"]
+  );
+});
+
+test("spaces requests to the same host by perHostDelay", async () => {
+  const pool = new PoliteWorkerPool({ concurrency: 3, perHostDelay: 50 });
+  const urls = ["https://a.example/1", "https://a.example/2", "https://a.example/3"];
+  const { worker, stats } = trackingWorker(pool, { "a.example": 1 });
+
+  await pool.run(urls, worker);
+  const starts = stats.started.map((start) => start.at);
+  for (let i = 1; i < starts.length; i++) {
+    // Timers may fire a millisecond early
+    assert.ok(starts[i] - starts[i - 1] >= 49, `gap ${starts[i] - starts[i - 1]}ms`);
+  }
+});
+
+test("the global cap waits for the oldest start of the last minute to expire", () => {
+  const pool = new PoliteWorkerPool({ requestsPerMinute: 2 });
+  const now = 100000;
+  assert.strictEqual(pool.globalWait(now), 0);
+
+  pool.recentStarts = [now - 1000, now - 500];
+  assert.strictEqual(pool.globalWait(now), 59000);
+  assert.strictEqual(pool.findReadyIndex(["https://a.example/"], now), -1);
+
+  // Starts older than a minute no longer count
+  assert.strictEqual(pool.globalWait(now + 59000), 0);
+  assert.deepStrictEqual(pool.recentStarts, [now - 500]);
+});
+
+test("a failing worker does not stop the other URLs", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const pool = new PoliteWorkerPool({ concurrency: 2, perHostDelay: 0 });
+  const finished = [];
+
+  await pool.run(["https://a.example/", "https://b.example/", "https://c.example/"], async (url) => {
+    if (url.includes("b.example")) throw new Error("navigation timeout");
+    finished.push(url);
+  });
+  assert.deepStrictEqual(finished, ["https://a.example/", "https://c.example/"]);
+});
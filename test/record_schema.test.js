@@ -0,0 +1,88 @@
+// record_schema.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const csv = require("csv-parser");
+const {
+  SCHEMA_VERSION,
+  loadRecords,
+  createRecordCsvWriter,
+} = require("../pipeline/record_schema.js");
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "records-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+async function readErrorLog(errorsPath) {
+  const rows = [];
+  for await (const row of fs.createReadStream(errorsPath).pipe(csv())) rows.push(row);
+  return rows;
+}
+
+const record = (url, fields = {}) => ({ url, business_name: "Joe's Pizza", ...fields });
+
+test("the writer skips and logs records that do not fit, keeping the rest", async (t) => {
+  const dir = tempDir(t);
+  const outputPath = path.join(dir, "records.csv");
+  const errorsPath = path.join(dir, "errors.csv");
+  const writer = createRecordCsvWriter("scrape", outputPath, [], { errorsPath });
+
+  const written = await writer.writeRecords([
+    record("https://a.example", { cid: "111" }),
+    record("https://b.example", { cid: "0x1a2b" }),
+    record("https://c.example", { cid: "222" }),
+  ]);
+  assert.deepStrictEqual(
+    written.map((r) => r.url),
+    ["https://a.example", "https://c.example"]
+  );
+
+  const records = await loadRecords(outputPath, "scrape", { errorsPath });
+  assert.deepStrictEqual(records.map((r) => r.cid), ["111", "222"]);
+
+  const [logged, ...others] = await readErrorLog(errorsPath);
+  assert.strictEqual(others.length, 0);
+  assert.strictEqual(logged.URL, "https://b.example");
+  assert.match(logged.Error, /CID "0x1a2b" is not an integer/);
+  assert.ok(logged.Timestamp);
+});
+
+test("reading skips and logs malformed rows, keeping the rest", async (t) => {
+  const dir = tempDir(t);
+  const inputPath = path.join(dir, "records.csv");
+  const errorsPath = path.join(dir, "errors.csv");
+  fs.writeFileSync(
+    inputPath,
+    [
+      "Schema_Version,URL,Latitude",
+      `${SCHEMA_VERSION},https://a.example,45.52`,
+      `${SCHEMA_VERSION},https://b.example,north`,
+      `${SCHEMA_VERSION},https://c.example,47.60`,
+    ].join("\n")
+  );
+
+  const records = await loadRecords(inputPath, "scrape", { errorsPath });
+  assert.deepStrictEqual(
+    records.map((r) => r.url),
+    ["https://a.example", "https://c.example"]
+  );
+  const logged = await readErrorLog(errorsPath);
+  assert.deepStrictEqual(logged.map((row) => row.URL), ["https://b.example"]);
+  assert.match(logged[0].Error, /row 3: Latitude "north" is not a number/);
+});
+
+test("another schema version still rejects the file", async (t) => {
+  const dir = tempDir(t);
+  const inputPath = path.join(dir, "records.csv");
+  fs.writeFileSync(inputPath, `Schema_Version,URL\n${SCHEMA_VERSION + 1},https://a.example\n`);
+
+  await assert.rejects(
+    loadRecords(inputPath, "scrape", { errorsPath: path.join(dir, "errors.csv") }),
+    /written with record schema version/
+  );
+});
@@ -0,0 +1,44 @@
+// scraper.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const puppeteer = require("puppeteer");
+const { EnhancedGBPIframeScraper } = require("../scraper/scraper.js");
+
+/**
+ * Browser stand-in whose pages hold no map, so nothing is decoded or logged as an error
+ */
+function fakeBrowser() {
+  const page = {
+    setUserAgent: async () => {},
+    setViewport: async () => {},
+    setRequestInterception: async () => {},
+    on: () => {},
+    goto: async () => {},
+    content: async () => "<html><body><p>No map here</p></body></html>",
+    evaluate: async () => ({ iframes: [], links: [], scripts: [], jsMapContainers: 0 }),
+    close: async () => {},
+  };
+  return { newPage: async () => page, close: async () => {} };
+}
+
+test("scraping with decoding flushes the decoder's place cache when it ends", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scrape-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(puppeteer, "launch", async () => fakeBrowser());
+  t.mock.method(console, "log", () => {});
+
+  let flushes = 0;
+  const scraper = new EnhancedGBPIframeScraper({
+    enableDecoding: true,
+    waitForNetworkIdle: 1,
+    perHostDelay: 0,
+    decoder: { placeCache: { flush: () => flushes++ } },
+  });
+
+  await scraper.scrape(["https://example.com/"], { outputPath: path.join(dir, "scrape.csv") });
+  assert.strictEqual(flushes, 1);
+});
@@ -0,0 +1,43 @@
+// selector_profile_check.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  SelectorProfileChecker,
+  fixtureProvenance,
+} = require("../screenshot_services/utils/selector_profile_check.js");
+const { loadSelectorProfile } = require("../screenshot_services/utils/selector_profiles.js");
+
+test("fixtureProvenance reads the capture header", () => {
+  assert.deepStrictEqual(
+    fixtureProvenance(
+      '<!DOCTYPE html>\n<!-- Captured from https://www.google.com/search?q=pizza on 2026-10-19 with "gbp selectors capture", trimmed -->\n<html></html>'
+    ),
+    { url: "https://www.google.com/search?q=pizza", capturedAt: "2026-10-19" }
+  );
+  assert.strictEqual(fixtureProvenance("<!DOCTYPE html>\n<!-- Knowledge panel, trimmed -->\n<html></html>"), null);
+});
+
+test("hand-written fixtures are not checked", async (t) => {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-"));
+  t.after(() => fs.rmSync(fixturesDir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(fixturesDir, "google_serp"));
+  fs.writeFileSync(
+    path.join(fixturesDir, "google_serp", "knowledge_panel.html"),
+    '<html><body><a jsaction="trigger.QTy97">View all products</a></body></html>'
+  );
+
+  const page = {
+    setContent: async () => assert.fail("an uncaptured fixture was loaded"),
+  };
+  const result = await new SelectorProfileChecker({ fixturesDir }).checkProfile(
+    page,
+    loadSelectorProfile("google_serp")
+  );
+  assert.deepStrictEqual(result.fixtures, []);
+  assert.deepStrictEqual(result.uncaptured, ["knowledge_panel.html"]);
+  assert.ok(result.elements.every((element) => element.status === "unchecked"));
+});
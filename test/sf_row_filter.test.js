@@ -0,0 +1,69 @@
+// sf_row_filter.test.js
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { ScreamingFrogRowFilter } = require("../scraper/utils/sf_row_filter.js");
+
+const row = (address, fields = {}) => ({
+  Address: address,
+  "Content Type": "text/html; charset=UTF-8",
+  "Status Code": "200",
+  Indexability: "Indexable",
+  ...fields,
+});
+
+test("drops non-HTML and non-200 rows by default, counting each filter", () => {
+  const filter = new ScreamingFrogRowFilter();
+  const rows = [
+    row("https://example.com/"),
+    row("https://example.com/logo.png", { "Content Type": "image/png" }),
+    row("https://example.com/old", { "Status Code": "301" }),
+    row("https://example.com/contact", { Indexability: "Non-Indexable" }),
+  ];
+
+  const kept = rows.filter((r) => filter.accept(r, r.Address));
+  assert.deepStrictEqual(
+    kept.map((r) => r.Address),
+    ["https://example.com/", "https://example.com/contact"]
+  );
+  assert.deepStrictEqual(filter.stats, {
+    total: 4,
+    kept: 2,
+    dropped: { content_type: 1, status_code: 1, indexability: 0, include: 0, exclude: 0 },
+  });
+});
+
+test("indexableOnly drops non-indexable rows but not blank Indexability", () => {
+  const filter = new ScreamingFrogRowFilter({ indexableOnly: true });
+  assert.strictEqual(filter.getRejectReason(row("https://example.com/a", { Indexability: "Non-Indexable" }), "https://example.com/a"), "indexability");
+  assert.strictEqual(filter.getRejectReason(row("https://example.com/b", { Indexability: "" }), "https://example.com/b"), null);
+});
+
+test("filters whose column is missing from the export are not applied", () => {
+  const filter = new ScreamingFrogRowFilter({ indexableOnly: true });
+  assert.strictEqual(filter.getRejectReason({ Address: "https://example.com/" }, "https://example.com/"), null);
+  // Column names are matched case-insensitively
+  assert.strictEqual(
+    filter.getRejectReason({ address: "https://example.com/", "status code": "404" }, "https://example.com/"),
+    "status_code"
+  );
+});
+
+test("include and exclude regexes are matched case-insensitively against the URL", () => {
+  const filter = new ScreamingFrogRowFilter({ include: ["/locations/"], exclude: ["\\?page=\\d+$"] });
+  assert.strictEqual(filter.getRejectReason(row(""), "https://example.com/Locations/portland"), null);
+  assert.strictEqual(filter.getRejectReason(row(""), "https://example.com/blog/post"), "include");
+  assert.strictEqual(filter.getRejectReason(row(""), "https://example.com/locations/?page=2"), "exclude");
+});
+
+test("empty content type and status lists accept everything", () => {
+  const filter = new ScreamingFrogRowFilter({ contentTypes: [], statusCodes: [] });
+  assert.strictEqual(
+    filter.getRejectReason(row("https://example.com/a.pdf", { "Content Type": "application/pdf", "Status Code": "404" }), "https://example.com/a.pdf"),
+    null
+  );
+});
+
+test("an invalid regex names the pattern", () => {
+  assert.throws(() => new ScreamingFrogRowFilter({ exclude: ["(unclosed"] }), /Invalid URL filter regex "\(unclosed"/);
+});